@@ -12,12 +12,19 @@ try {
 
 // Import modular components
 const {
+  ClientWorkspace,
   ConfigurationLoader,
+  DeploymentEnvironment,
+  ConfigWizard,
   ServiceSchemaEngine,
+  SheetMigrationPlanner,
   WebhookGenerator,
+  WebhookRegistry,
+  WebhookRotation,
   PromptInjector,
   RuntimeVariableBuilder,
   N8nWorkflowProcessor,
+  OpenApiGenerator,
   RetellAgentProcessor,
   TemplateProcessor,
   TokenCounter
@@ -33,23 +40,70 @@ const {
  * MODULAR ARCHITECTURE:
  * ===================
  * - ConfigurationLoader: Loads and validates config.json
+ * - ConfigSchemaValidator: Versioned config schema with JSON-path errors
+ * - ConfigOverlayResolver: Merges extends chains and environment overlays
+ * - ConfigMigrator: Upgrades older configs to the current schema_version
+ * - ConfigWizard: Generates config.json for new clients (init command)
+ * - SecretResolver: Resolves env:, file:, secret: and ${VAR} references
+ * - ClientWorkspace: Resolves clients/<slug>/config.json → dist/<slug>/
+ * - DeploymentEnvironment: Per-environment webhooks, n8n instance and names
  * - RuntimeVariableBuilder: Builds all four phases of template variables
+ * - BusinessHours: Structured hours (intervals, holidays, closures, seasons)
+ * - BusinessLocations: Per-location address, hours, services and calendars
  * - ServiceSchemaEngine: Generates service-specific JSON schemas
+ * - SheetMigrationPlanner: Diffs sheet columns against the last deployment
  * - WebhookGenerator: Creates unique webhook URLs with hashes
+ * - WebhookRotation: Keeps rotated-out webhook endpoints live for a grace period
+ * - WebhookRegistry: Records which client owns each webhook path per instance
  * - PromptInjector: Loads and injects markdown prompts
  * - RetellAgentProcessor: Processes Retell agent JSON
  * - N8nWorkflowProcessor: Processes n8n workflow JSON
+ * - OpenApiGenerator: Describes the tool webhooks in dist/openapi.json
  * - TemplateProcessor: Orchestrates file-type routing
  *
  */
 class AIVoiceBuilder {
-  constructor() {
+  /**
+   * @param {Object} options - Builder options
+   * @param {string|null} options.client - Client slug (clients/<slug>/config.json)
+   * @param {string|null} options.environment - Environment overlay (config.<env>.json)
+   * @param {boolean} options.strict - Fail the build on config schema errors
+   * @param {boolean} options.strictSecrets - Fail the build on unresolved secrets
+   * @param {boolean} options.acceptSheetChanges - Deploy breaking sheet column changes
+   */
+  constructor(options = {}) {
+    // Build options
+    this.options = {
+      client: null,
+      environment: null,
+      strict: false,
+      strictSecrets: false,
+      acceptSheetChanges: false,
+      ...options
+    };
+
+    // Resolve client workspace (legacy single-client layout when no client),
+    // with one output set per environment
+    const { client, environment } = this.options;
+    this.workspace = new ClientWorkspace();
+    const clientPaths = client
+      ? this.workspace.resolveClient(client, environment)
+      : this.workspace.resolveDefault(environment);
+    this.clientSlug = clientPaths.slug;
+    this.environment = new DeploymentEnvironment(environment);
+
     // Core directories
     this.sourceDir = "src/";
-    this.distDir = "dist";
+    this.distDir = clientPaths.distDir;
 
     // Module instances
-    this.configLoader = new ConfigurationLoader();
+    this.configLoader = new ConfigurationLoader({
+      configPath: clientPaths.configPath,
+      requireFile: this.clientSlug !== null,
+      environment: this.options.environment,
+      strict: this.options.strict,
+      strictSecrets: this.options.strictSecrets
+    });
     this.variableBuilder = new RuntimeVariableBuilder();
     this.serviceEngine = new ServiceSchemaEngine();
     this.webhookGenerator = new WebhookGenerator();
@@ -58,6 +112,16 @@ class AIVoiceBuilder {
     this.workflowProcessor = new N8nWorkflowProcessor();
     this.templateProcessor = new TemplateProcessor();
     this.tokenCounter = new TokenCounter();
+    this.openApiGenerator = new OpenApiGenerator();
+    this.sheetPlanner = new SheetMigrationPlanner({
+      manifestPath: clientPaths.sheetManifestPath
+    });
+    this.webhookRotation = new WebhookRotation({
+      manifestPath: clientPaths.webhookManifestPath
+    });
+    this.webhookRegistry = new WebhookRegistry({
+      registryPath: clientPaths.webhookRegistryPath
+    });
 
     // Configuration state (populated during init)
     this.config = null;
@@ -70,6 +134,7 @@ class AIVoiceBuilder {
     this.clientDataVariables = {};
     this.webhookUrls = {};
     this.webhookHashes = {};
+    this.webhookRegistration = null;
   }
 
   /**
@@ -89,8 +154,10 @@ class AIVoiceBuilder {
     // Load Prettier configuration
     this.prettierConfig = await prettier.resolveConfig(".");
 
-    // Load configuration
+    // Load configuration, with the selected environment's settings applied
     this.config = await this.configLoader.loadConfiguration();
+    this.environment.initialize(this.config.build_config?.environments);
+    this.environment.applyTo(this.config);
 
     // Build all variable phases
     const packageJson = require("./package.json");
@@ -118,6 +185,11 @@ class AIVoiceBuilder {
     this.buildConfig = allPhases.buildConfig;
     this.runtimeVariables = allPhases.runtimeVariables;
     this.clientDataVariables = allPhases.clientDataVariables;
+    this.templateVariables.agent_name = this.environment.decorateAgentName(
+      this.templateVariables.agent_name
+    );
+
+    this._reportConfigDrift();
 
     // Initialize webhook generator
     const webhookConfig = {
@@ -125,12 +197,34 @@ class AIVoiceBuilder {
       hash_algorithm: this.buildConfig.webhook_deployment.hash_algorithm,
       hash_length: this.buildConfig.webhook_deployment.hash_length,
       tools: this.buildConfig.webhook_deployment.tools,
-      business_name: this.templateVariables.business_name
+      business_name: this.templateVariables.business_name,
+      signing: this.buildConfig.webhook_deployment.signing || null,
+      epoch: this.buildConfig.webhook_deployment.rotation?.epoch || 0,
+      namespace: this.environment.getHashNamespace()
     };
 
+    // An unresolved salt would change every endpoint once it resolves
+    const salt = webhookConfig.signing?.salt;
+    if (salt && this.configLoader.secretResolver.isReference(salt)) {
+      throw new Error(
+        `Webhook signing salt ${salt} could not be resolved; endpoint hashes depend on it`
+      );
+    }
+
     this.webhookGenerator.initialize(webhookConfig);
+    this.webhookRotation.initialize(
+      this.buildConfig.webhook_deployment.rotation
+    );
+    this.webhookRegistry.initialize(
+      this.buildConfig.webhook_deployment.registry
+    );
     this.webhookHashes = this.webhookGenerator.generateWebhookHashes();
-    this.webhookUrls = this.webhookGenerator.buildWebhookUrls();
+    this.webhookRegistration = await this._resolveWebhookCollisions();
+    this.webhookUrls = this.webhookGenerator.buildWebhookUrls(
+      undefined,
+      undefined,
+      this.webhookHashes
+    );
 
     // Initialize prompt injector
     this.promptInjector.initialize(
@@ -159,17 +253,137 @@ class AIVoiceBuilder {
     await this.ensureDir(this.distDir);
 
     console.log("✅ Build system initialized");
+    if (this.clientSlug) {
+      console.log(`👤 Client: ${this.clientSlug} → ${this.distDir}/`);
+    }
+    if (this.options.environment) {
+      console.log(
+        `🌐 Environment: ${this.environment.name} → ${this.distDir}/`
+      );
+    }
     console.log(`📦 Business: ${this.templateVariables.business_name}`);
     console.log(`🤖 Agent: ${this.templateVariables.agent_name}`);
     console.log(
       `🔗 Webhook base: ${this.buildConfig.infrastructure.base_webhook_url}`
     );
+    if (this.webhookGenerator.isSigningEnabled()) {
+      console.log("🔏 Webhooks: salted hashes and signed requests");
+    }
 
     if (clientData.services) {
       console.log(`📋 Services: ${clientData.services.length} configured`);
     }
   }
 
+  /**
+   * Warn about duplicated business fields that disagree
+   *
+   * business_name, timezone, hours and transfer number are read from one
+   * canonical location; overrides in templating.variables or
+   * runtime_variables that differ from it are flagged here.
+   */
+  _reportConfigDrift() {
+    const report = this.variableBuilder.getDriftReport();
+
+    if (report.conflicts.length > 0) {
+      console.warn(
+        `⚠️  Config drift: ${report.conflicts.length} override(s) disagree with their canonical value:`
+      );
+      console.warn(this.variableBuilder.formatDriftReport(report));
+      console.warn(
+        "   Overrides win for their scope. Remove them to use the canonical value."
+      );
+    }
+
+    if (report.redundant.length > 0) {
+      const paths = report.redundant.map(entry => entry.override);
+      console.log(
+        `ℹ️  ${paths.length} override(s) repeat their canonical value and can be removed: ${paths.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Print the merged configuration and the file each value came from
+   *
+   * Secrets stay as unresolved references, so the output is safe to share.
+   */
+  async printResolvedConfiguration() {
+    const { config, layers, provenance } =
+      await this.configLoader.resolveConfiguration({ quiet: true });
+
+    // Only the JSON goes to stdout, so the output can be redirected to a file
+    console.log(JSON.stringify(config, null, 2));
+    console.error(`\n🧬 Layers (lowest → highest): ${layers.join(" → ")}`);
+    console.error("📍 Value sources:");
+    console.error(
+      this.configLoader.overlayResolver.formatProvenance(provenance)
+    );
+  }
+
+  /**
+   * Generate a config file for a new client
+   *
+   * Answers come from the interactive wizard, or from an answers JSON file
+   * when one is given (for scripted onboarding).
+   *
+   * @param {Object} options - { answersFile, force }
+   * @returns {Promise<string>} Path of the written config
+   */
+  async initConfiguration(options = {}) {
+    const wizard = new ConfigWizard();
+    const answers = options.answersFile
+      ? await wizard.loadAnswers(options.answersFile)
+      : await wizard.runInteractive();
+
+    const config = wizard.buildConfig(answers);
+    const configPath = this.configLoader.configPath;
+    await wizard.writeConfig(configPath, config, { force: options.force });
+
+    console.log(`\n✅ Wrote ${configPath}`);
+    console.log(
+      `   ${config.client_data.services.length} services, webhooks at ${config.build_config.infrastructure.base_webhook_url}`
+    );
+    return configPath;
+  }
+
+  /**
+   * Migrate every config file in the overlay chain to the current schema
+   *
+   * Each upgraded file keeps a backup of the original next to it
+   * (config.json.v0.bak). Unversioned overlay layers on a current base are
+   * left untouched rather than stamped.
+   *
+   * @returns {Promise<Array>} Migration results per file
+   */
+  async migrateConfigurationFiles() {
+    const { layers, versions } = await this.configLoader.resolveConfiguration({
+      migrate: false
+    });
+    const migrator = this.configLoader.migrator;
+    const results = [];
+
+    // An unversioned layer is at the version of the layer beneath it
+    for (const [index, file] of layers.entries()) {
+      const result = await migrator.migrateFile(
+        file,
+        index > 0 ? versions[index - 1] : 0
+      );
+      results.push(result);
+
+      if (result.applied.length === 0) {
+        console.log(`✅ ${file} is already schema v${result.to}`);
+        continue;
+      }
+
+      console.log(`🔄 ${file}: schema v${result.from} → v${result.to}`);
+      result.applied.forEach(step => console.log(`   ${step}`));
+      console.log(`   💾 Backup: ${result.backupPath}`);
+    }
+
+    return results;
+  }
+
   /**
    * Ensure a directory exists, creating it if necessary
    *
@@ -248,6 +462,8 @@ class AIVoiceBuilder {
   _buildProcessingContext() {
     return {
       businessName: this.templateVariables.business_name,
+      workflowPrefix: this._workflowPrefix(),
+      environment: this.environment,
       templateVariables: this.templateVariables,
       buildConfig: this.buildConfig,
       runtimeVariables: this.runtimeVariables,
@@ -255,13 +471,57 @@ class AIVoiceBuilder {
       corePrompt: this.promptInjector.getCorePrompt(),
       ragPrompt: this.promptInjector.getRAGPrompt(),
       services: this.config?.client_data?.services || [],
+      businessHours: this.variableBuilder
+        .buildBusinessHours(this.config?.client_data || {})
+        .toSchedule(),
+      serviceOptions: this.variableBuilder
+        .buildServiceCatalog(this.config?.client_data || {})
+        .toWorkflowConfig(),
+      locations: this.variableBuilder.buildBusinessLocations(
+        this.config?.client_data || {},
+        this.buildConfig.infrastructure.transfer_phone_number
+      ),
+      groupBookings: this.variableBuilder.buildGroupBookings(
+        this.config?.client_data || {}
+      ),
+      recurringAppointments: this.variableBuilder.buildRecurringAppointments(
+        this.config?.client_data || {}
+      ),
       webhookUrls: this.webhookUrls,
       webhookHashes: this.webhookHashes,
       webhookConfig: this.webhookGenerator.getDeploymentConfig().tools,
+      webhookSigning: this.webhookGenerator.getSigningConfig(),
       transferPhoneNumber: this.buildConfig.infrastructure.transfer_phone_number
     };
   }
 
+  /**
+   * Get the prefix of this build's n8n workflow, project and tag names
+   *
+   * @returns {string} Business name, with the environment outside production
+   */
+  _workflowPrefix() {
+    return this.environment.getWorkflowPrefix(
+      this.templateVariables.business_name
+    );
+  }
+
+  /**
+   * Check whether an n8n workflow may belong to this build's environment
+   *
+   * Production's workflows are "<business> - ...", other environments'
+   * "<business> (<label>) - ...".
+   *
+   * @param {string} name - Workflow name
+   * @returns {boolean} False for another environment's workflows
+   */
+  _isEnvironmentWorkflow(name) {
+    if (!this.environment.isProduction()) {
+      return name.startsWith(`${this._workflowPrefix()} `);
+    }
+    return !name.startsWith(`${this.templateVariables.business_name} (`);
+  }
+
   /**
    * Optimize content based on file type
    *
@@ -442,10 +702,25 @@ class AIVoiceBuilder {
       tokenReport = await this._analyzeTokenUsage();
     }
 
+    // OpenAPI phase: Describe every tool endpoint for backend and QA testing
+    await this._generateOpenApiSpec();
+
+    // Sheet migration phase: Diff sheet columns against the last deployment
+    const { plan: sheetMigration } = await this._planSheetMigration();
+    await fs.writeFile(
+      path.join(this.distDir, "sheet-migration-plan.json"),
+      JSON.stringify(sheetMigration, null, 2)
+    );
+
+    // Webhook rotation phase: Epochs a deploy now would keep live or retire
+    const webhookRotation = await this._planWebhookRotation();
+
     // Create build info
     const buildInfo = {
       buildTime: new Date().toISOString(),
       version: require("./package.json").version || "1.0.0",
+      client: this.clientSlug,
+      environment: this.environment.toBuildInfo(),
       stats: {
         totalFiles: stats.totalFiles,
         originalSize: `${(stats.totalOriginalSize / 1024).toFixed(2)} KB`,
@@ -460,7 +735,11 @@ class AIVoiceBuilder {
           : "0.0%",
         processingTime: `${Date.now() - stats.processingTime}ms`
       },
-      token_usage: tokenReport
+      token_usage: tokenReport,
+      config_drift: this.variableBuilder.getDriftReport().conflicts,
+      sheet_migration: sheetMigration,
+      webhook_rotation: webhookRotation,
+      webhook_registry: this.webhookRegistration
     };
 
     await fs.writeFile(
@@ -523,6 +802,20 @@ class AIVoiceBuilder {
       const consoleSummary = this.tokenCounter.formatReportForConsole(report);
       console.log(consoleSummary);
 
+      // Per-service cost of the booking schema and guide
+      const services = this.config.client_data?.services || [];
+      if (services.length > 0) {
+        const budget =
+          this.config.client_data.service_constraints?.token_budget || null;
+        const measurement = this.serviceEngine.measureServiceTokens(services);
+        report.service_tokens = { ...measurement, budget };
+
+        console.log("\n📋 Service Token Cost (booking schema + guide):");
+        console.log(
+          this.serviceEngine.formatServiceTokenBreakdown(measurement, budget)
+        );
+      }
+
       // Save detailed report to file
       await fs.writeFile(
         path.join(this.distDir, "token-usage-report.json"),
@@ -530,7 +823,7 @@ class AIVoiceBuilder {
       );
 
       console.log(
-        `💾 Detailed token report saved to dist/token-usage-report.json`
+        `💾 Detailed token report saved to ${this.distDir}/token-usage-report.json`
       );
 
       return report;
@@ -540,6 +833,265 @@ class AIVoiceBuilder {
     }
   }
 
+  /**
+   * Plan the sheet migration from the last deployment to this build
+   *
+   * @returns {Promise<Object>} { plan, sheets } - the migration plan and the
+   *   built sheet columns
+   */
+  async _planSheetMigration() {
+    const sheets = {
+      Appointments: this.variableBuilder.buildAppointmentColumns(
+        this.config?.client_data || {},
+        this.serviceEngine
+      )
+    };
+    const manifest = await this.sheetPlanner.loadManifest();
+    const plan = this.sheetPlanner.plan(manifest, sheets);
+
+    const lines = this.sheetPlanner.formatPlan(plan);
+    if (plan.initial) {
+      console.log(
+        `ℹ️  No ${this.sheetPlanner.manifestPath} yet: the first deploy (or sheets:accept) records the sheet columns`
+      );
+    } else if (lines.length > 0) {
+      console.log(`\n${lines.join("\n")}`);
+    }
+    if (plan.breaking) {
+      console.warn(
+        "⚠️  Breaking sheet column changes: migrate the sheet, then deploy with --accept-sheet-changes"
+      );
+    }
+
+    return { plan, sheets };
+  }
+
+  /**
+   * Write dist/openapi.json describing every tool webhook
+   *
+   * Request bodies come from the built agent's tools and responses from the
+   * built workflows (see OpenApiGenerator).
+   *
+   * @returns {Promise<Object>} OpenAPI document
+   */
+  async _generateOpenApiSpec() {
+    const agentFiles = await this._findBuiltAgents();
+    const agent =
+      agentFiles.length > 0
+        ? JSON.parse(await fs.readFile(agentFiles[0].fullPath, "utf-8"))
+        : null;
+
+    const workflows = {};
+    for (const workflow of await this._findBuiltWorkflows()) {
+      const toolName =
+        this.workflowProcessor.workflowToToolMapping[workflow.workflowName];
+      if (toolName) {
+        workflows[toolName] = JSON.parse(
+          await fs.readFile(workflow.path, "utf-8")
+        );
+      }
+    }
+
+    const spec = this.openApiGenerator.generate({
+      title: `${this.templateVariables.business_name} Agent Tools`,
+      version: require("./package.json").version || "1.0.0",
+      baseUrl: this.buildConfig.infrastructure.base_webhook_url,
+      webhookUrls: this.webhookUrls,
+      tools: this.webhookGenerator.getDeploymentConfig().tools,
+      agent,
+      workflows,
+      signing: this.webhookGenerator.getSigningConfig()
+    });
+
+    const specPath = path.join(this.distDir, "openapi.json");
+    await fs.writeFile(specPath, JSON.stringify(spec, null, 2));
+    console.log(
+      `\n📘 OpenAPI spec: ${Object.keys(spec.paths).length} endpoints → ${specPath}`
+    );
+
+    return spec;
+  }
+
+  /**
+   * Plan webhook endpoint rotation against the deployed epochs
+   *
+   * @returns {Promise<Object>} Plan from WebhookRotation.plan()
+   */
+  async _planWebhookRotation() {
+    const manifest = await this.webhookRotation.loadManifest();
+    const plan = this.webhookRotation.plan(
+      manifest,
+      this.webhookRotation.settings.epoch,
+      this.webhookUrls
+    );
+
+    const lines = this.webhookRotation.formatPlan(plan);
+    if (lines.length > 0) {
+      console.log(`\n${lines.join("\n")}`);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Check the webhook paths against other clients' paths in the registry
+   *
+   * Hashes of colliding tools are lengthened in this.webhookHashes when
+   * webhook_deployment.registry.auto_extend is on.
+   *
+   * @returns {Promise<Object>} { instance, hash_lengths, extended }
+   * @throws {Error} If a path is registered to another client or environment
+   */
+  async _resolveWebhookCollisions() {
+    const registry = await this.webhookRegistry.loadRegistry();
+    const businessName = this.templateVariables.business_name;
+    const generator = this.webhookGenerator;
+
+    const hashLengths = {};
+    for (const toolName of this._webhookToolNames()) {
+      hashLengths[toolName] = generator.getHashLength(toolName);
+    }
+
+    const instance = this._webhookInstance();
+    const resolution = this.webhookRegistry.resolve(registry, {
+      instance,
+      owner: this._webhookOwner(),
+      hashLengths,
+      pathFor: (toolName, length) =>
+        generator.buildEndpointPath(
+          toolName,
+          generator.generateSingleHash(businessName, toolName, length)
+        )
+    });
+
+    const lines = this.webhookRegistry.formatResolution(resolution);
+    if (lines.length > 0) {
+      console.log(lines.join("\n"));
+    }
+
+    if (resolution.collisions.length > 0) {
+      throw new Error(
+        `Webhook paths on ${instance} are registered to another client or environment (${this.webhookRegistry.registryPath}); ` +
+          "set webhook_deployment.registry.auto_extend or raise the tool's hash_length"
+      );
+    }
+
+    for (const { tool, to } of resolution.extended) {
+      this.webhookHashes[tool] = generator.generateSingleHash(
+        businessName,
+        tool,
+        to
+      );
+    }
+
+    return {
+      instance,
+      hash_lengths: resolution.hash_lengths,
+      extended: resolution.extended
+    };
+  }
+
+  /**
+   * Record the deployed webhook paths, and the paths rotation keeps live,
+   * as owned by this client and environment
+   *
+   * @param {Object} rotationPlan - Plan from WebhookRotation.plan()
+   * @returns {Promise<Object>} Saved registry
+   */
+  async _registerWebhooks(rotationPlan) {
+    const toolNames = this._webhookToolNames();
+    const endpoints = [];
+    const addEndpoints = (urls, epoch) => {
+      for (const [toolName, url] of Object.entries(urls || {})) {
+        const urlPath = url.split("/webhook/")[1];
+        if (toolNames.includes(toolName) && urlPath) {
+          endpoints.push({ path: urlPath, tool: toolName, epoch });
+        }
+      }
+    };
+
+    addEndpoints(this.webhookUrls, rotationPlan.epoch);
+    rotationPlan.live.forEach(entry => addEndpoints(entry.urls, entry.epoch));
+
+    const registry = this.webhookRegistry.register(
+      await this.webhookRegistry.loadRegistry(),
+      this._webhookInstance(),
+      {
+        ...this._webhookOwner(),
+        business_name: this.templateVariables.business_name
+      },
+      endpoints
+    );
+    return this.webhookRegistry.saveRegistry(registry);
+  }
+
+  /**
+   * Print every webhook path in the registry with its owner
+   */
+  async printWebhookRegistry() {
+    const registry = await this.webhookRegistry.loadRegistry();
+    const lines = this.webhookRegistry.formatRegistry(registry);
+
+    console.log(
+      lines.length > 0
+        ? lines.join("\n")
+        : `ℹ️  No webhooks registered in ${this.webhookRegistry.registryPath} yet`
+    );
+  }
+
+  /**
+   * Get the tools that have webhooks ("_comment" style keys are notes)
+   *
+   * @returns {Array<string>} Tool names
+   */
+  _webhookToolNames() {
+    return Object.keys(this.webhookGenerator.tools).filter(
+      toolName => !toolName.startsWith("_")
+    );
+  }
+
+  /**
+   * Get the registry key of the instance serving this build's webhooks
+   *
+   * @returns {string} Origin of base_webhook_url
+   */
+  _webhookInstance() {
+    return WebhookRegistry.instanceKey(
+      this.buildConfig.infrastructure.base_webhook_url
+    );
+  }
+
+  /**
+   * Get the registry owner of this build's webhooks
+   *
+   * @returns {Object} { client, environment }
+   */
+  _webhookOwner() {
+    return { client: this.clientSlug, environment: this.environment.name };
+  }
+
+  /**
+   * Record the built sheet columns as deployed
+   *
+   * For sheets migrated by hand or deployments without n8n upload.
+   *
+   * @returns {Promise<Object>} Saved manifest
+   */
+  async acceptSheetLayout() {
+    const { plan, sheets } = await this._planSheetMigration();
+    if (plan.breaking && !this.options.acceptSheetChanges) {
+      throw new Error(
+        "Refusing to record breaking sheet column changes without --accept-sheet-changes"
+      );
+    }
+
+    const manifest = await this.sheetPlanner.saveManifest(sheets);
+    console.log(
+      `📋 Recorded sheet columns in ${this.sheetPlanner.manifestPath}`
+    );
+    return manifest;
+  }
+
   /**
    * Find all built Retell agent JSON files
    *
@@ -561,11 +1113,34 @@ class AIVoiceBuilder {
 
   /**
    * Clean the output directory
+   *
+   * A production output folder also holds the other builds' folders
+   * (dist/<slug>/, dist/<slug>/<env>/), which are kept; only this build's
+   * output is removed.
    */
   async clean() {
+    const kept = this.environment.isProduction()
+      ? await this.workspace.listNestedOutputs(this.distDir, this.sourceDir)
+      : [];
+
     try {
-      await fs.rm(this.distDir, { recursive: true, force: true });
-      console.log("🧹 Cleaned dist directory");
+      if (kept.length === 0) {
+        await fs.rm(this.distDir, { recursive: true, force: true });
+        console.log(`🧹 Cleaned ${this.distDir} directory`);
+        return;
+      }
+
+      for (const entry of await fs.readdir(this.distDir)) {
+        if (!kept.includes(entry)) {
+          await fs.rm(path.join(this.distDir, entry), {
+            recursive: true,
+            force: true
+          });
+        }
+      }
+      console.log(
+        `🧹 Cleaned ${this.distDir} directory (kept ${kept.join(", ")})`
+      );
     } catch (error) {
       console.log("🧹 No dist directory to clean");
     }
@@ -593,6 +1168,14 @@ class AIVoiceBuilder {
     );
 
     try {
+      // Refuse breaking sheet column changes unless acknowledged
+      const { plan: sheetMigration, sheets } = await this._planSheetMigration();
+      if (sheetMigration.breaking && !this.options.acceptSheetChanges) {
+        throw new Error(
+          "Refusing to deploy breaking sheet column changes (see sheet-migration-plan.json); migrate the sheet and rerun with --accept-sheet-changes"
+        );
+      }
+
       // Validate configuration
       this._validateN8nConfiguration(webhookConfig);
 
@@ -630,7 +1213,7 @@ class AIVoiceBuilder {
       try {
         projectId = await this._getOrCreateProject(authConfig);
         if (projectId) {
-          console.log(`📁 Using project: ${this.templateVariables.business_name}`);
+          console.log(`📁 Using project: ${this._workflowPrefix()}`);
         }
       } catch (error) {
         console.warn(`⚠️  Could not setup project: ${error.message}`);
@@ -645,9 +1228,16 @@ class AIVoiceBuilder {
         }
       }
 
+      // Keep the endpoints of rotated-out epochs live during their grace period
+      const webhookRotation = await this._planWebhookRotation();
+      const retiringWorkflows = await this._buildRetiringWorkflows(
+        workflowFiles,
+        webhookRotation
+      );
+
       // Upload workflows with retry logic
       const uploadResults = await this._bulkUploadWorkflows(
-        workflowFiles,
+        [...workflowFiles, ...retiringWorkflows],
         webhookConfig,
         authConfig,
         projectId
@@ -665,6 +1255,24 @@ class AIVoiceBuilder {
         });
       }
 
+      // Record the deployed sheet columns for the next migration plan
+      if (uploadResults.failed.length === 0) {
+        await this.sheetPlanner.saveManifest(sheets);
+        console.log(
+          `📋 Recorded sheet columns in ${this.sheetPlanner.manifestPath}`
+        );
+
+        await this.webhookRotation.saveManifest(webhookRotation);
+        console.log(
+          `🔄 Recorded webhook epochs in ${this.webhookRotation.manifestPath}`
+        );
+
+        await this._registerWebhooks(webhookRotation);
+        console.log(
+          `🗂️  Registered webhook paths in ${this.webhookRegistry.registryPath}`
+        );
+      }
+
       // Display webhook information
       if (this.webhookHashes && Object.keys(this.webhookHashes).length > 0) {
         console.log("\n🔗 Deployed webhook endpoints:");
@@ -690,6 +1298,40 @@ class AIVoiceBuilder {
     }
   }
 
+  /**
+   * Copy built workflows onto the endpoints of epochs still in grace
+   *
+   * @param {Array} workflowFiles - Built workflow file objects
+   * @param {Object} plan - Plan from WebhookRotation.plan()
+   * @returns {Promise<Array>} Workflow objects with the copy in data
+   */
+  async _buildRetiringWorkflows(workflowFiles, plan) {
+    const retiring = [];
+
+    for (const entry of plan.live) {
+      for (const workflow of workflowFiles) {
+        const toolName =
+          this.workflowProcessor.workflowToToolMapping[workflow.workflowName];
+        const data = JSON.parse(await fs.readFile(workflow.path, "utf-8"));
+        const copy = this.webhookRotation.buildRetiringWorkflow(
+          data,
+          entry,
+          toolName
+        );
+
+        if (copy) {
+          retiring.push({
+            ...workflow,
+            name: `${workflow.name} (epoch ${entry.epoch})`,
+            data: copy
+          });
+        }
+      }
+    }
+
+    return retiring;
+  }
+
   /**
    * Validate n8n configuration
    *
@@ -750,19 +1392,16 @@ class AIVoiceBuilder {
       ...n8nConfig.credentials
     };
 
-    // Process environment variable references
-    Object.keys(authConfig).forEach(key => {
-      if (typeof authConfig[key] === "string") {
-        if (authConfig[key].startsWith("env:")) {
-          const envVar = authConfig[key].replace("env:", "");
-          const value = process.env[envVar];
-          if (!value) {
-            throw new Error(`Environment variable ${envVar} is required`);
-          }
-          authConfig[key] = value;
-        }
+    // Credentials left as placeholders by the loader are required here
+    const secretResolver = this.configLoader.secretResolver;
+    for (const [key, value] of Object.entries(authConfig)) {
+      if (secretResolver.isReference(value)) {
+        authConfig[key] = await secretResolver.resolveRequired(
+          value,
+          `$.build_config.webhook_deployment.credentials.${key}`
+        );
       }
-    });
+    }
 
     return authConfig;
   }
@@ -778,7 +1417,7 @@ class AIVoiceBuilder {
     const http = require('http');
     const { URL } = require('url');
 
-    const businessName = this.templateVariables.business_name;
+    const businessName = this._workflowPrefix();
     
     return new Promise((resolve, reject) => {
       try {
@@ -972,21 +1611,29 @@ class AIVoiceBuilder {
             try {
               if (res.statusCode >= 200 && res.statusCode < 300) {
                 const response = JSON.parse(responseData);
-                const workflows = response.data || [];
+
+                // Other environments' workflows are left alone
+                const workflows = (response.data || []).filter(w =>
+                  this._isEnvironmentWorkflow(w.name)
+                );
                 
                 // Filter workflows that match our business name pattern
-                const businessName = this.templateVariables.business_name;
+                // (with the environment outside production)
+                const businessName = this._workflowPrefix();
                 const oldWorkflows = workflows.filter(w => 
                   w.name.startsWith(businessName + ' - ') ||
                   w.name.startsWith(businessName + '-') ||
                   // Fallback patterns for workflows without business prefix
-                  w.name.includes('Book Appointment') ||
-                  w.name.includes('Answer Question') ||
-                  w.name.includes('Cancel Appointment') ||
-                  w.name.includes('Modify Appointment') ||
-                  w.name.includes('Identify Appointment') ||
-                  w.name.includes('Log Lead') ||
-                  w.name.includes('Day And Time')
+                  // (skipped for client builds, which share n8n instances)
+                  (!this.clientSlug && [
+                    'Book Appointment',
+                    'Answer Question',
+                    'Cancel Appointment',
+                    'Modify Appointment',
+                    'Identify Appointment',
+                    'Log Lead',
+                    'Day And Time'
+                  ].some(pattern => w.name.includes(pattern)))
                 );
 
                 console.log(`📋 Found ${oldWorkflows.length} old workflows to cleanup`);
@@ -1147,7 +1794,8 @@ class AIVoiceBuilder {
   /**
    * Upload a single workflow file to n8n using REST API
    *
-   * @param {Object} workflow - Workflow file object
+   * @param {Object} workflow - Workflow file object (data, when set, is used
+   *   instead of the file)
    * @param {Object} n8nConfig - n8n configuration
    * @param {Object} authConfig - Authentication configuration
    * @param {string|null} projectId - Project ID to assign workflow to
@@ -1161,10 +1809,12 @@ class AIVoiceBuilder {
     return new Promise((resolve, reject) => {
       try {
         // Read the workflow file
-        const workflowData = JSON.parse(require('fs').readFileSync(workflow.path, 'utf8'));
+        const workflowData =
+          workflow.data ||
+          JSON.parse(require("fs").readFileSync(workflow.path, "utf8"));
         
         // Add business name prefix to workflow name for easy identification
-        const businessName = this.templateVariables.business_name;
+        const businessName = this._workflowPrefix();
         let workflowName = workflowData.name;
         
         // Only add prefix if it doesn't already have it
@@ -1415,8 +2065,7 @@ class AIVoiceBuilder {
     const http = require('http');
     const { URL } = require('url');
 
-    const businessName = this.templateVariables.business_name;
-    const tagName = businessName;
+    const tagName = this._workflowPrefix();
 
     return new Promise((resolve, reject) => {
       try {
@@ -1703,59 +2352,306 @@ class AIVoiceBuilder {
 // ============================================================================
 
 /**
- * Main CLI entry point for the build system
+ * CLI commands
  *
- * USAGE:
- * node build.js build    # Build optimized files
- * node build.js clean    # Clean dist directory
- * node build.js rebuild  # Clean and build
- * node build.js upload   # Upload workflows to n8n
- * node build.js deploy   # Build and upload
+ * Each command receives a builder and the parsed CLI arguments, and
+ * resolves to true on success.
+ * Commands with init: false run without loading the full build system.
  */
-async function main() {
-  const builder = new AIVoiceBuilder();
-  await builder.init();
-
-  const command = process.argv[2];
-
-  switch (command) {
-    case "clean":
+const COMMANDS = {
+  init: {
+    init: false,
+    run: async (builder, args) => {
+      await builder.initConfiguration({
+        answersFile: args.answers,
+        force: args.force
+      });
+      return true;
+    }
+  },
+  clean: {
+    run: async builder => {
       await builder.clean();
-      break;
-    case "build":
+      return true;
+    }
+  },
+  build: {
+    run: async builder => {
       await builder.build();
-      break;
-    case "rebuild":
+      return true;
+    }
+  },
+  rebuild: {
+    run: async builder => {
       await builder.clean();
       await builder.build();
-      break;
-    case "upload":
+      return true;
+    }
+  },
+  upload: {
+    run: async builder => {
       const uploadResult = await builder.uploadWorkflowsToN8n();
-      if (!uploadResult.success && !uploadResult.skipped) {
-        process.exit(1);
-      }
-      break;
-    case "deploy":
+      return uploadResult.success || uploadResult.skipped === true;
+    }
+  },
+  deploy: {
+    run: async builder => {
       await builder.clean();
       await builder.build();
       const deployResult = await builder.uploadWorkflowsToN8n();
-      if (!deployResult.success && !deployResult.skipped) {
-        process.exit(1);
+      return deployResult.success || deployResult.skipped === true;
+    }
+  },
+  "sheets:accept": {
+    run: async builder => {
+      await builder.acceptSheetLayout();
+      return true;
+    }
+  },
+  "webhooks:registry": {
+    init: false,
+    run: async builder => {
+      await builder.printWebhookRegistry();
+      return true;
+    }
+  },
+  "config:resolve": {
+    init: false,
+    run: async builder => {
+      await builder.printResolvedConfiguration();
+      return true;
+    }
+  },
+  "migrate-config": {
+    init: false,
+    run: async builder => {
+      await builder.migrateConfigurationFiles();
+      return true;
+    }
+  },
+  "secrets:set": {
+    init: false,
+    run: async (builder, args) => {
+      const [name] = args.positional;
+      if (!name) {
+        throw new Error("Usage: node build.js secrets:set <NAME> < value.txt");
       }
-      break;
-    default:
-      console.log("Available commands:");
-      console.log("  npm run build     - Build optimized files");
-      console.log("  npm run clean     - Clean dist directory");
-      console.log("  npm run rebuild   - Clean and build");
-      console.log("  npm run upload    - Upload workflows to n8n");
-      console.log("  npm run deploy    - Build and upload to n8n");
+      const value = (await readStdin()).replace(/\r?\n$/, "");
+      const file = await builder.configLoader.secretResolver.setSecret(
+        name,
+        value
+      );
+      console.log(`🔐 Stored secret:${name} in ${file}`);
+      return true;
+    }
+  }
+};
+
+/**
+ * Read all of standard input (for piping secret values)
+ *
+ * @returns {Promise<string>} Standard input contents
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed { command, positional, client, all, environment,
+ *   strict, strictSecrets, answers, force, acceptSheetChanges }
+ */
+function parseCliArgs(argv) {
+  const args = {
+    command: argv[0],
+    positional: [],
+    client: null,
+    all: false,
+    environment: null,
+    strict: false,
+    strictSecrets: false,
+    answers: null,
+    force: false,
+    acceptSheetChanges: false
+  };
+
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--client":
+        args.client = argv[++i] || null;
+        if (!args.client) {
+          throw new Error("--client requires a client slug");
+        }
+        break;
+      case "--all":
+        args.all = true;
+        break;
+      case "--env":
+        args.environment = argv[++i] || null;
+        if (!args.environment) {
+          throw new Error("--env requires an environment name");
+        }
+        break;
+      case "--strict":
+        args.strict = true;
+        break;
+      case "--strict-secrets":
+        args.strictSecrets = true;
+        break;
+      case "--answers":
+        args.answers = argv[++i] || null;
+        if (!args.answers) {
+          throw new Error("--answers requires a JSON file path");
+        }
+        break;
+      case "--force":
+        args.force = true;
+        break;
+      case "--accept-sheet-changes":
+        args.acceptSheetChanges = true;
+        break;
+      default:
+        if (argv[i].startsWith("-")) {
+          throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        args.positional.push(argv[i]);
+    }
+  }
+
+  if (args.client && args.all) {
+    throw new Error("Use either --client <slug> or --all, not both");
+  }
+
+  return args;
+}
+
+/**
+ * Print CLI usage
+ */
+function printUsage() {
+  console.log("Available commands:");
+  console.log("  npm run init           - Create config.json interactively");
+  console.log("  npm run build          - Build optimized files");
+  console.log("  npm run clean          - Clean dist directory");
+  console.log("  npm run rebuild        - Clean and build");
+  console.log("  npm run upload         - Upload workflows to n8n");
+  console.log("  npm run deploy         - Build and upload to n8n");
+  console.log("  npm run config:resolve - Print merged config + sources");
+  console.log("  migrate-config         - Upgrade config to current schema");
+  console.log("  secrets:set <NAME>     - Encrypt stdin into secrets.enc.json");
+  console.log("  sheets:accept          - Record built sheet columns");
+  console.log("  webhooks:registry      - List webhook paths and owners");
+  console.log("");
+  console.log("Flags:");
+  console.log("  --client <slug>        - Build clients/<slug>/ only");
+  console.log("  --all                  - Run the command for every client");
+  console.log("  --env <name>           - Build for an environment");
+  console.log("  --strict               - Fail on config schema errors");
+  console.log("  --strict-secrets       - Fail on unresolved secrets");
+  console.log("  --answers <file>       - init from an answers JSON file");
+  console.log("  --force                - Let init overwrite a config");
+  console.log("  --accept-sheet-changes - Allow breaking sheet changes");
+}
+
+/**
+ * Main CLI entry point for the build system
+ *
+ * USAGE:
+ * node build.js init            # Create config.json (wizard or --answers)
+ * node build.js build           # Build optimized files
+ * node build.js clean           # Clean dist directory
+ * node build.js rebuild         # Clean and build
+ * node build.js upload          # Upload workflows to n8n
+ * node build.js deploy          # Build and upload
+ * node build.js config:resolve  # Print merged config and value sources
+ * node build.js migrate-config  # Upgrade config files to the current schema
+ * node build.js secrets:set KEY # Encrypt stdin into secrets.enc.json
+ * node build.js sheets:accept   # Record built sheet columns as deployed
+ * node build.js webhooks:registry # List registered webhook paths and owners
+ *
+ * FLAGS:
+ * --client <slug>         # Build clients/<slug>/config.json into dist/<slug>/
+ * --all                   # Run the command for every client in clients/
+ * --env <name>            # Build for an environment: config.<name>.json overlay,
+ *                         # build_config.environments.<name>, dist/[<slug>/]<name>/
+ *                         # (default: production, in dist/[<slug>/])
+ * --strict                # Fail on config schema errors
+ * --strict-secrets        # Fail on unresolved secrets
+ * --answers <file>        # init: read answers from JSON instead of prompting
+ * --force                 # init: overwrite an existing config
+ * --accept-sheet-changes  # Deploy (or accept) breaking sheet column changes
+ */
+async function main() {
+  const args = parseCliArgs(process.argv.slice(2));
+
+  const command = COMMANDS[args.command];
+  if (!command) {
+    printUsage();
+    return;
+  }
+
+  // Resolve which clients to run (null = legacy single-client layout)
+  let clients = [args.client];
+  if (args.all) {
+    clients = await new ClientWorkspace().listClients();
+    if (clients.length === 0) {
+      throw new Error("No clients found (expected clients/<slug>/config.json)");
+    }
+    console.log(`👥 Running "${args.command}" for ${clients.length} clients`);
+  }
+
+  const failures = [];
+
+  // Fresh builder per client so no hashes, prompts or reports leak between them
+  for (const client of clients) {
+    const builder = new AIVoiceBuilder({
+      client,
+      environment: args.environment,
+      strict: args.strict,
+      strictSecrets: args.strictSecrets,
+      acceptSheetChanges: args.acceptSheetChanges
+    });
+
+    try {
+      if (command.init !== false) {
+        await builder.init();
+      }
+      if (!(await command.run(builder, args))) {
+        failures.push(client);
+      }
+    } catch (error) {
+      if (!args.all) throw error;
+      console.error(`❌ ${client}: ${error.message}`);
+      failures.push(client);
+    }
+  }
+
+  if (args.all) {
+    console.log(
+      `\n👥 ${clients.length - failures.length}/${clients.length} clients succeeded`
+    );
+  }
+
+  if (failures.length > 0) {
+    if (args.all) {
+      console.error(`❌ Failed clients: ${failures.join(", ")}`);
+    }
+    process.exit(1);
   }
 }
 
 // Entry point
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
 // Export for programmatic usage
@@ -0,0 +1,188 @@
+/**
+ * Booking Rules Module
+ *
+ * Responsible for the per-service booking rules in
+ * client_data.services[].booking_rules. The rules are enforced by the
+ * bookAppointment and modifyAppointment workflows before the calendar
+ * availability check, and summarised for the agent in services_list.
+ *
+ * CONFIG SHAPE:
+ * "booking_rules": {
+ *   "buffer_before_minutes": 15,   // free time needed before the appointment
+ *   "buffer_after_minutes": 15,    // free time needed after the appointment
+ *   "min_notice_hours": 24,        // earliest booking relative to now
+ *   "max_days_ahead": 60,          // latest booking date relative to today
+ *   "allowed_days": ["monday", "wednesday"],
+ *   "allowed_hours": [{ "open": "09:00", "close": "12:00" }],
+ *   "slot_minutes": 30             // start times on a 30-minute grid
+ * }
+ *
+ * Every rule is optional; a service without booking_rules can be booked at
+ * any time the calendar is free. Times are in the appointment's timezone,
+ * and an appointment must fit entirely inside one allowed_hours interval.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Validate rules that can never be satisfied
+ * - Normalise rules for injection into n8n workflows ({{BOOKING_RULES}})
+ * - Describe rules in plain language for the agent
+ *
+ * INTERFACE:
+ * - getErrors(): Validation errors ({ path, message })
+ * - toWorkflowConfig(): Service slug → normalised rules
+ * - describe(slug): Plain-language summary of a service's rules
+ */
+
+const DEFAULT_RULES = {
+  buffer_before_minutes: 0,
+  buffer_after_minutes: 0,
+  min_notice_hours: 0,
+  max_days_ahead: null,
+  allowed_days: null,
+  allowed_hours: null,
+  slot_minutes: null
+};
+
+const DAY_ABBREVIATIONS = {
+  monday: "Mon",
+  tuesday: "Tue",
+  wednesday: "Wed",
+  thursday: "Thu",
+  friday: "Fri",
+  saturday: "Sat",
+  sunday: "Sun"
+};
+
+class BookingRules {
+  /**
+   * @param {Array} services - client_data.services from config.json
+   * @param {Object} options - Options
+   * @param {string} options.path - JSON path of services, for errors
+   */
+  constructor(services = [], options = {}) {
+    this.services = Array.isArray(services) ? services : [];
+    this.path = options.path || "$.client_data.services";
+    this.errors = [];
+
+    this.rules = {};
+    this.services.forEach((service, index) => {
+      if (!service?.slug) return;
+      this.rules[service.slug] = this._resolveRules(
+        service.booking_rules || {},
+        `${this.path}[${index}].booking_rules`
+      );
+    });
+  }
+
+  /**
+   * Get validation errors
+   *
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Build rules for n8n workflows
+   *
+   * @returns {Object} Service slug → rules with every key present
+   */
+  toWorkflowConfig() {
+    return this.rules;
+  }
+
+  /**
+   * Describe a service's rules for the agent
+   *
+   * Buffers are left out: callers only need to know which times to ask
+   * for, and the workflow enforces buffers against the calendar.
+   *
+   * @param {string} slug - Service slug
+   * @returns {string} e.g. "at least 24 hours notice; Mon, Wed only"
+   *   (empty when the service has no caller-facing rules)
+   */
+  describe(slug) {
+    const rules = this.rules[slug];
+    if (!rules) return "";
+
+    const parts = [];
+    if (rules.min_notice_hours > 0) {
+      parts.push(`at least ${rules.min_notice_hours} hours notice`);
+    }
+    if (rules.max_days_ahead) {
+      parts.push(`up to ${rules.max_days_ahead} days ahead`);
+    }
+    if (rules.allowed_days) {
+      parts.push(
+        `${rules.allowed_days.map(day => DAY_ABBREVIATIONS[day]).join(", ")} only`
+      );
+    }
+    if (rules.allowed_hours) {
+      const hours = rules.allowed_hours.map(
+        interval => `${interval.open}-${interval.close}`
+      );
+      parts.push(`within ${hours.join(" or ")}`);
+    }
+    if (rules.slot_minutes) {
+      parts.push(`start times every ${rules.slot_minutes} minutes`);
+    }
+
+    return parts.join("; ");
+  }
+
+  /**
+   * Apply defaults to a service's rules and validate them
+   *
+   * @param {Object} rules - booking_rules from config
+   * @param {string} rulesPath - JSON path for errors
+   * @returns {Object} Rules with every key present
+   */
+  _resolveRules(rules, rulesPath) {
+    const resolved = { ...DEFAULT_RULES, ...rules };
+
+    if (resolved.allowed_days) {
+      const unique = new Set(resolved.allowed_days);
+      if (unique.size !== resolved.allowed_days.length) {
+        this._addError(`${rulesPath}.allowed_days`, "contains duplicate days");
+      }
+      resolved.allowed_days = [...unique];
+    }
+
+    if (resolved.allowed_hours) {
+      resolved.allowed_hours.forEach((interval, index) => {
+        if (interval.open >= interval.close) {
+          this._addError(
+            `${rulesPath}.allowed_hours[${index}]`,
+            `close (${interval.close}) must be after open (${interval.open})`
+          );
+        }
+      });
+    }
+
+    if (
+      resolved.max_days_ahead &&
+      resolved.min_notice_hours > resolved.max_days_ahead * 24
+    ) {
+      this._addError(
+        `${rulesPath}.min_notice_hours`,
+        `${resolved.min_notice_hours} hours notice leaves no bookable time within max_days_ahead (${resolved.max_days_ahead})`
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Record a validation error
+   *
+   * @param {string} errorPath - JSON path
+   * @param {string} message - Error message
+   */
+  _addError(errorPath, message) {
+    this.errors.push({ path: errorPath, message });
+  }
+}
+
+BookingRules.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = BookingRules;
@@ -0,0 +1,734 @@
+const DAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday"
+];
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec"
+];
+
+const FULL_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_DAY = /^(\d{2})-(\d{2})$/;
+
+/**
+ * Business Hours Module
+ *
+ * Responsible for turning client_data.business_hours into a structured
+ * schedule that prompts, the knowledge base and n8n workflows can all rely
+ * on, instead of passing free-text strings around.
+ *
+ * CONFIG SHAPE:
+ * {
+ *   "monday": [{ "open": "09:00", "close": "12:00" },
+ *              { "open": "13:00", "close": "17:00" }],
+ *   "saturday": [],                              // closed
+ *   "sunday": "Closed",                          // legacy strings still parse
+ *   "seasonal": [{ "name": "Summer hours", "from": "06-01", "to": "08-31",
+ *                  "friday": [{ "open": "09:00", "close": "13:00" }] }],
+ *   "holidays": [{ "date": "12-25", "name": "Christmas Day" },
+ *                { "date": "2025-12-24", "name": "Christmas Eve",
+ *                  "hours": [{ "open": "09:00", "close": "12:00" }] }],
+ *   "closures": [{ "from": "2025-08-04", "to": "2025-08-08",
+ *                  "reason": "Team retreat" }],
+ *   "display": "...",                            // optional display override
+ *   "notes": "..."
+ * }
+ *
+ * Times are local to client_data.business_info.timezone (the canonical
+ * timezone), passed in as options.timezone.
+ *
+ * Precedence for a date: closure → holiday → seasonal → weekly hours.
+ * Holidays and seasons given as MM-DD recur every year.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Parse intervals (24h "09:00" or legacy "9:00 AM - 5:00 PM" strings)
+ * - Validate intervals, dates and overlaps with JSON paths
+ * - Resolve the hours that apply on a given date
+ * - Produce display strings, a machine-readable schedule and a KB section
+ *
+ * INTERFACE:
+ * - getErrors(): Validation errors ({ path, message })
+ * - getHoursForDate(date): Hours for a YYYY-MM-DD date, with reason
+ * - toSchedule(): Machine-readable schedule (24h "HH:MM" intervals)
+ * - formatDisplay(): Compact display string ("Mon-Fri 9am-5pm, Sat-Sun closed")
+ * - formatDayLines(): One "Monday: 9:00 AM - 5:00 PM" line per day
+ * - formatKnowledgeBaseSection(today): Markdown section for the KB
+ * - BusinessHours.parseDay(value): Parse one day's hours into intervals
+ * - BusinessHours.toClockIntervals(intervals): Minutes → "HH:MM" intervals
+ */
+class BusinessHours {
+  /**
+   * @param {Object} hours - client_data.business_hours
+   * @param {Object} options - Options
+   * @param {string} options.timezone - Business timezone (business_info)
+   * @param {string} options.path - JSON path of hours, for errors
+   */
+  constructor(hours = {}, options = {}) {
+    this.hours = hours || {};
+    this.path = options.path || "$.client_data.business_hours";
+    this.timezone = options.timezone || "America/New_York";
+    this.errors = [];
+
+    this.weekly = this._parseWeek(this.hours, this.path);
+    this.seasonal = (this.hours.seasonal || []).map((season, index) =>
+      this._parseSeason(season, `${this.path}.seasonal[${index}]`)
+    );
+    this.holidays = (this.hours.holidays || []).map((holiday, index) =>
+      this._parseHoliday(holiday, `${this.path}.holidays[${index}]`)
+    );
+    this.closures = (this.hours.closures || []).map((closure, index) =>
+      this._parseClosure(closure, `${this.path}.closures[${index}]`)
+    );
+  }
+
+  /**
+   * Parse one day's hours into sorted minute intervals
+   *
+   * Accepts an array of { open, close } (or "09:00-17:00" strings), or a
+   * legacy string such as "9:00 AM - 5:00 PM", "9am-12pm, 1pm-5pm",
+   * "Closed" or "24 hours".
+   *
+   * @param {string|Array} value - Day hours
+   * @returns {Array<{open: number, close: number}>} Minutes since midnight
+   * @throws {Error} If the value cannot be parsed
+   */
+  static parseDay(value) {
+    if (value === undefined || value === null) return [];
+
+    let ranges;
+    if (typeof value === "string") {
+      const text = value.trim().toLowerCase();
+      if (text === "" || text === "closed") return [];
+      if (/^(open )?24 ?(hours|hrs|h)$/.test(text)) {
+        return [{ open: 0, close: 24 * 60 }];
+      }
+      ranges = text.split(/\s*(?:,|&|;|\band\b)\s*/).map(splitRange);
+    } else if (Array.isArray(value)) {
+      ranges = value.map(item =>
+        typeof item === "string" ? splitRange(item) : [item.open, item.close]
+      );
+    } else {
+      throw new Error("expected a list of { open, close } intervals");
+    }
+
+    const intervals = ranges
+      .map(([open, close]) => ({
+        open: parseTime(open),
+        close: parseTime(close, true)
+      }))
+      .sort((a, b) => a.open - b.open);
+
+    intervals.forEach((interval, index) => {
+      if (interval.close <= interval.open) {
+        throw new Error(
+          `closes at ${formatClock(interval.close)} before it opens at ${formatClock(interval.open)} (use 24:00 for midnight)`
+        );
+      }
+      const previous = intervals[index - 1];
+      if (previous && interval.open < previous.close) {
+        throw new Error(
+          `intervals ${formatClock(previous.open)}-${formatClock(previous.close)} and ${formatClock(interval.open)}-${formatClock(interval.close)} overlap`
+        );
+      }
+    });
+
+    return intervals;
+  }
+
+  /**
+   * Get validation errors collected while parsing
+   *
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Check whether any weekly hours are configured at all
+   *
+   * @returns {boolean} True if at least one day is specified
+   */
+  hasWeeklyHours() {
+    return DAYS.some(day => this.hours[day] !== undefined);
+  }
+
+  /**
+   * Get the hours that apply on a date
+   *
+   * @param {string} date - Date as YYYY-MM-DD (in the business timezone)
+   * @returns {Object} { date, day, intervals, reason, label } where reason is
+   *   "closure", "holiday", "seasonal" or "regular"
+   */
+  getHoursForDate(date) {
+    const match = FULL_DATE.exec(date);
+    if (!match) throw new Error(`Invalid date "${date}" (expected YYYY-MM-DD)`);
+
+    const day = dayOfWeek(date);
+    const monthDay = `${match[2]}-${match[3]}`;
+    const result = { date, day };
+
+    const closure = this.closures.find(
+      closure => closure.from <= date && date <= closure.to
+    );
+    if (closure) {
+      return {
+        ...result,
+        intervals: [],
+        reason: "closure",
+        label: closure.reason
+      };
+    }
+
+    const holiday = this.holidays.find(
+      holiday => holiday.date === date || holiday.date === monthDay
+    );
+    if (holiday) {
+      return {
+        ...result,
+        intervals: holiday.hours,
+        reason: "holiday",
+        label: holiday.name
+      };
+    }
+
+    const season = this.seasonal.find(
+      season => inSeason(monthDay, season) && season.weekly[day] !== undefined
+    );
+    if (season) {
+      return {
+        ...result,
+        intervals: season.weekly[day],
+        reason: "seasonal",
+        label: season.name
+      };
+    }
+
+    return {
+      ...result,
+      intervals: this.weekly[day],
+      reason: "regular",
+      label: null
+    };
+  }
+
+  /**
+   * Get the machine-readable schedule
+   *
+   * Intervals use 24h "HH:MM" strings so workflows can compare them with
+   * local times directly. Every weekday is present (empty list = closed).
+   *
+   * @returns {Object} { timezone, weekly, seasonal, holidays, closures }
+   */
+  toSchedule() {
+    return {
+      timezone: this.timezone,
+      weekly: mapDays(this.weekly, toClockIntervals),
+      seasonal: this.seasonal.map(season => ({
+        name: season.name,
+        from: season.from,
+        to: season.to,
+        weekly: mapDays(season.weekly, toClockIntervals)
+      })),
+      holidays: this.holidays.map(holiday => ({
+        date: holiday.date,
+        name: holiday.name,
+        hours: toClockIntervals(holiday.hours)
+      })),
+      closures: this.closures.map(closure => ({ ...closure }))
+    };
+  }
+
+  /**
+   * Format the weekly hours as a compact display string
+   *
+   * Consecutive days with the same hours are grouped:
+   * "Mon-Fri 9am-12pm & 1pm-5pm, Sat 10am-2pm, Sun closed"
+   *
+   * @returns {string|null} Display string, or null if no hours are configured
+   */
+  formatDisplay() {
+    if (!this.hasWeeklyHours()) return null;
+
+    const groups = [];
+    for (const day of DAYS) {
+      const key = JSON.stringify(this.weekly[day]);
+      const last = groups[groups.length - 1];
+      if (last && last.key === key) {
+        last.days.push(day);
+      } else {
+        groups.push({ key, days: [day], intervals: this.weekly[day] });
+      }
+    }
+
+    return groups
+      .map(group => {
+        const first = abbreviate(group.days[0]);
+        const label =
+          group.days.length === 1
+            ? first
+            : `${first}-${abbreviate(group.days[group.days.length - 1])}`;
+        return `${label} ${formatShortIntervals(group.intervals)}`;
+      })
+      .join(", ");
+  }
+
+  /**
+   * Format one line per weekday
+   *
+   * @param {Object} weekly - Weekly intervals (defaults to regular hours)
+   * @returns {Array<string>} Lines such as "Monday: 9:00 AM - 5:00 PM"
+   */
+  formatDayLines(weekly = this.weekly) {
+    return DAYS.filter(day => weekly[day] !== undefined).map(
+      day => `${capitalize(day)}: ${formatLongIntervals(weekly[day])}`
+    );
+  }
+
+  /**
+   * Format the knowledge base section
+   *
+   * Lists regular hours, seasonal hours, holidays and planned closures.
+   * Dated holidays and closures that ended before `today` are left out.
+   *
+   * @param {string} today - Build date as YYYY-MM-DD
+   * @returns {string} Markdown
+   */
+  formatKnowledgeBaseSection(today = new Date().toISOString().split("T")[0]) {
+    if (!this.hasWeeklyHours()) {
+      return "Please contact us for hours.";
+    }
+
+    const lines = [`All times are ${this.timezone}.`, ""];
+    lines.push("| Day | Hours |", "| --- | --- |");
+    for (const day of DAYS) {
+      lines.push(
+        `| ${capitalize(day)} | ${formatLongIntervals(this.weekly[day])} |`
+      );
+    }
+
+    for (const season of this.seasonal) {
+      lines.push(
+        "",
+        `**${season.name}** (${formatMonthDay(season.from)} - ${formatMonthDay(season.to)}):`
+      );
+      this.formatDayLines(season.weekly).forEach(line =>
+        lines.push(`- ${line}`)
+      );
+    }
+
+    const holidays = this.holidays.filter(
+      holiday => !FULL_DATE.test(holiday.date) || holiday.date >= today
+    );
+    if (holidays.length > 0) {
+      lines.push("", "**Holidays:**");
+      holidays.forEach(holiday =>
+        lines.push(
+          `- ${holiday.name} (${formatDate(holiday.date)}): ${formatLongIntervals(holiday.hours)}`
+        )
+      );
+    }
+
+    const closures = this.closures.filter(closure => closure.to >= today);
+    if (closures.length > 0) {
+      lines.push("", "**Planned closures:**");
+      closures.forEach(closure => {
+        const range =
+          closure.from === closure.to
+            ? formatDate(closure.from)
+            : `${formatDate(closure.from)} - ${formatDate(closure.to)}`;
+        lines.push(`- ${range}${closure.reason ? `: ${closure.reason}` : ""}`);
+      });
+    }
+
+    if (this.hours.notes) {
+      lines.push("", this.hours.notes);
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Parse the weekday keys of an hours object
+   *
+   * @param {Object} source - Object with weekday keys
+   * @param {string} basePath - JSON path for errors
+   * @param {boolean} onlyGiven - Skip days that are not specified
+   * @returns {Object} day → intervals
+   */
+  _parseWeek(source, basePath, onlyGiven = false) {
+    const weekly = {};
+    for (const day of DAYS) {
+      if (onlyGiven && source[day] === undefined) continue;
+      weekly[day] = this._parseIntervals(source[day], `${basePath}.${day}`);
+    }
+    return weekly;
+  }
+
+  /**
+   * Parse intervals, recording errors instead of throwing
+   *
+   * @param {string|Array} value - Day hours
+   * @param {string} valuePath - JSON path for errors
+   * @returns {Array} Intervals (empty when invalid)
+   */
+  _parseIntervals(value, valuePath) {
+    try {
+      return BusinessHours.parseDay(value);
+    } catch (error) {
+      this.errors.push({ path: valuePath, message: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Parse a seasonal hours entry
+   *
+   * @param {Object} season - { name, from, to, <weekday>: intervals }
+   * @param {string} seasonPath - JSON path for errors
+   * @returns {Object} { name, from, to, weekly }
+   */
+  _parseSeason(season, seasonPath) {
+    for (const key of ["from", "to"]) {
+      if (!isMonthDay(season[key])) {
+        this._addError(`${seasonPath}.${key}`, "expected MM-DD");
+      }
+    }
+
+    return {
+      name: season.name || "Seasonal hours",
+      from: season.from,
+      to: season.to,
+      weekly: this._parseWeek(season, seasonPath, true)
+    };
+  }
+
+  /**
+   * Parse a holiday entry
+   *
+   * @param {Object} holiday - { date, name, hours }
+   * @param {string} holidayPath - JSON path for errors
+   * @returns {Object} { date, name, hours }
+   */
+  _parseHoliday(holiday, holidayPath) {
+    if (!isFullDate(holiday.date) && !isMonthDay(holiday.date)) {
+      this._addError(`${holidayPath}.date`, "expected YYYY-MM-DD or MM-DD");
+    }
+
+    return {
+      date: holiday.date,
+      name: holiday.name || "Holiday",
+      hours: this._parseIntervals(holiday.hours, `${holidayPath}.hours`)
+    };
+  }
+
+  /**
+   * Parse a closure entry ({ date } or { from, to })
+   *
+   * @param {Object} closure - Closure entry
+   * @param {string} closurePath - JSON path for errors
+   * @returns {Object} { from, to, reason }
+   */
+  _parseClosure(closure, closurePath) {
+    const from = closure.from || closure.date;
+    const to = closure.to || from;
+
+    if (!isFullDate(from)) {
+      this._addError(`${closurePath}.from`, "expected YYYY-MM-DD");
+    } else if (!isFullDate(to) || to < from) {
+      this._addError(
+        `${closurePath}.to`,
+        "expected YYYY-MM-DD on or after from"
+      );
+    }
+
+    return { from, to, reason: closure.reason || "" };
+  }
+
+  /**
+   * Record a validation error
+   *
+   * @param {string} errorPath - JSON path
+   * @param {string} message - Error message
+   */
+  _addError(errorPath, message) {
+    this.errors.push({ path: errorPath, message });
+  }
+}
+
+/**
+ * Split "9am - 5pm" / "09:00-17:00" / "9 to 5" into [open, close]
+ *
+ * @param {string} text - Range text
+ * @returns {Array<string>} [open, close]
+ */
+function splitRange(text) {
+  const parts = text.split(/\s*(?:-|–|—|\bto\b)\s*/);
+  if (parts.length !== 2) {
+    throw new Error(`cannot parse hours "${text}"`);
+  }
+  return parts;
+}
+
+/**
+ * Parse a time of day into minutes since midnight
+ *
+ * Accepts "09:00", "17:30", "9am", "9:30 PM", "noon" and "midnight".
+ *
+ * @param {string} text - Time text
+ * @param {boolean} isClose - Whether this is a closing time (allows 24:00)
+ * @returns {number} Minutes since midnight
+ */
+function parseTime(text, isClose = false) {
+  const value = String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\./g, "");
+
+  if (value === "noon") return 12 * 60;
+  if (value === "midnight") return isClose ? 24 * 60 : 0;
+
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(value);
+  if (!match) {
+    throw new Error(`cannot parse time "${text}"`);
+  }
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3];
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) throw new Error(`invalid time "${text}"`);
+    hour = (hour % 12) + (meridiem === "pm" ? 12 : 0);
+    // "12am" as a closing time means the end of the day
+    if (isClose && hour === 0 && minute === 0) hour = 24;
+  }
+
+  const minutes = hour * 60 + minute;
+  if (minute > 59 || minutes > 24 * 60 || (minutes === 24 * 60 && !isClose)) {
+    throw new Error(`invalid time "${text}"`);
+  }
+  return minutes;
+}
+
+/**
+ * Format minutes as a 24h "HH:MM" clock time
+ *
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} "HH:MM"
+ */
+function formatClock(minutes) {
+  const hour = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${hour}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Format minutes as a compact 12h time ("9am", "5:30pm")
+ *
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Compact time
+ */
+function formatShortTime(minutes) {
+  const hour24 = Math.floor(minutes / 60) % 24;
+  const minute = minutes % 60;
+  const hour = hour24 % 12 || 12;
+  const meridiem = hour24 < 12 ? "am" : "pm";
+  return minute
+    ? `${hour}:${String(minute).padStart(2, "0")}${meridiem}`
+    : `${hour}${meridiem}`;
+}
+
+/**
+ * Format minutes as a long 12h time ("9:00 AM")
+ *
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Long time
+ */
+function formatLongTime(minutes) {
+  const hour24 = Math.floor(minutes / 60) % 24;
+  const hour = hour24 % 12 || 12;
+  const meridiem = hour24 < 12 ? "AM" : "PM";
+  return `${hour}:${String(minutes % 60).padStart(2, "0")} ${meridiem}`;
+}
+
+/**
+ * Format a day's intervals compactly ("9am-12pm & 1pm-5pm" or "closed")
+ *
+ * @param {Array} intervals - Minute intervals
+ * @returns {string} Compact hours
+ */
+function formatShortIntervals(intervals) {
+  if (intervals.length === 0) return "closed";
+  return intervals
+    .map(
+      ({ open, close }) => `${formatShortTime(open)}-${formatShortTime(close)}`
+    )
+    .join(" & ");
+}
+
+/**
+ * Format a day's intervals in full ("9:00 AM - 5:00 PM" or "Closed")
+ *
+ * @param {Array} intervals - Minute intervals
+ * @returns {string} Long hours
+ */
+function formatLongIntervals(intervals) {
+  if (intervals.length === 0) return "Closed";
+  if (
+    intervals.length === 1 &&
+    intervals[0].open === 0 &&
+    intervals[0].close === 24 * 60
+  ) {
+    return "Open 24 hours";
+  }
+  return intervals
+    .map(
+      ({ open, close }) => `${formatLongTime(open)} - ${formatLongTime(close)}`
+    )
+    .join(", ");
+}
+
+/**
+ * Convert minute intervals to 24h "HH:MM" intervals
+ *
+ * @param {Array} intervals - Minute intervals
+ * @returns {Array<{open: string, close: string}>} Clock intervals
+ */
+function toClockIntervals(intervals) {
+  return intervals.map(({ open, close }) => ({
+    open: formatClock(open),
+    close: formatClock(close)
+  }));
+}
+
+/**
+ * Apply a transform to every day of a weekly map
+ *
+ * @param {Object} weekly - day → intervals
+ * @param {Function} transform - intervals → value
+ * @returns {Object} day → transformed value
+ */
+function mapDays(weekly, transform) {
+  const mapped = {};
+  for (const [day, intervals] of Object.entries(weekly)) {
+    mapped[day] = transform(intervals);
+  }
+  return mapped;
+}
+
+/**
+ * Check whether an MM-DD date falls in a (possibly year-wrapping) season
+ *
+ * @param {string} monthDay - MM-DD
+ * @param {Object} season - { from, to } as MM-DD
+ * @returns {boolean} True if in season
+ */
+function inSeason(monthDay, season) {
+  if (!season.from || !season.to) return false;
+  return season.from <= season.to
+    ? season.from <= monthDay && monthDay <= season.to
+    : monthDay >= season.from || monthDay <= season.to;
+}
+
+/**
+ * Check that a value is a real YYYY-MM-DD calendar date
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isFullDate(value) {
+  const match = FULL_DATE.exec(value || "");
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Check that a value is a real MM-DD date (Feb 29 allowed)
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isMonthDay(value) {
+  const match = MONTH_DAY.exec(value || "");
+  return Boolean(match) && isFullDate(`2000-${match[1]}-${match[2]}`);
+}
+
+/**
+ * Get the weekday name of a YYYY-MM-DD date
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Weekday ("monday" ... "sunday")
+ */
+function dayOfWeek(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  const index = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return DAYS[(index + 6) % 7];
+}
+
+/**
+ * Abbreviate a weekday ("monday" → "Mon")
+ *
+ * @param {string} day - Weekday
+ * @returns {string} Abbreviation
+ */
+function abbreviate(day) {
+  return capitalize(day.slice(0, 3));
+}
+
+/**
+ * Capitalize the first letter of a word
+ *
+ * @param {string} word - Word
+ * @returns {string} Capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Format MM-DD as "Dec 25"
+ *
+ * @param {string} monthDay - MM-DD
+ * @returns {string} Readable date
+ */
+function formatMonthDay(monthDay) {
+  const match = MONTH_DAY.exec(monthDay || "");
+  return match
+    ? `${MONTHS[Number(match[1]) - 1]} ${Number(match[2])}`
+    : monthDay;
+}
+
+/**
+ * Format YYYY-MM-DD as "Dec 25, 2025" (MM-DD as "Dec 25")
+ *
+ * @param {string} date - Date
+ * @returns {string} Readable date
+ */
+function formatDate(date) {
+  const match = FULL_DATE.exec(date || "");
+  if (!match) return formatMonthDay(date);
+  return `${MONTHS[Number(match[2]) - 1]} ${Number(match[3])}, ${match[1]}`;
+}
+
+BusinessHours.DAYS = DAYS;
+BusinessHours.toClockIntervals = toClockIntervals;
+
+module.exports = BusinessHours;
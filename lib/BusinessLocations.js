@@ -0,0 +1,306 @@
+const BusinessHours = require("./BusinessHours");
+
+/**
+ * Business Locations Module
+ *
+ * Responsible for the optional client_data.locations[] model used by
+ * businesses with more than one site. Each location has its own address,
+ * hours, timezone, transfer number, allowed services and booking calendar;
+ * anything a location leaves out is inherited from the business:
+ *
+ *   phone, timezone        ← client_data.business_info
+ *   business_hours         ← client_data.business_hours
+ *   transfer_phone_number  ← build_config.infrastructure.transfer_phone_number
+ *   services               ← every service in client_data.services
+ *
+ * CONFIG SHAPE:
+ * "locations": [{
+ *   "id": "downtown",
+ *   "name": "Downtown Clinic",
+ *   "address": { "street", "city", "state", "zip", "country" },
+ *   "phone": "+15551234567",
+ *   "timezone": "America/Chicago",
+ *   "transfer_phone_number": "+15551234567",
+ *   "business_hours": { "monday": [{ "open": "08:00", "close": "16:00" }] },
+ *   "services": ["consultation"],
+ *   "calendar_id": "abc123@group.calendar.google.com"
+ * }]
+ *
+ * A config without locations is a single-location business and nothing in
+ * the build changes.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Resolve each location with inherited business defaults
+ * - Validate ids, service references, timezones and hours
+ * - Produce the booking location selector, KB section, runtime summary
+ *   and workflow calendar routing
+ *
+ * INTERFACE:
+ * - hasLocations(): True if locations are configured
+ * - getLocations(): Resolved locations
+ * - getErrors(): Validation errors ({ path, message })
+ * - generateSelectionSchema(): Location property for booking tools
+ * - toWorkflowConfig(): Location id → routing details for n8n workflows
+ * - formatSummary(): One line per location for the agent prompt
+ * - formatKnowledgeBaseSection(today): Markdown section for the KB
+ */
+class BusinessLocations {
+  /**
+   * @param {Object} clientData - client_data from config.json
+   * @param {Object} options - Options
+   * @param {string} options.transferPhoneNumber - Business transfer number
+   * @param {string} options.path - JSON path of locations, for errors
+   */
+  constructor(clientData = {}, options = {}) {
+    this.clientData = clientData || {};
+    this.path = options.path || "$.client_data.locations";
+    this.transferPhoneNumber = options.transferPhoneNumber || "";
+    this.errors = [];
+
+    const locations = Array.isArray(this.clientData.locations)
+      ? this.clientData.locations
+      : [];
+    this.locations = locations.map((location, index) =>
+      this._resolveLocation(location || {}, `${this.path}[${index}]`)
+    );
+    this._checkDuplicateIds();
+  }
+
+  /**
+   * Check whether any locations are configured
+   *
+   * @returns {boolean} True if locations are configured
+   */
+  hasLocations() {
+    return this.locations.length > 0;
+  }
+
+  /**
+   * Get resolved locations
+   *
+   * @returns {Array<Object>} Locations with inherited defaults applied
+   */
+  getLocations() {
+    return this.locations;
+  }
+
+  /**
+   * Get validation errors
+   *
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Generate the location selector for booking tool schemas
+   *
+   * @returns {Object|null} JSON schema for "location", or null without locations
+   */
+  generateSelectionSchema() {
+    if (!this.hasLocations()) return null;
+
+    const options = this.locations
+      .map(location => {
+        const address = formatAddress(location.address);
+        return `"${location.id}" = ${location.name}${address ? ` (${address})` : ""}`;
+      })
+      .join("; ");
+
+    return {
+      type: "string",
+      enum: this.locations.map(location => location.id),
+      description: `Location for the appointment. Ask the caller which location they want: ${options}.`
+    };
+  }
+
+  /**
+   * Build routing details for n8n workflows
+   *
+   * @returns {Object} Location id → { name, timezone, calendar_id, services,
+   *   transfer_phone_number, address }
+   */
+  toWorkflowConfig() {
+    const config = {};
+    for (const location of this.locations) {
+      config[location.id] = {
+        name: location.name,
+        timezone: location.timezone,
+        calendar_id: location.calendar_id,
+        services: location.services,
+        transfer_phone_number: location.transfer_phone_number,
+        address: formatAddress(location.address)
+      };
+    }
+    return config;
+  }
+
+  /**
+   * Format one line per location for the agent prompt
+   *
+   * @returns {string} Summary lines (empty without locations)
+   */
+  formatSummary() {
+    return this.locations
+      .map(location => {
+        const parts = [
+          formatAddress(location.address),
+          `${location.hours.formatDisplay() || "hours on request"} (${location.timezone})`,
+          `services: ${this._formatServiceNames(location)}`,
+          `transfer: ${location.transfer_phone_number || "none"}`
+        ].filter(Boolean);
+        return `- ${location.name} [${location.id}]: ${parts.join("; ")}`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Format the locations section for the knowledge base
+   *
+   * @param {string} today - Today as YYYY-MM-DD (filters past holidays)
+   * @returns {string} Markdown section
+   */
+  formatKnowledgeBaseSection(today) {
+    if (!this.hasLocations()) {
+      return "All appointments take place at our main location.";
+    }
+
+    return this.locations
+      .map(location => {
+        const lines = [`### ${location.name}`, ""];
+        const address = formatAddress(location.address);
+        if (address) lines.push(`- Address: ${address}`);
+        if (location.phone) lines.push(`- Phone: ${location.phone}`);
+        lines.push(`- Timezone: ${location.timezone}`);
+        lines.push(`- Services: ${this._formatServiceNames(location)}`);
+        lines.push("", location.hours.formatKnowledgeBaseSection(today));
+        return lines.join("\n");
+      })
+      .join("\n\n");
+  }
+
+  /**
+   * Resolve a location, applying business defaults and validating it
+   *
+   * @param {Object} location - Location from config
+   * @param {string} locationPath - JSON path for errors
+   * @returns {Object} Resolved location
+   */
+  _resolveLocation(location, locationPath) {
+    const businessInfo = this.clientData.business_info || {};
+    const services = this.clientData.services || [];
+    const serviceSlugs = services.map(service => service.slug);
+
+    const timezone =
+      location.timezone || businessInfo.timezone || "America/New_York";
+    if (!isValidTimezone(timezone)) {
+      this._addError(
+        `${locationPath}.timezone`,
+        `unknown timezone "${timezone}"`
+      );
+    }
+
+    const ownHours = Boolean(location.business_hours);
+    const hours = new BusinessHours(
+      ownHours ? location.business_hours : this.clientData.business_hours,
+      { timezone, path: `${locationPath}.business_hours` }
+    );
+    if (ownHours) this.errors.push(...hours.getErrors());
+
+    (location.services || []).forEach((slug, index) => {
+      if (!serviceSlugs.includes(slug)) {
+        this._addError(
+          `${locationPath}.services[${index}]`,
+          `unknown service "${slug}" (expected one of ${serviceSlugs.join(", ")})`
+        );
+      }
+    });
+
+    return {
+      id: location.id,
+      name: location.name || location.id,
+      address: location.address || {},
+      phone: location.phone || businessInfo.phone || "",
+      timezone,
+      transfer_phone_number:
+        location.transfer_phone_number || this.transferPhoneNumber,
+      hours,
+      services: location.services || serviceSlugs,
+      calendar_id: location.calendar_id || null
+    };
+  }
+
+  /**
+   * Report locations that share an id
+   */
+  _checkDuplicateIds() {
+    const seen = new Set();
+    this.locations.forEach((location, index) => {
+      if (!location.id) return;
+      if (seen.has(location.id)) {
+        this._addError(
+          `${this.path}[${index}].id`,
+          `duplicate location id "${location.id}"`
+        );
+      }
+      seen.add(location.id);
+    });
+  }
+
+  /**
+   * Format the names of the services offered at a location
+   *
+   * @param {Object} location - Resolved location
+   * @returns {string} Comma-separated service names
+   */
+  _formatServiceNames(location) {
+    const services = this.clientData.services || [];
+    if (location.services.length === services.length) return "all services";
+
+    return location.services
+      .map(slug => services.find(service => service.slug === slug)?.name)
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  /**
+   * Record a validation error
+   *
+   * @param {string} errorPath - JSON path
+   * @param {string} message - Error message
+   */
+  _addError(errorPath, message) {
+    this.errors.push({ path: errorPath, message });
+  }
+}
+
+/**
+ * Format an address object as a single line
+ *
+ * @param {Object} address - { street, city, state, zip, country }
+ * @returns {string} "123 Main St, Chicago, IL 60601" (empty if unset)
+ */
+function formatAddress(address = {}) {
+  const stateZip = [address.state, address.zip].filter(Boolean).join(" ");
+  return [address.street, address.city, stateZip].filter(Boolean).join(", ");
+}
+
+/**
+ * Check whether a timezone is a valid IANA name
+ *
+ * @param {string} timezone - Timezone
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+BusinessLocations.formatAddress = formatAddress;
+
+module.exports = BusinessLocations;
@@ -0,0 +1,228 @@
+const fs = require("fs").promises;
+const path = require("path");
+const DeploymentEnvironment = require("./DeploymentEnvironment");
+
+/**
+ * Client Workspace Module
+ *
+ * Responsible for resolving per-client configuration and output locations so
+ * a single checkout can build every client in the book. Each client lives in
+ * its own directory with its own config.json and builds to its own dist
+ * subdirectory, keeping webhook hashes, prompts and token reports isolated.
+ *
+ * LAYOUT:
+ *   clients/<slug>/config.json  →  dist/<slug>/
+ *   clients/<slug>/sheet-manifest.json (sheet columns as last deployed)
+ *   clients/<slug>/webhook-manifest.json (webhook epochs as deployed)
+ *
+ * When no client is selected the legacy single-client layout is used
+ * (config.json and the manifests at the repository root, output in
+ * dist/). The clients' output folders sit inside it, and cleaning it keeps
+ * them (listNestedOutputs). The manifests live beside the config rather
+ * than in dist/ so they survive clean builds.
+ *
+ * webhook-registry.json, at the repository root in both layouts, is shared
+ * by every client and environment: it records who owns each webhook path on
+ * each n8n instance (see WebhookRegistry).
+ *
+ * ENVIRONMENTS:
+ * A build for an environment (--env <name>) gets its own output set and
+ * deployment history, so staging never overwrites production's. Builds
+ * without --env are production builds and keep the client's output folder;
+ * the other environments build into folders inside it:
+ *   clients/<slug>/config.json --env staging  →  dist/<slug>/staging/
+ *   clients/<slug>/sheet-manifest.staging.json
+ *   clients/<slug>/webhook-manifest.staging.json
+ * --env production is the same build as no --env (dist/<slug>/, manifests
+ * without a suffix). Cleaning a production build keeps the folders other
+ * builds wrote inside it (listNestedOutputs).
+ *
+ * KEY RESPONSIBILITIES:
+ * - Validate client slugs
+ * - Resolve config and dist paths for a client and environment
+ * - Discover all configured clients
+ * - Find the other builds' output folders inside an output folder
+ *
+ * INTERFACE:
+ * - resolveClient(slug, environment): Get { slug, configPath, distDir,
+ *   sheetManifestPath, webhookManifestPath, webhookRegistryPath }
+ * - resolveDefault(environment): Get paths for the single-client layout
+ * - listClients(): List slugs of all clients with a config.json
+ * - listNestedOutputs(distDir, sourceDir): Folders in a production output
+ *   folder that hold other builds' output
+ */
+
+class ClientWorkspace {
+  /**
+   * @param {Object} options - Workspace options
+   * @param {string} options.clientsDir - Directory holding client folders
+   * @param {string} options.distDir - Root output directory
+   * @param {string} options.configFile - Config filename inside client folders
+   * @param {string} options.manifestFile - Sheet manifest filename
+   * @param {string} options.webhookManifestFile - Webhook manifest filename
+   * @param {string} options.registryFile - Shared webhook registry path
+   */
+  constructor(options = {}) {
+    this.clientsDir = options.clientsDir || "clients";
+    this.distDir = options.distDir || "dist";
+    this.configFile = options.configFile || "config.json";
+    this.manifestFile = options.manifestFile || "sheet-manifest.json";
+    this.webhookManifestFile =
+      options.webhookManifestFile || "webhook-manifest.json";
+    this.registryFile = options.registryFile || "webhook-registry.json";
+  }
+
+  /**
+   * Resolve configuration and output paths for a client
+   *
+   * @param {string} slug - Client slug (directory name under clients/)
+   * @param {string|null} environment - Environment name (--env)
+   * @returns {Object} Client paths { slug, configPath, distDir,
+   *   sheetManifestPath, webhookManifestPath, webhookRegistryPath }
+   * @throws {Error} If slug or environment is invalid
+   */
+  resolveClient(slug, environment = null) {
+    if (!this.isValidSlug(slug)) {
+      throw new Error(
+        `Invalid client slug "${slug}" (use lowercase letters, digits and dashes)`
+      );
+    }
+
+    const clientDir = path.join(this.clientsDir, slug);
+    return {
+      slug,
+      configPath: path.join(clientDir, this.configFile),
+      ...this._resolveOutputs(
+        path.join(this.distDir, slug),
+        clientDir,
+        environment
+      )
+    };
+  }
+
+  /**
+   * Resolve paths for the legacy single-client layout
+   *
+   * @param {string|null} environment - Environment name (--env)
+   * @returns {Object} Default paths { slug, configPath, distDir,
+   *   sheetManifestPath, webhookManifestPath, webhookRegistryPath }
+   * @throws {Error} If environment is invalid
+   */
+  resolveDefault(environment = null) {
+    return {
+      slug: null,
+      configPath: this.configFile,
+      ...this._resolveOutputs(this.distDir, "", environment)
+    };
+  }
+
+  /**
+   * Resolve the dist directory and manifests for an environment
+   *
+   * @param {string} distDir - Production output directory
+   * @param {string} manifestDir - Directory holding the manifests
+   * @param {string|null} environment - Environment name (--env)
+   * @returns {Object} { distDir, sheetManifestPath, webhookManifestPath,
+   *   webhookRegistryPath }
+   * @throws {Error} If environment is invalid
+   */
+  _resolveOutputs(distDir, manifestDir, environment) {
+    if (environment && !this.isValidSlug(environment)) {
+      throw new Error(
+        `Invalid environment "${environment}" (use lowercase letters, digits and dashes)`
+      );
+    }
+
+    // sheet-manifest.json → sheet-manifest.staging.json
+    const isProduction =
+      !environment || environment === DeploymentEnvironment.PRODUCTION;
+    const forEnvironment = file =>
+      isProduction ? file : file.replace(/\.json$/, `.${environment}.json`);
+
+    return {
+      distDir: isProduction ? distDir : path.join(distDir, environment),
+      sheetManifestPath: path.join(
+        manifestDir,
+        forEnvironment(this.manifestFile)
+      ),
+      webhookManifestPath: path.join(
+        manifestDir,
+        forEnvironment(this.webhookManifestFile)
+      ),
+      webhookRegistryPath: this.registryFile
+    };
+  }
+
+  /**
+   * List all clients that have a config file
+   *
+   * @returns {Promise<Array<string>>} Sorted client slugs
+   */
+  async listClients() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.clientsDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const clients = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !this.isValidSlug(entry.name)) {
+        continue;
+      }
+
+      try {
+        await fs.access(
+          path.join(this.clientsDir, entry.name, this.configFile)
+        );
+        clients.push(entry.name);
+      } catch {
+        // Directory without a config file is not a client
+      }
+    }
+
+    return clients.sort();
+  }
+
+  /**
+   * List the folders in a production output folder that hold other builds'
+   * output (environment builds, and every client's inside dist/)
+   *
+   * A build mirrors the folders of the template source into its output
+   * folder, so any other folder there was written by another build.
+   *
+   * @param {string} distDir - Production output directory
+   * @param {string} sourceDir - Template source directory (src/)
+   * @returns {Promise<Array<string>>} Sorted folder names
+   */
+  async listNestedOutputs(distDir, sourceDir) {
+    const listFolders = async dir => {
+      try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries.filter(e => e.isDirectory()).map(e => e.name);
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+    };
+
+    const ownFolders = new Set(await listFolders(sourceDir));
+    return (await listFolders(distDir))
+      .filter(name => !ownFolders.has(name))
+      .sort();
+  }
+
+  /**
+   * Check whether a string is a valid client slug
+   *
+   * @param {string} slug - Candidate slug
+   * @returns {boolean} True if valid
+   */
+  isValidSlug(slug) {
+    return typeof slug === "string" && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug);
+  }
+}
+
+module.exports = ClientWorkspace;
@@ -0,0 +1,259 @@
+const fs = require("fs").promises;
+const prettier = require("prettier");
+const BusinessHours = require("./BusinessHours");
+const ConfigSchemaValidator = require("./ConfigSchemaValidator");
+
+/**
+ * Config Migrator Module
+ *
+ * Responsible for upgrading older client configs to the current schema
+ * version. Each migrator moves a config from one schema_version to the next,
+ * and migrators run in order until the config reaches the version expected
+ * by ConfigSchemaValidator. A config without schema_version is version 0,
+ * unless it is an overlay layer: partial layers (base.json, config.<env>.json)
+ * rarely carry a version, so an unversioned layer takes the version of the
+ * layer it extends or is overlaid on (baseVersion) and only an unversioned
+ * root layer counts as version 0.
+ *
+ * ADDING A MIGRATION:
+ * 1. Bump SCHEMA_VERSION in ConfigSchemaValidator and update the schema
+ * 2. Append { from, to, description, migrate } to MIGRATIONS below
+ * 3. migrate(config) mutates a copy of the config; leave anything it does
+ *    not recognise untouched so partial overlay layers survive
+ *
+ * KEY RESPONSIBILITIES:
+ * - Detect the schema version of a config
+ * - Run ordered migrators up to the current version
+ * - Migrate config files on disk, keeping a backup of the original and
+ *   formatting the result with the repository's Prettier config
+ *
+ * INTERFACE:
+ * - migrate(config, baseVersion): Migrate a config object (returns a copy)
+ * - migrateFile(filePath, baseVersion): Migrate a config file in place with
+ *   backup
+ * - getVersion(config, baseVersion): Get the schema version of a config
+ * - getCurrentVersion(): Get the version migrations lead to
+ * - formatConfig(config, filePath): Config JSON formatted for a file with
+ *   the repository's Prettier config (also used by ConfigWizard)
+ */
+
+/**
+ * Ordered migrators. Each moves a config from `from` to `to` (= from + 1).
+ */
+const MIGRATIONS = [
+  {
+    // Version 1 is the layout configs had before schema_version existed, so
+    // unversioned configs only need the version stamped
+    from: 0,
+    to: 1,
+    description: "Stamp schema_version on unversioned configs (no changes)",
+    migrate() {}
+  },
+  {
+    from: 1,
+    to: 2,
+    description:
+      "Convert free-text business hours to structured { open, close } intervals",
+    migrate(config) {
+      const hours = config.client_data?.business_hours;
+      if (!isPlainObject(hours)) return;
+
+      for (const day of BusinessHours.DAYS) {
+        if (typeof hours[day] !== "string") continue;
+        try {
+          hours[day] = BusinessHours.toClockIntervals(
+            BusinessHours.parseDay(hours[day])
+          );
+        } catch {
+          // Unparseable text stays as-is and is reported at load time
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Check whether a value is a plain (non-array) object
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True if plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+class ConfigMigrator {
+  /**
+   * @param {Array} migrations - Ordered migrators (defaults to MIGRATIONS)
+   * @param {number} currentVersion - Version migrations must reach
+   */
+  constructor(
+    migrations = MIGRATIONS,
+    currentVersion = ConfigSchemaValidator.SCHEMA_VERSION
+  ) {
+    this.migrations = migrations;
+    this.currentVersion = currentVersion;
+
+    // A gap in the chain would strand configs at an old version
+    migrations.forEach((migration, index) => {
+      if (migration.from !== index || migration.to !== index + 1) {
+        throw new Error(
+          `Config migrations must be contiguous (found ${migration.from} → ${migration.to} at position ${index})`
+        );
+      }
+    });
+    if (migrations.length !== currentVersion) {
+      throw new Error(
+        `Config migrations end at v${migrations.length}, schema is v${currentVersion}`
+      );
+    }
+  }
+
+  /**
+   * Get the version migrations lead to
+   *
+   * @returns {number} Current schema version
+   */
+  getCurrentVersion() {
+    return this.currentVersion;
+  }
+
+  /**
+   * Get the schema version of a config (baseVersion when unversioned)
+   *
+   * @param {Object} config - Configuration object
+   * @param {number} baseVersion - Version of the layer beneath it (0 for the
+   *   root layer)
+   * @returns {number} Schema version
+   * @throws {Error} If schema_version is not a non-negative integer
+   */
+  getVersion(config, baseVersion = 0) {
+    const version = config.schema_version;
+    if (version === undefined) return baseVersion;
+
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(
+        `schema_version must be a non-negative integer, got ${JSON.stringify(version)}`
+      );
+    }
+    return version;
+  }
+
+  /**
+   * Migrate a config object to the current schema version
+   *
+   * @param {Object} config - Configuration object (not mutated)
+   * @param {number} baseVersion - Version of the layer beneath it (0 for the
+   *   root layer)
+   * @returns {Object} { config, from, to, applied } - applied lists descriptions
+   * @throws {Error} If the config is newer than this build system supports
+   */
+  migrate(config, baseVersion = 0) {
+    const from = this.getVersion(config, baseVersion);
+
+    if (from > this.currentVersion) {
+      throw new Error(
+        `Config schema_version ${from} is newer than this build system (v${this.currentVersion}). Pull the latest template.`
+      );
+    }
+
+    if (from === this.currentVersion) {
+      return { config, from, to: from, applied: [] };
+    }
+
+    const migrated = JSON.parse(JSON.stringify(config));
+    const applied = [];
+
+    for (const migration of this.migrations.slice(from)) {
+      migration.migrate(migrated);
+      applied.push(
+        `v${migration.from} → v${migration.to}: ${migration.description}`
+      );
+    }
+
+    return {
+      config: this._stampVersion(migrated, this.currentVersion),
+      from,
+      to: this.currentVersion,
+      applied
+    };
+  }
+
+  /**
+   * Migrate a config file in place, writing a backup of the original
+   *
+   * @param {string} filePath - Config file path
+   * @param {number} baseVersion - Version of the layer beneath it (0 for the
+   *   root layer)
+   * @returns {Promise<Object>} { file, from, to, applied, backupPath }
+   */
+  async migrateFile(filePath, baseVersion = 0) {
+    const content = await fs.readFile(filePath, "utf-8");
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+
+    const result = this.migrate(config, baseVersion);
+    if (result.applied.length === 0) {
+      return { file: filePath, ...result, backupPath: null };
+    }
+
+    const backupPath = `${filePath}.v${result.from}.bak`;
+    await fs.writeFile(backupPath, content);
+    await fs.writeFile(
+      filePath,
+      await this.formatConfig(result.config, filePath)
+    );
+
+    return { file: filePath, ...result, backupPath };
+  }
+
+  /**
+   * Format a migrated config with the Prettier config that applies to the
+   * file, as `npm run format` would, so the migration diff stays minimal
+   *
+   * @param {Object} config - Migrated configuration
+   * @param {string} filePath - Config file path
+   * @returns {Promise<string>} Formatted JSON
+   */
+  async formatConfig(config, filePath) {
+    const options = (await prettier.resolveConfig(filePath)) || {};
+    return prettier.format(JSON.stringify(config, null, 2), {
+      ...options,
+      filepath: filePath
+    });
+  }
+
+  /**
+   * Set schema_version, keeping it near the top of the file
+   *
+   * @param {Object} config - Configuration object
+   * @param {number} version - Version to stamp
+   * @returns {Object} Config with schema_version after leading metadata keys
+   */
+  _stampVersion(config, version) {
+    const stamped = {};
+    const entries = Object.entries(config).filter(
+      ([key]) => key !== "schema_version"
+    );
+
+    // "_comment" and "extends" stay first, then the version
+    for (const [key, value] of entries) {
+      if (key.startsWith("_") || key === "extends") stamped[key] = value;
+    }
+    stamped.schema_version = version;
+    for (const [key, value] of entries) {
+      if (!(key in stamped)) stamped[key] = value;
+    }
+
+    return stamped;
+  }
+}
+
+ConfigMigrator.MIGRATIONS = MIGRATIONS;
+
+module.exports = ConfigMigrator;
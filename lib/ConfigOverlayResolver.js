@@ -0,0 +1,279 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Config Overlay Resolver Module
+ *
+ * Responsible for resolving layered configuration. A config file may
+ * "extends" one or more other files, which are deep-merged underneath it,
+ * so shared FAQ, booking policies and voice settings live in one place:
+ *
+ *   base → vertical → client → environment
+ *
+ * MERGE RULES:
+ * - Objects are merged key by key (later layers win)
+ * - Scalars and arrays replace the earlier value
+ * - { "$append": [...] } appends to the array from earlier layers
+ * - "extends" paths are relative to the file that declares them
+ * - The environment layer is config.<env>.json next to the config file
+ * - options.transformLayer(data, file) runs on each layer before it is
+ *   merged (ConfigurationLoader migrates each layer's own schema_version)
+ *
+ * Every resolved value records which file it came from, keyed by the same
+ * JSON path notation used in schema validation errors.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Load the extends chain depth-first with cycle detection
+ * - Deep merge layers with override/append semantics for arrays
+ * - Track the source file of every resolved value
+ *
+ * INTERFACE:
+ * - resolve(configPath, options): Resolve { config, layers, provenance }
+ * - merge(target, source, file, provenance): Merge one layer into target
+ * - formatProvenance(provenance): Format value sources for console output
+ */
+class ConfigOverlayResolver {
+  /**
+   * Resolve a config file with its extends chain and environment overlay
+   *
+   * @param {string} configPath - Path to the entry config file
+   * @param {Object} options - Resolution options
+   * @param {string|null} options.environment - Environment overlay name
+   * @param {Function} options.transformLayer - (data, file) → data, applied
+   *   to each layer before merging
+   * @returns {Promise<Object>} { config, layers, provenance }
+   */
+  async resolve(configPath, options = {}) {
+    const layers = [];
+    await this._collectLayers(configPath, layers, []);
+
+    // Environment overlay applies last, on top of the client config
+    if (options.environment) {
+      const envPath = this.getEnvironmentOverlayPath(
+        configPath,
+        options.environment
+      );
+      try {
+        layers.push(...(await this._collectLayers(envPath, [], [])));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        console.log(
+          `ℹ️  No ${options.environment} overlay found (${envPath}), using base configuration`
+        );
+      }
+    }
+
+    const config = {};
+    const provenance = new Map();
+
+    for (const layer of layers) {
+      const data = options.transformLayer
+        ? options.transformLayer(layer.data, layer.file)
+        : layer.data;
+      this.merge(config, data, layer.file, provenance);
+    }
+
+    return {
+      config,
+      layers: layers.map(layer => layer.file),
+      provenance
+    };
+  }
+
+  /**
+   * Get the environment overlay path for a config file
+   *
+   * @param {string} configPath - Path to the entry config file
+   * @param {string} environment - Environment name (e.g. "staging")
+   * @returns {string} Path to config.<environment>.json beside the config
+   */
+  getEnvironmentOverlayPath(configPath, environment) {
+    const ext = path.extname(configPath);
+    const base = path.basename(configPath, ext);
+    return path.join(path.dirname(configPath), `${base}.${environment}${ext}`);
+  }
+
+  /**
+   * Load a layer and everything it extends, base layers first
+   *
+   * @param {string} filePath - Layer file path
+   * @param {Array} layers - Accumulator of { file, data }
+   * @param {Array<string>} chain - Files currently being resolved (cycle check)
+   * @returns {Promise<Array>} The layers accumulator
+   */
+  async _collectLayers(filePath, layers, chain) {
+    const resolvedPath = path.resolve(filePath);
+    const displayPath = path.relative(process.cwd(), resolvedPath);
+
+    if (chain.includes(resolvedPath)) {
+      const cycle = [...chain, resolvedPath]
+        .map(file => path.relative(process.cwd(), file))
+        .join(" → ");
+      throw new Error(`Circular config extends: ${cycle}`);
+    }
+
+    const content = await fs.readFile(resolvedPath, "utf-8");
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${displayPath}: ${error.message}`);
+    }
+
+    const { extends: parents, ...ownData } = data;
+
+    for (const parent of [].concat(parents || [])) {
+      const parentPath = path.resolve(path.dirname(resolvedPath), parent);
+      try {
+        await this._collectLayers(parentPath, layers, [...chain, resolvedPath]);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          // Missing parents are config errors, not "no config file"
+          throw new Error(
+            `${displayPath} extends "${parent}", which does not exist`
+          );
+        }
+        throw error;
+      }
+    }
+
+    layers.push({ file: displayPath, data: ownData });
+    return layers;
+  }
+
+  /**
+   * Deep merge one layer into the target, recording value sources
+   *
+   * @param {Object} target - Merged configuration (mutated)
+   * @param {Object} source - Layer data
+   * @param {string} file - Layer file for provenance
+   * @param {Map} provenance - JSON path → source file (mutated)
+   * @param {string} basePath - JSON path of target
+   * @returns {Object} The target
+   */
+  merge(target, source, file, provenance, basePath = "$") {
+    for (const [key, value] of Object.entries(source)) {
+      const valuePath = `${basePath}.${key}`;
+
+      if (this._isAppend(value)) {
+        const existing = Array.isArray(target[key]) ? target[key] : [];
+        if (!Array.isArray(target[key])) {
+          this._forgetPath(provenance, valuePath);
+        }
+        const offset = existing.length;
+        target[key] = [...existing, ...value.$append];
+        value.$append.forEach((item, index) =>
+          this._recordLeaves(
+            item,
+            `${valuePath}[${offset + index}]`,
+            file,
+            provenance
+          )
+        );
+      } else if (this._isPlainObject(value)) {
+        if (!this._isPlainObject(target[key])) {
+          this._forgetPath(provenance, valuePath);
+          target[key] = {};
+        }
+        this.merge(target[key], value, file, provenance, valuePath);
+      } else {
+        this._forgetPath(provenance, valuePath);
+        target[key] = this._clone(value);
+        this._recordLeaves(value, valuePath, file, provenance);
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Record the source file for every leaf value under a path
+   *
+   * @param {any} value - Value being recorded
+   * @param {string} valuePath - JSON path of value
+   * @param {string} file - Source file
+   * @param {Map} provenance - JSON path → source file (mutated)
+   */
+  _recordLeaves(value, valuePath, file, provenance) {
+    if (Array.isArray(value) && value.length > 0) {
+      value.forEach((item, index) =>
+        this._recordLeaves(item, `${valuePath}[${index}]`, file, provenance)
+      );
+    } else if (this._isPlainObject(value) && Object.keys(value).length > 0) {
+      for (const [key, child] of Object.entries(value)) {
+        this._recordLeaves(child, `${valuePath}.${key}`, file, provenance);
+      }
+    } else {
+      provenance.set(valuePath, file);
+    }
+  }
+
+  /**
+   * Drop provenance for a path and everything beneath it
+   *
+   * @param {Map} provenance - JSON path → source file (mutated)
+   * @param {string} valuePath - JSON path being replaced
+   */
+  _forgetPath(provenance, valuePath) {
+    for (const key of provenance.keys()) {
+      if (
+        key === valuePath ||
+        key.startsWith(`${valuePath}.`) ||
+        key.startsWith(`${valuePath}[`)
+      ) {
+        provenance.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check whether a value is an { "$append": [...] } directive
+   *
+   * @param {any} value - Value to check
+   * @returns {boolean} True if append directive
+   */
+  _isAppend(value) {
+    return this._isPlainObject(value) && Array.isArray(value.$append);
+  }
+
+  /**
+   * Check whether a value is a plain (non-array) object
+   *
+   * @param {any} value - Value to check
+   * @returns {boolean} True if plain object
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * Deep clone a JSON value so layers never share references
+   *
+   * @param {any} value - JSON value
+   * @returns {any} Cloned value
+   */
+  _clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Format value sources for console output
+   *
+   * @param {Map} provenance - JSON path → source file
+   * @returns {string} One "path ← file" line per value
+   */
+  formatProvenance(provenance) {
+    const entries = [...provenance.entries()];
+    const width = Math.max(
+      0,
+      ...entries.map(([valuePath]) => valuePath.length)
+    );
+
+    return entries
+      .map(([valuePath, file]) => `   ${valuePath.padEnd(width)}  ← ${file}`)
+      .join("\n");
+  }
+}
+
+module.exports = ConfigOverlayResolver;
@@ -0,0 +1,882 @@
+/**
+ * Config Schema Validator Module
+ *
+ * Responsible for validating config.json against a complete, versioned
+ * schema covering every configuration section. Errors are reported with
+ * the JSON path of the offending value so typos and wrong types surface
+ * at load time instead of as broken agents later on.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Define the versioned configuration schema (all four sections)
+ * - Validate types, required fields, enums, ranges and patterns
+ * - Reject unknown keys (with "did you mean" suggestions for typos)
+ * - Report every violation with a precise JSON path
+ *
+ * SCHEMA SUBSET:
+ * Supports the JSON Schema keywords used by the config schema: type,
+ * properties, required, additionalProperties, items, enum, minimum,
+ * maximum, minLength, minItems, pattern and format (uri), plus uniqueKey
+ * (array items must not share that key's value, e.g. service slugs). Keys
+ * starting with an underscore (e.g. "_comment") are always allowed.
+ *
+ * INTERFACE:
+ * - validate(config): Validate configuration, returns array of errors
+ * - formatErrors(errors): Format errors for console output
+ * - getSchema(): Get the configuration schema
+ * - getSchemaVersion(): Get the configuration schema version
+ */
+
+const SCHEMA_VERSION = 2;
+
+const SLUG_PATTERN = "^[a-z0-9]+(-[a-z0-9]+)*$";
+const TIME_PATTERN = "^([01][0-9]|2[0-3]):[0-5][0-9]$|^24:00$";
+const MONTH_DAY_PATTERN = "^[0-9]{2}-[0-9]{2}$";
+const DATE_PATTERN = "^[0-9]{4}-[0-9]{2}-[0-9]{2}$";
+const PROPERTY_NAME_PATTERN = "^[a-z][a-z0-9_]*$";
+
+const stringMap = {
+  type: "object",
+  additionalProperties: { type: "string" }
+};
+
+const n8nCredentialsSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    api_key: { type: "string" },
+    email: { type: "string" },
+    username: { type: "string" },
+    password: { type: "string" }
+  }
+};
+
+const servicePropertySchema = {
+  type: "object",
+  required: ["name", "type", "prompt"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", pattern: PROPERTY_NAME_PATTERN },
+    type: { type: "string", enum: ["string", "number", "integer", "boolean"] },
+    prompt: { type: "string", minLength: 1 },
+    enum: {
+      type: "array",
+      minItems: 1,
+      items: { type: ["string", "number"] }
+    },
+    minimum: { type: "number" },
+    maximum: { type: "number" },
+    format: { type: "string", enum: ["date", "time", "email", "phone"] },
+    pattern: { type: "string", minLength: 1 },
+    default: { type: ["string", "number", "boolean"] },
+    // Previous name, so the sheet migration plan keeps the column's data
+    renamed_from: { type: "string", pattern: PROPERTY_NAME_PATTERN },
+    // Ask for (and require) the property only when another one matches
+    when: {
+      type: "object",
+      required: ["property"],
+      additionalProperties: false,
+      properties: {
+        property: { type: "string", pattern: PROPERTY_NAME_PATTERN },
+        equals: { type: ["string", "number", "boolean"] },
+        in: {
+          type: "array",
+          minItems: 1,
+          items: { type: ["string", "number", "boolean"] }
+        }
+      }
+    }
+  }
+};
+
+const DAY_NAMES = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday"
+];
+
+// Per-service booking limits enforced by the booking workflows
+const bookingRulesSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    buffer_before_minutes: { type: "integer", minimum: 0 },
+    buffer_after_minutes: { type: "integer", minimum: 0 },
+    min_notice_hours: { type: "number", minimum: 0 },
+    max_days_ahead: { type: "integer", minimum: 1 },
+    allowed_days: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: DAY_NAMES }
+    },
+    allowed_hours: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["open", "close"],
+        additionalProperties: false,
+        properties: {
+          open: { type: "string", pattern: TIME_PATTERN },
+          close: { type: "string", pattern: TIME_PATTERN }
+        }
+      }
+    },
+    slot_minutes: { type: "integer", minimum: 5, maximum: 1440 }
+  }
+};
+
+// Variant of a service with its own duration and price
+const serviceVariantSchema = {
+  type: "object",
+  required: ["slug", "name"],
+  additionalProperties: false,
+  properties: {
+    slug: { type: "string", pattern: SLUG_PATTERN },
+    name: { type: "string", minLength: 1 },
+    duration_minutes: { type: "integer", minimum: 1 },
+    price: { type: ["string", "number"] }
+  }
+};
+
+// Optional extra booked on top of a service (or variant)
+const serviceAddOnSchema = {
+  type: "object",
+  required: ["slug", "name"],
+  additionalProperties: false,
+  properties: {
+    slug: { type: "string", pattern: SLUG_PATTERN },
+    name: { type: "string", minLength: 1 },
+    duration_minutes: { type: "integer", minimum: 0 },
+    price: { type: ["string", "number"] }
+  }
+};
+
+const serviceSchema = {
+  type: "object",
+  required: ["name", "slug", "duration_minutes"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    slug: { type: "string", pattern: SLUG_PATTERN },
+    // Previous slug, so the sheet migration plan keeps the service's columns
+    renamed_from: { type: "string", pattern: SLUG_PATTERN },
+    duration_minutes: { type: "integer", minimum: 1 },
+    description: { type: "string" },
+    price: { type: ["string", "number"] },
+    properties: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        required: { type: "array", items: servicePropertySchema },
+        optional: { type: "array", items: servicePropertySchema }
+      }
+    },
+    booking_rules: bookingRulesSchema,
+    variants: { type: "array", items: serviceVariantSchema },
+    add_ons: { type: "array", items: serviceAddOnSchema }
+  }
+};
+
+// Legacy "9:00 AM - 5:00 PM" strings or a list of 24h intervals
+const dayHoursSchema = {
+  type: ["string", "array"],
+  items: {
+    type: "object",
+    required: ["open", "close"],
+    additionalProperties: false,
+    properties: {
+      open: { type: "string", pattern: TIME_PATTERN },
+      close: { type: "string", pattern: TIME_PATTERN }
+    }
+  }
+};
+
+const weekSchemaProperties = {
+  monday: dayHoursSchema,
+  tuesday: dayHoursSchema,
+  wednesday: dayHoursSchema,
+  thursday: dayHoursSchema,
+  friday: dayHoursSchema,
+  saturday: dayHoursSchema,
+  sunday: dayHoursSchema
+};
+
+const addressSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    street: { type: "string" },
+    city: { type: "string" },
+    state: { type: "string" },
+    zip: { type: "string" },
+    country: { type: "string" }
+  }
+};
+
+const businessHoursSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    ...weekSchemaProperties,
+    seasonal: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["from", "to"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string" },
+          from: { type: "string", pattern: MONTH_DAY_PATTERN },
+          to: { type: "string", pattern: MONTH_DAY_PATTERN },
+          ...weekSchemaProperties
+        }
+      }
+    },
+    holidays: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["date"],
+        additionalProperties: false,
+        properties: {
+          date: {
+            type: "string",
+            pattern: `${DATE_PATTERN}|${MONTH_DAY_PATTERN}`
+          },
+          name: { type: "string" },
+          hours: dayHoursSchema
+        }
+      }
+    },
+    closures: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          date: { type: "string", pattern: DATE_PATTERN },
+          from: { type: "string", pattern: DATE_PATTERN },
+          to: { type: "string", pattern: DATE_PATTERN },
+          reason: { type: "string" }
+        }
+      }
+    },
+    display: { type: "string" },
+    notes: { type: "string" }
+  }
+};
+
+const locationSchema = {
+  type: "object",
+  required: ["id", "name"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string", pattern: SLUG_PATTERN },
+    name: { type: "string", minLength: 1 },
+    address: addressSchema,
+    phone: { type: "string" },
+    timezone: { type: "string", minLength: 1 },
+    transfer_phone_number: { type: "string" },
+    business_hours: businessHoursSchema,
+    services: {
+      type: "array",
+      items: { type: "string", pattern: SLUG_PATTERN }
+    },
+    calendar_id: { type: "string", minLength: 1 }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  $id: `ai-voice-reception/config@${SCHEMA_VERSION}`,
+  type: "object",
+  required: ["templating", "client_data", "build_config"],
+  additionalProperties: false,
+  properties: {
+    schema_version: { type: "integer", enum: [SCHEMA_VERSION] },
+
+    templating: {
+      type: "object",
+      required: ["variables"],
+      additionalProperties: false,
+      properties: {
+        auto_generate_from_repo: { type: "boolean" },
+        variables: {
+          type: "object",
+          additionalProperties: { type: "string" },
+          properties: {
+            business_name: { type: "string", minLength: 1 },
+            agent_name: { type: "string", minLength: 1 }
+          }
+        }
+      }
+    },
+
+    client_data: {
+      type: "object",
+      required: ["business_info", "services"],
+      additionalProperties: false,
+      properties: {
+        business_info: {
+          type: "object",
+          required: ["name"],
+          additionalProperties: false,
+          properties: {
+            name: { type: "string", minLength: 1 },
+            tagline: { type: "string" },
+            email: { type: "string" },
+            phone: { type: "string" },
+            website: { type: "string" },
+            address: addressSchema,
+            timezone: { type: "string", minLength: 1 },
+            currency: { type: "string", pattern: "^[A-Z]{3}$" },
+            description: { type: "string" }
+          }
+        },
+        // Slugs key the generated tool schemas, rules and sheet columns
+        services: { type: "array", items: serviceSchema, uniqueKey: "slug" },
+        service_constraints: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            max_services: { type: "integer", minimum: 1 },
+            max_required_properties_per_service: {
+              type: "integer",
+              minimum: 0
+            },
+            max_optional_properties_per_service: {
+              type: "integer",
+              minimum: 0
+            },
+            max_total_dynamic_columns: { type: "integer", minimum: 0 },
+            token_budget: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                max_tokens: { type: "integer", minimum: 1 },
+                max_tokens_per_service: { type: "integer", minimum: 1 }
+              }
+            }
+          }
+        },
+        business_hours: businessHoursSchema,
+        locations: { type: "array", items: locationSchema },
+        booking: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            advance_notice_required: { type: "string" },
+            cancellation_policy: { type: "string" },
+            payment_methods: { type: "array", items: { type: "string" } },
+            booking_instructions: { type: "string" },
+            group_bookings: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                max_services: { type: "integer", minimum: 1 },
+                max_party_size: { type: "integer", minimum: 1 },
+                calendar_events: {
+                  type: "string",
+                  enum: ["combined", "per_attendee"]
+                }
+              }
+            },
+            recurring_appointments: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                max_occurrences: { type: "integer", minimum: 2 },
+                frequencies: {
+                  type: "array",
+                  minItems: 1,
+                  items: {
+                    type: "string",
+                    enum: ["daily", "weekly", "monthly"]
+                  }
+                }
+              }
+            }
+          }
+        },
+        faq: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["question", "answer"],
+            additionalProperties: false,
+            properties: {
+              question: { type: "string", minLength: 1 },
+              answer: { type: "string", minLength: 1 }
+            }
+          }
+        },
+        policies: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            no_show_policy: { type: "string" },
+            late_arrival_policy: { type: "string" },
+            refund_policy: { type: "string" }
+          }
+        }
+      }
+    },
+
+    build_config: {
+      type: "object",
+      required: ["infrastructure"],
+      additionalProperties: false,
+      properties: {
+        token_tracking: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            enabled: { type: "boolean" },
+            include_in_build_info: { type: "boolean" },
+            generate_detailed_report: { type: "boolean" }
+          }
+        },
+        version_settings: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            version_title_suffix: { type: "string" }
+          }
+        },
+        voice_settings: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            voice_id: { type: "string", minLength: 1 },
+            max_call_duration_ms: { type: "integer", minimum: 1 },
+            interruption_sensitivity: { type: "number", minimum: 0, maximum: 1 }
+          }
+        },
+        infrastructure: {
+          type: "object",
+          required: ["base_webhook_url"],
+          additionalProperties: false,
+          properties: {
+            transfer_phone_number: { type: "string" },
+            base_webhook_url: { type: "string", format: "uri" }
+          }
+        },
+        webhook_deployment: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            enabled: { type: "boolean" },
+            hash_algorithm: {
+              type: "string",
+              enum: ["md5", "sha1", "sha256", "sha384", "sha512"]
+            },
+            hash_length: { type: "integer", minimum: 4, maximum: 64 },
+            instance_url: { type: "string", format: "uri" },
+            credentials: n8nCredentialsSchema,
+            deployment: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                target_folder: { type: "string" },
+                overwrite_existing: { type: "boolean" },
+                activate_workflows: { type: "boolean" },
+                backup_existing: { type: "boolean" },
+                cleanup_old_workflows: { type: "boolean" }
+              }
+            },
+            rotation: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                epoch: { type: "integer", minimum: 0 },
+                grace_period_hours: { type: "number", minimum: 0 }
+              }
+            },
+            registry: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                auto_extend: { type: "boolean" },
+                max_hash_length: { type: "integer", minimum: 4, maximum: 64 }
+              }
+            },
+            signing: {
+              type: "object",
+              additionalProperties: false,
+              required: ["salt"],
+              properties: {
+                salt: { type: "string", minLength: 16 },
+                secret_env: {
+                  type: "string",
+                  pattern: "^[A-Za-z_][A-Za-z0-9_]*$"
+                },
+                tolerance_seconds: {
+                  type: "integer",
+                  minimum: 30,
+                  maximum: 3600
+                }
+              }
+            },
+            cli_options: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                timeout: { type: "integer", minimum: 0 },
+                retry_attempts: { type: "integer", minimum: 1 },
+                verbose: { type: "boolean" }
+              }
+            },
+            tools: {
+              type: "object",
+              additionalProperties: {
+                type: "object",
+                additionalProperties: false,
+                properties: {
+                  endpoint_base: { type: "string", pattern: SLUG_PATTERN },
+                  description: { type: "string" },
+                  hash_length: { type: "integer", minimum: 4, maximum: 64 }
+                }
+              }
+            }
+          }
+        },
+        environments: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              label: { type: "string", minLength: 1 },
+              base_webhook_url: { type: "string", format: "uri" },
+              instance_url: { type: "string", format: "uri" },
+              credentials: n8nCredentialsSchema,
+              transfer_phone_number: { type: "string" },
+              agent_name_suffix: { type: "string" },
+              version_title_suffix: { type: "string", minLength: 1 },
+              hash_namespace: { type: "string", pattern: SLUG_PATTERN }
+            }
+          }
+        }
+      }
+    },
+
+    runtime_variables: stringMap
+  }
+};
+
+class ConfigSchemaValidator {
+  constructor(schema = CONFIG_SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate configuration against the schema
+   *
+   * Collects every violation rather than stopping at the first one, so a
+   * single run reports all problems in the configuration.
+   *
+   * @param {Object} config - Configuration object to validate
+   * @returns {Array<{path: string, message: string}>} Validation errors
+   */
+  validate(config) {
+    const errors = [];
+    this._validateNode(config, this.schema, "$", errors);
+    return errors;
+  }
+
+  /**
+   * Validate a single value against a schema node (recursive)
+   *
+   * @param {any} value - Value to validate
+   * @param {Object} schema - Schema node
+   * @param {string} path - JSON path of the value
+   * @param {Array} errors - Error accumulator
+   */
+  _validateNode(value, schema, path, errors) {
+    if (!schema) return;
+
+    if (schema.type && !this._matchesType(value, schema.type)) {
+      const expected = [].concat(schema.type).join(" | ");
+      errors.push({
+        path,
+        message: `expected ${expected}, got ${this._describeType(value)}`
+      });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({
+        path,
+        message: `must be one of: ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`
+      });
+    }
+
+    if (typeof value === "string") {
+      this._validateString(value, schema, path, errors);
+    }
+
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({
+          path,
+          message: `must contain at least ${schema.minItems} item(s)`
+        });
+      }
+      if (schema.items) {
+        value.forEach((item, index) =>
+          this._validateNode(item, schema.items, `${path}[${index}]`, errors)
+        );
+      }
+      if (schema.uniqueKey) {
+        this._validateUniqueKey(value, schema.uniqueKey, path, errors);
+      }
+    } else if (value !== null && typeof value === "object") {
+      this._validateObject(value, schema, path, errors);
+    }
+  }
+
+  /**
+   * Validate string-specific keywords
+   *
+   * @param {string} value - String value
+   * @param {Object} schema - Schema node
+   * @param {string} path - JSON path of the value
+   * @param {Array} errors - Error accumulator
+   */
+  _validateString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message:
+          schema.minLength > 1
+            ? `must be at least ${schema.minLength} characters`
+            : "must not be empty"
+      });
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        path,
+        message: `"${value}" does not match pattern ${schema.pattern}`
+      });
+    }
+
+    // Unresolved secret references are reported by the secret resolver
+    if (schema.format === "uri" && !/^(env|file|secret):|\$\{/.test(value)) {
+      try {
+        new URL(value);
+      } catch {
+        errors.push({ path, message: `"${value}" is not a valid URL` });
+      }
+    }
+  }
+
+  /**
+   * Validate that array items do not share a key's value
+   *
+   * @param {Array} value - Array value
+   * @param {string} key - Key that must be unique across items
+   * @param {string} path - JSON path of the array
+   * @param {Array} errors - Error accumulator
+   */
+  _validateUniqueKey(value, key, path, errors) {
+    const seen = new Map();
+
+    value.forEach((item, index) => {
+      const keyValue = item?.[key];
+      if (keyValue === undefined) return;
+
+      if (seen.has(keyValue)) {
+        errors.push({
+          path: `${path}[${index}].${key}`,
+          message: `duplicate ${key} ${JSON.stringify(keyValue)} (also ${path}[${seen.get(keyValue)}])`
+        });
+      } else {
+        seen.set(keyValue, index);
+      }
+    });
+  }
+
+  /**
+   * Validate object keywords (required, properties, additionalProperties)
+   *
+   * @param {Object} value - Object value
+   * @param {Object} schema - Schema node
+   * @param {string} path - JSON path of the value
+   * @param {Array} errors - Error accumulator
+   */
+  _validateObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({
+          path: `${path}.${key}`,
+          message: "is required"
+        });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${path}.${key}`;
+
+      // Documentation keys are allowed anywhere
+      if (key.startsWith("_")) continue;
+
+      if (properties[key]) {
+        this._validateNode(child, properties[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = this._suggestKey(key, Object.keys(properties));
+        errors.push({
+          path: childPath,
+          message:
+            "unknown key" +
+            (suggestion ? ` (did you mean "${suggestion}"?)` : "")
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        this._validateNode(
+          child,
+          schema.additionalProperties,
+          childPath,
+          errors
+        );
+      }
+    }
+  }
+
+  /**
+   * Check whether a value matches one or more schema types
+   *
+   * @param {any} value - Value to check
+   * @param {string|Array} type - Schema type(s)
+   * @returns {boolean} True if value matches
+   */
+  _matchesType(value, type) {
+    return [].concat(type).some(t => {
+      switch (t) {
+        case "string":
+          return typeof value === "string";
+        case "number":
+          return typeof value === "number" && Number.isFinite(value);
+        case "integer":
+          return Number.isInteger(value);
+        case "boolean":
+          return typeof value === "boolean";
+        case "array":
+          return Array.isArray(value);
+        case "object":
+          return (
+            value !== null && typeof value === "object" && !Array.isArray(value)
+          );
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Describe a value's type for error messages
+   *
+   * @param {any} value - Value to describe
+   * @returns {string} Type description
+   */
+  _describeType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "string") return `string ${JSON.stringify(value)}`;
+    return typeof value;
+  }
+
+  /**
+   * Suggest the closest known key for a likely typo
+   *
+   * @param {string} key - Unknown key
+   * @param {Array<string>} knownKeys - Keys allowed at this level
+   * @returns {string|null} Closest key within edit distance 3, or null
+   */
+  _suggestKey(key, knownKeys) {
+    let best = null;
+    let bestDistance = 4;
+
+    for (const candidate of knownKeys) {
+      const distance = this._editDistance(key, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Levenshtein edit distance between two strings
+   *
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Edit distance
+   */
+  _editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        previous = current;
+      }
+    }
+
+    return row[b.length];
+  }
+
+  /**
+   * Format validation errors for console output
+   *
+   * @param {Array} errors - Validation errors
+   * @returns {string} One line per error
+   */
+  formatErrors(errors) {
+    return errors.map(error => `   ${error.path}: ${error.message}`).join("\n");
+  }
+
+  /**
+   * Get the configuration schema
+   *
+   * @returns {Object} Schema object
+   */
+  getSchema() {
+    return this.schema;
+  }
+
+  /**
+   * Get the configuration schema version
+   *
+   * @returns {number} Schema version
+   */
+  getSchemaVersion() {
+    return SCHEMA_VERSION;
+  }
+}
+
+ConfigSchemaValidator.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = ConfigSchemaValidator;
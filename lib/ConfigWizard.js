@@ -0,0 +1,693 @@
+const fs = require("fs").promises;
+const path = require("path");
+const readline = require("readline/promises");
+const BusinessHours = require("./BusinessHours");
+const ConfigMigrator = require("./ConfigMigrator");
+const ConfigSchemaValidator = require("./ConfigSchemaValidator");
+const ConfigurationLoader = require("./ConfigurationLoader");
+const ServiceSchemaEngine = require("./ServiceSchemaEngine");
+
+const DAYS = BusinessHours.DAYS;
+
+const TOOLS = {
+  bookAppointment: "Book new appointments",
+  answerQuestion: "Answer customer questions using RAG",
+  logLead: "Log customer leads and inquiries",
+  identifyAppointment: "Identify existing appointments",
+  modifyAppointment: "Modify existing appointments",
+  cancelAppointment: "Cancel existing appointments",
+  dayAndTime: "Get current day and time"
+};
+
+const PROPERTY_TYPES = ["string", "number", "integer", "boolean"];
+
+/**
+ * Config Wizard Module
+ *
+ * Responsible for generating a complete config.json for a new client, either
+ * interactively (asking for business info, hours, services, transfer number
+ * and webhook base) or from an answers JSON file for scripted onboarding.
+ *
+ * ANSWERS FORMAT:
+ * {
+ *   "business": { "name", "agent_name", "tagline", "email", "phone",
+ *                 "website", "timezone", "description", "address": {...} },
+ *   "business_hours": { "monday": "9:00 AM - 5:00 PM", ..., "sunday": "Closed" },
+ *   "services": [{ "name", "duration_minutes", "price", "description",
+ *                  "properties": { "required": [...], "optional": [...] } }],
+ *   "transfer_phone_number": "+15551234567",
+ *   "base_webhook_url": "https://n8n.example.com"
+ * }
+ *
+ * Hours may be text ("9:00 AM - 5:00 PM", "Closed"), one { open, close }
+ * interval or a list of them; either way they are written as structured
+ * intervals.
+ *
+ * Services are checked with ServiceSchemaEngine.validateServiceConstraints,
+ * and the generated config with ConfigSchemaValidator, so init never writes
+ * a config the build would reject.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Prompt for answers with per-field validation
+ * - Load and validate answers files
+ * - Build a complete config from answers
+ * - Write the config, Prettier-formatted, without clobbering existing files
+ *
+ * INTERFACE:
+ * - runInteractive(): Prompt for answers on stdin/stdout
+ * - loadAnswers(filePath): Load answers from a JSON file
+ * - validateAnswers(answers): Validate answers, returns errors
+ * - buildConfig(answers): Build a complete config (throws if invalid)
+ * - writeConfig(configPath, config, options): Write config.json
+ */
+class ConfigWizard {
+  /**
+   * @param {Object} options - Wizard options
+   * @param {Object} options.input - Readable stream for answers
+   * @param {Object} options.output - Writable stream for prompts
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.serviceEngine = new ServiceSchemaEngine();
+    this.schemaValidator = new ConfigSchemaValidator();
+    this.migrator = new ConfigMigrator();
+    const defaults = new ConfigurationLoader().getDefaultConfiguration();
+    this.constraints = defaults.client_data.service_constraints;
+  }
+
+  /**
+   * Prompt for answers interactively
+   *
+   * @returns {Promise<Object>} Answers object
+   */
+  async runInteractive() {
+    this.rl = readline.createInterface({
+      input: this.input,
+      output: this.output
+    });
+
+    try {
+      console.log("🧙 New client configuration\n");
+
+      console.log("📦 Business");
+      const business = {
+        name: await this._ask("Business name", { required: true }),
+        agent_name: await this._ask("Agent name", { default: "Receptionist" }),
+        tagline: await this._ask("Tagline"),
+        email: await this._ask("Contact email", { validate: validateEmail }),
+        phone: await this._ask("Business phone", { validate: validatePhone }),
+        website: await this._ask("Website", { validate: validateUrl }),
+        timezone: await this._ask("Timezone (IANA)", {
+          default: "America/New_York",
+          validate: validateTimezone
+        }),
+        description: await this._ask("Short description"),
+        address: {
+          street: await this._ask("Street"),
+          city: await this._ask("City", { default: "Remote" }),
+          state: await this._ask("State"),
+          zip: await this._ask("ZIP"),
+          country: await this._ask("Country", { default: "USA" })
+        }
+      };
+
+      console.log('\n🕘 Business hours (e.g. "9:00 AM - 5:00 PM" or "Closed")');
+      const businessHours = {};
+      for (const day of DAYS) {
+        const weekend = day === "saturday" || day === "sunday";
+        businessHours[day] = await this._ask(capitalize(day), {
+          default: weekend ? "Closed" : "9:00 AM - 5:00 PM",
+          validate: validateHours
+        });
+      }
+
+      console.log(
+        `\n📋 Services (up to ${this.constraints.max_services}, blank name to finish)`
+      );
+      const services = await this._askServices();
+
+      console.log("\n🔗 Infrastructure");
+      const answers = {
+        business,
+        business_hours: businessHours,
+        services,
+        transfer_phone_number: await this._ask("Transfer phone number", {
+          default: business.phone,
+          required: true,
+          validate: validatePhone
+        }),
+        base_webhook_url: await this._ask("Webhook base URL (n8n instance)", {
+          required: true,
+          validate: validateUrl
+        })
+      };
+
+      return answers;
+    } finally {
+      this.rl.close();
+      this.rl = null;
+    }
+  }
+
+  /**
+   * Prompt for services until a blank name is entered
+   *
+   * Each service is checked against the service constraints as soon as it is
+   * complete, so limits are reported while the answers are still fresh.
+   *
+   * @returns {Promise<Array>} Service answers
+   */
+  async _askServices() {
+    const services = [];
+
+    while (services.length < this.constraints.max_services) {
+      const name = await this._ask(`Service ${services.length + 1} name`);
+      if (!name) break;
+
+      const service = {
+        name,
+        duration_minutes: Number(
+          await this._ask("  Duration (minutes)", {
+            default: "60",
+            validate: validateDuration
+          })
+        ),
+        price: await this._ask("  Price", { default: "0.00" }),
+        description: await this._ask("  Description"),
+        properties: {
+          required: await this._askProperties(
+            "required",
+            this.constraints.max_required_properties_per_service
+          ),
+          optional: await this._askProperties(
+            "optional",
+            this.constraints.max_optional_properties_per_service
+          )
+        }
+      };
+
+      try {
+        this.serviceEngine.validateServiceConstraints(
+          [...services, normalizeService(service)],
+          this.constraints
+        );
+        services.push(service);
+      } catch (error) {
+        console.log(`  ❌ ${error.message} - service skipped`);
+      }
+    }
+
+    return services;
+  }
+
+  /**
+   * Prompt for one kind of service property
+   *
+   * @param {string} kind - "required" or "optional"
+   * @param {number} max - Maximum properties of this kind
+   * @returns {Promise<Array>} Property answers
+   */
+  async _askProperties(kind, max) {
+    const properties = [];
+
+    while (properties.length < max) {
+      const name = await this._ask(`  ${capitalize(kind)} property name`);
+      if (!name) break;
+
+      properties.push({
+        name,
+        type: await this._ask("    Type", {
+          default: "string",
+          validate: validatePropertyType
+        }),
+        prompt: await this._ask("    What should the agent ask for?", {
+          required: true
+        })
+      });
+    }
+
+    return properties;
+  }
+
+  /**
+   * Ask one question, re-asking until the answer is valid
+   *
+   * @param {string} question - Question text
+   * @param {Object} options - { default, required, validate }
+   * @returns {Promise<string>} Answer
+   */
+  async _ask(question, options = {}) {
+    const suffix = options.default ? ` [${options.default}]` : "";
+
+    for (;;) {
+      const answer =
+        (await this.rl.question(`   ${question}${suffix}: `)).trim() ||
+        options.default ||
+        "";
+
+      const error =
+        (options.required && !answer && "is required") ||
+        (answer && options.validate && options.validate(answer));
+
+      if (!error) return answer;
+      console.log(`   ❌ ${question} ${error}`);
+    }
+  }
+
+  /**
+   * Load answers from a JSON file
+   *
+   * @param {string} filePath - Answers file path
+   * @returns {Promise<Object>} Answers object
+   */
+  async loadAnswers(filePath) {
+    const content = await fs.readFile(filePath, "utf-8");
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate answers with the same rules as the interactive prompts
+   *
+   * @param {Object} answers - Answers object
+   * @returns {Array<{path: string, message: string}>} Validation errors
+   */
+  validateAnswers(answers) {
+    const errors = [];
+    const check = (valuePath, value, ...validators) => {
+      for (const validate of validators) {
+        const message = validate(value);
+        if (message) {
+          errors.push({ path: valuePath, message });
+          return;
+        }
+      }
+    };
+
+    const business = answers.business || {};
+    check("$.business.name", business.name, validateRequired);
+    check("$.business.email", business.email, optional(validateEmail));
+    check("$.business.phone", business.phone, optional(validatePhone));
+    check("$.business.website", business.website, optional(validateUrl));
+    check("$.business.timezone", business.timezone, optional(validateTimezone));
+    for (const day of DAYS) {
+      check(
+        `$.business_hours.${day}`,
+        toDayHours(answers.business_hours?.[day]),
+        validateHours
+      );
+    }
+    check(
+      "$.transfer_phone_number",
+      answers.transfer_phone_number,
+      validateRequired,
+      validatePhone
+    );
+    check(
+      "$.base_webhook_url",
+      answers.base_webhook_url,
+      validateRequired,
+      validateUrl
+    );
+
+    const services = answers.services || [];
+    if (!Array.isArray(services)) {
+      errors.push({ path: "$.services", message: "must be an array" });
+      return errors;
+    }
+
+    services.forEach((service, index) => {
+      const servicePath = `$.services[${index}]`;
+      check(`${servicePath}.name`, service.name, validateRequired);
+      check(
+        `${servicePath}.duration_minutes`,
+        String(service.duration_minutes ?? ""),
+        validateRequired,
+        validateDuration
+      );
+
+      for (const kind of ["required", "optional"]) {
+        (service.properties?.[kind] || []).forEach((property, propIndex) => {
+          const propertyPath = `${servicePath}.properties.${kind}[${propIndex}]`;
+          check(`${propertyPath}.name`, property.name, validateRequired);
+          check(
+            `${propertyPath}.type`,
+            property.type || "string",
+            validatePropertyType
+          );
+          check(`${propertyPath}.prompt`, property.prompt, validateRequired);
+        });
+      }
+    });
+
+    // Slugs come from the names, so "Cleaning" twice would collide
+    const slugs = new Map();
+    services.map(normalizeService).forEach(({ slug }, index) => {
+      if (!slug) return;
+      if (slugs.has(slug)) {
+        errors.push({
+          path: `$.services[${index}].name`,
+          message: `gives the same slug "${slug}" as $.services[${slugs.get(slug)}]`
+        });
+      } else {
+        slugs.set(slug, index);
+      }
+    });
+
+    try {
+      this.serviceEngine.validateServiceConstraints(
+        services.map(normalizeService),
+        this.constraints
+      );
+    } catch (error) {
+      errors.push({ path: "$.services", message: error.message });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build a complete config from answers
+   *
+   * @param {Object} answers - Answers object
+   * @returns {Object} Complete configuration
+   * @throws {Error} If answers or the generated config are invalid
+   */
+  buildConfig(answers) {
+    const answerErrors = this.validateAnswers(answers);
+    if (answerErrors.length > 0) {
+      throw new Error(
+        `Invalid answers (${answerErrors.length} error(s)):\n` +
+          this.schemaValidator.formatErrors(answerErrors)
+      );
+    }
+
+    const business = answers.business;
+    const agentName = business.agent_name || "Receptionist";
+    const baseUrl = answers.base_webhook_url.replace(/\/+$/, "");
+    const services = (answers.services || []).map(normalizeService);
+
+    const businessHours = {};
+    for (const day of DAYS) {
+      businessHours[day] = BusinessHours.toClockIntervals(
+        BusinessHours.parseDay(toDayHours(answers.business_hours?.[day]))
+      );
+    }
+    businessHours.notes = "";
+
+    const tools = {};
+    for (const [toolName, description] of Object.entries(TOOLS)) {
+      tools[toolName] = { endpoint_base: toSlug(toolName), description };
+    }
+
+    const config = {
+      _comment: `${business.name} - generated by node build.js init`,
+      schema_version: ConfigSchemaValidator.SCHEMA_VERSION,
+      templating: {
+        auto_generate_from_repo: false,
+        variables: {
+          agent_name: `${business.name} ${agentName}`
+        }
+      },
+      client_data: {
+        business_info: {
+          name: business.name,
+          tagline: business.tagline || "",
+          email: business.email || "",
+          phone: business.phone || "",
+          website: business.website || "",
+          address: {
+            street: "",
+            city: "Remote",
+            state: "",
+            zip: "",
+            country: "USA",
+            ...business.address
+          },
+          timezone: business.timezone || "America/New_York",
+          description: business.description || ""
+        },
+        services,
+        service_constraints: { ...this.constraints },
+        business_hours: businessHours,
+        booking: {
+          advance_notice_required: "24 hours",
+          cancellation_policy: "24 hours notice required",
+          payment_methods: [],
+          booking_instructions:
+            "All appointments must be scheduled through the AI receptionist or by calling the main number."
+        },
+        faq: [],
+        policies: {
+          no_show_policy: "",
+          late_arrival_policy: "",
+          refund_policy: ""
+        }
+      },
+      build_config: {
+        token_tracking: {
+          enabled: true,
+          include_in_build_info: true,
+          generate_detailed_report: true
+        },
+        version_settings: {
+          version_title_suffix: "Demo"
+        },
+        voice_settings: {
+          voice_id: "11labs-Ethan",
+          max_call_duration_ms: 600000,
+          interruption_sensitivity: 0.65
+        },
+        infrastructure: {
+          transfer_phone_number: answers.transfer_phone_number,
+          base_webhook_url: baseUrl
+        },
+        webhook_deployment: {
+          enabled: true,
+          hash_algorithm: "sha256",
+          hash_length: 8,
+          instance_url: baseUrl,
+          credentials: {
+            api_key: "env:N8N_API_KEY"
+          },
+          deployment: {
+            target_folder: "{{business_name}} Workflows",
+            overwrite_existing: true,
+            activate_workflows: true,
+            backup_existing: false,
+            cleanup_old_workflows: true
+          },
+          cli_options: {
+            timeout: 30000,
+            retry_attempts: 3,
+            verbose: true
+          },
+          tools
+        }
+      },
+      runtime_variables: {
+        _comment:
+          "Business name, hours, timezone and transfer number are derived from client_data. Add overrides here.",
+        agent_name: agentName
+      }
+    };
+
+    const schemaErrors = this.schemaValidator.validate(config);
+    if (schemaErrors.length > 0) {
+      throw new Error(
+        `Generated config does not match schema:\n` +
+          this.schemaValidator.formatErrors(schemaErrors)
+      );
+    }
+
+    return config;
+  }
+
+  /**
+   * Write the config file, refusing to overwrite unless forced
+   *
+   * Formatted like migrate-config output, so a fresh config passes
+   * `npm run format:check`.
+   *
+   * @param {string} configPath - Destination path
+   * @param {Object} config - Configuration to write
+   * @param {Object} options - { force }
+   */
+  async writeConfig(configPath, config, options = {}) {
+    if (!options.force && (await this._exists(configPath))) {
+      throw new Error(
+        `${configPath} already exists (use --force to overwrite)`
+      );
+    }
+
+    await fs.mkdir(path.dirname(configPath), { recursive: true });
+    await fs.writeFile(
+      configPath,
+      await this.migrator.formatConfig(config, configPath)
+    );
+  }
+
+  /**
+   * Check whether a file exists
+   *
+   * @param {string} filePath - File path
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async _exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Normalize a service answer into the config service shape
+ *
+ * @param {Object} service - Service answer
+ * @returns {Object} Service config entry
+ */
+function normalizeService(service) {
+  const normalizeProperty = property => ({
+    name: toPropertyName(property.name || ""),
+    type: property.type || "string",
+    prompt: property.prompt || ""
+  });
+
+  const normalized = {
+    name: service.name,
+    slug: service.slug || toSlug(service.name || ""),
+    duration_minutes: Number(service.duration_minutes),
+    description: service.description || "",
+    price: service.price === undefined ? "0.00" : String(service.price)
+  };
+
+  const required = (service.properties?.required || []).map(normalizeProperty);
+  const optionalProps = (service.properties?.optional || []).map(
+    normalizeProperty
+  );
+  if (required.length > 0 || optionalProps.length > 0) {
+    normalized.properties = { required };
+    if (optionalProps.length > 0)
+      normalized.properties.optional = optionalProps;
+  }
+
+  return normalized;
+}
+
+/**
+ * Convert text to a kebab-case slug ("bookAppointment" → "book-appointment")
+ *
+ * @param {string} text - Source text
+ * @returns {string} Slug
+ */
+function toSlug(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Convert text to a snake_case property name ("Project Type" → "project_type")
+ *
+ * @param {string} text - Source text
+ * @returns {string} Property name
+ */
+function toPropertyName(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^[^a-z]+|_+$/g, "");
+}
+
+/**
+ * Capitalize the first letter of a word
+ *
+ * @param {string} word - Word
+ * @returns {string} Capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Normalize one day's answer for BusinessHours.parseDay
+ *
+ * @param {string|Object|Array|undefined} value - Text, one { open, close }
+ *   interval or a list of them
+ * @returns {string|Array} "Closed" when unset, a single interval wrapped in
+ *   a list, anything else unchanged
+ */
+function toDayHours(value) {
+  if (!value) return "Closed";
+  return typeof value === "object" && !Array.isArray(value) ? [value] : value;
+}
+
+// Field validators: return an error message, or null when valid
+
+function validateRequired(value) {
+  return String(value ?? "").trim() ? null : "is required";
+}
+
+function validateEmail(value) {
+  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value)
+    ? null
+    : "must be an email address";
+}
+
+function validatePhone(value) {
+  return /^\+?[0-9 ().-]{7,20}$/.test(value) ? null : "must be a phone number";
+}
+
+function validateUrl(value) {
+  try {
+    const url = new URL(value);
+    return /^https?:$/.test(url.protocol) ? null : "must be an http(s) URL";
+  } catch {
+    return "must be an http(s) URL";
+  }
+}
+
+function validateTimezone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return null;
+  } catch {
+    return "must be an IANA timezone (e.g. America/Chicago)";
+  }
+}
+
+function validateHours(value) {
+  try {
+    BusinessHours.parseDay(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function validateDuration(value) {
+  return /^[1-9][0-9]*$/.test(String(value))
+    ? null
+    : "must be a whole number of minutes";
+}
+
+function validatePropertyType(value) {
+  return PROPERTY_TYPES.includes(value)
+    ? null
+    : `must be one of ${PROPERTY_TYPES.join(", ")}`;
+}
+
+function optional(validate) {
+  return value => (value ? validate(value) : null);
+}
+
+module.exports = ConfigWizard;
@@ -1,5 +1,16 @@
-const fs = require("fs").promises;
 const path = require("path");
+const ConfigMigrator = require("./ConfigMigrator");
+const BookingRules = require("./BookingRules");
+const BusinessHours = require("./BusinessHours");
+const BusinessLocations = require("./BusinessLocations");
+const ConfigOverlayResolver = require("./ConfigOverlayResolver");
+const ConfigSchemaValidator = require("./ConfigSchemaValidator");
+const DeploymentEnvironment = require("./DeploymentEnvironment");
+const GroupBookings = require("./GroupBookings");
+const RecurringAppointments = require("./RecurringAppointments");
+const SecretResolver = require("./SecretResolver");
+const ServiceCatalog = require("./ServiceCatalog");
+const ServiceSchemaEngine = require("./ServiceSchemaEngine");
 
 /**
  * Configuration Loader Module
@@ -8,44 +19,72 @@ const path = require("path");
  * Handles environment variable resolution and provides default fallback configuration.
  *
  * KEY RESPONSIBILITIES:
- * - Load and parse config.json
- * - Process environment variable references (env:VARIABLE_NAME)
- * - Validate configuration structure
+ * - Load and parse config.json, resolving its "extends" overlay chain
+ * - Upgrade each config layer with an older schema_version in memory
+ * - Resolve secret references (env:, file:, secret:, ${VAR})
+ * - Validate configuration against the versioned config schema
+ * - Fail the build on schema errors or unresolved secrets in strict mode
  * - Provide default configuration fallback
  * - Extract configuration sections for other modules
  *
  * INTERFACE:
  * - loadConfiguration(): Load and process complete configuration
- * - processEnvironmentVariables(config): Resolve env: references
- * - validateConfiguration(config): Validate structure and required fields
+ * - resolveConfiguration(options): Merge overlay layers, with value sources
+ * - migrateConfiguration(config, file, baseVersion): Upgrade a layer to the
+ *   current schema_version
+ * - selectEnvironment(config): Drop other environments' settings
+ * - processEnvironmentVariables(config): Resolve secret references
+ * - validateConfiguration(config): Validate against schema, returns errors
  * - getDefaultConfiguration(): Get fallback configuration
  */
 class ConfigurationLoader {
-  constructor() {
-    this.configPath = "config.json";
+  /**
+   * @param {Object} options - Loader options
+   * @param {string} options.configPath - Path to the config file
+   * @param {boolean} options.requireFile - Throw instead of using defaults when missing
+   * @param {boolean} options.strict - Throw on schema errors instead of warning
+   * @param {boolean} options.strictSecrets - Throw on unresolved secrets instead of warning
+   * @param {string|null} options.environment - Environment overlay (config.<env>.json)
+   */
+  constructor(options = {}) {
+    this.configPath = options.configPath || "config.json";
+    this.requireFile = options.requireFile === true;
+    this.environment = options.environment || null;
     this.loadedConfig = null;
+    this.strict = options.strict === true;
+    this.strictSecrets = options.strictSecrets === true;
+    this.overlayResolver = new ConfigOverlayResolver();
+    this.migrator = new ConfigMigrator();
+    this.secretResolver = new SecretResolver({
+      baseDir: path.dirname(this.configPath)
+    });
+    this.schemaValidator = new ConfigSchemaValidator();
+    this.validationErrors = [];
+    this.layers = [];
   }
 
   /**
-   * Load and process complete configuration from config.json
+   * Load and process complete configuration from the config file
    *
    * @returns {Object} Processed configuration object
    * @throws {Error} If configuration is invalid
    */
   async loadConfiguration() {
     try {
-      const configContent = await fs.readFile(this.configPath, "utf-8");
-      const config = JSON.parse(configContent);
+      // Layers are upgraded to the current schema before they are merged
+      const { config } = await this.resolveConfiguration();
 
-      // Process environment variables
-      this.loadedConfig = this.processEnvironmentVariables(config);
+      // Resolve secret references, for the selected environment only
+      this.loadedConfig = await this.processEnvironmentVariables(
+        this.selectEnvironment(config)
+      );
 
       // Validate configuration
       this.validateConfiguration(this.loadedConfig);
 
       return this.loadedConfig;
     } catch (error) {
-      if (error.code === "ENOENT") {
+      if (error.code === "ENOENT" && !this.requireFile) {
         console.warn(`⚠️  Configuration file not found: ${this.configPath}`);
         console.warn("📋 Using default configuration...");
         this.loadedConfig = this.getDefaultConfiguration();
@@ -56,114 +95,214 @@ class ConfigurationLoader {
   }
 
   /**
-   * Process environment variable references throughout configuration
+   * Resolve the configuration overlay chain without processing secrets
    *
-   * Recursively processes all string values looking for "env:VARIABLE_NAME" pattern
-   * and replaces with actual environment variable values.
+   * Merges base → vertical → client → environment layers. Each layer is
+   * migrated from its own schema_version first; an unversioned layer is at
+   * the version of the layer beneath it, so partial overlays on a current
+   * base are left alone and only an unversioned root layer is v0. The
+   * result keeps env: references unresolved so it is safe to print.
    *
-   * @param {Object} config - Configuration object to process
-   * @returns {Object} Processed configuration with resolved env vars
+   * @param {Object} options - Options
+   * @param {boolean} options.migrate - Migrate layers in memory (default true)
+   * @param {boolean} options.quiet - Skip the "Config layers" summary line
+   * @returns {Promise<Object>} { config, layers, provenance, versions },
+   *   versions holding each layer's schema version before migration
    */
-  processEnvironmentVariables(config) {
-    return this._recursiveEnvVarProcessing(config);
+  async resolveConfiguration(options = {}) {
+    const migrate = options.migrate !== false;
+    const versions = [];
+    const resolved = await this.overlayResolver.resolve(this.configPath, {
+      environment: this.environment,
+      transformLayer: (data, file) => {
+        const baseVersion = versions.at(-1) ?? 0;
+        try {
+          versions.push(this.migrator.getVersion(data, baseVersion));
+        } catch (error) {
+          throw new Error(`${file}: ${error.message}`);
+        }
+        return migrate
+          ? this.migrateConfiguration(data, file, baseVersion)
+          : data;
+      }
+    });
+
+    this.layers = resolved.layers;
+    if (resolved.layers.length > 1 && !options.quiet) {
+      console.log(`🧬 Config layers: ${resolved.layers.join(" → ")}`);
+    }
+
+    return { ...resolved, versions };
   }
 
   /**
-   * Recursively process environment variables in nested objects
+   * Upgrade configuration to the current schema_version in memory
+   *
+   * The file on disk is left untouched; a warning points at migrate-config
+   * so the upgrade can be reviewed and committed.
    *
-   * @param {any} obj - Object to process (may be nested)
-   * @param {string} context - Context path for error messages
-   * @returns {any} Processed object with environment variables resolved
+   * @param {Object} config - Configuration layer
+   * @param {string} file - Layer file, for the warning
+   * @param {number} baseVersion - Version of the layer beneath it (0 for the
+   *   root layer)
+   * @returns {Object} Configuration at the current schema version
+   * @throws {Error} If the config is newer than this build system supports
    */
-  _recursiveEnvVarProcessing(obj, context = "") {
-    if (typeof obj === "string") {
-      return this._processEnvironmentVariable(obj, context);
+  migrateConfiguration(config, file = this.configPath, baseVersion = 0) {
+    let result;
+    try {
+      result = this.migrator.migrate(config, baseVersion);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
     }
+    const { from, to, applied } = result;
 
-    if (Array.isArray(obj)) {
-      return obj.map((item, index) =>
-        this._recursiveEnvVarProcessing(item, `${context}[${index}]`)
+    if (applied.length > 0) {
+      console.warn(
+        `⚠️  ${file} is schema v${from}, migrated in memory to v${to}:`
       );
+      applied.forEach(step => console.warn(`   ${step}`));
+      console.warn("   Run `node build.js migrate-config` to upgrade it.");
     }
 
-    if (obj !== null && typeof obj === "object") {
-      const processed = {};
-      for (const [key, value] of Object.entries(obj)) {
-        const newContext = context ? `${context}.${key}` : key;
-        processed[key] = this._recursiveEnvVarProcessing(value, newContext);
-      }
-      return processed;
-    }
+    return result.config;
+  }
+
+  /**
+   * Keep only the selected environment under build_config.environments
+   *
+   * Other environments' credentials are often unavailable (a staging build
+   * has no production API key), so they are dropped before secrets are
+   * resolved and never fail --strict-secrets.
+   *
+   * @param {Object} config - Merged configuration
+   * @returns {Object} Configuration with at most one environment
+   */
+  selectEnvironment(config) {
+    const environments = config.build_config?.environments;
+    if (!environments) return config;
 
-    return obj;
+    const name = this.environment || DeploymentEnvironment.PRODUCTION;
+    return {
+      ...config,
+      build_config: {
+        ...config.build_config,
+        environments: environments[name] ? { [name]: environments[name] } : {}
+      }
+    };
   }
 
   /**
-   * Process a single environment variable reference
+   * Resolve secret references throughout configuration
    *
-   * @param {string} value - Value that may contain env: reference
-   * @param {string} context - Context for error messages
-   * @returns {string} Resolved value or original if not env reference
+   * Every string value is passed through the secret resolver registry
+   * (env:NAME, env:NAME|default, file:path, secret:NAME, ${VAR}).
+   * Unresolved references are kept as placeholders with a warning, or fail
+   * the load in strict secrets mode so they never reach build artifacts.
+   *
+   * @param {Object} config - Configuration to process
+   * @returns {Promise<Object>} Processed configuration with resolved secrets
+   * @throws {Error} If any reference is unresolved in strict secrets mode
    */
-  _processEnvironmentVariable(value, context = "") {
-    if (typeof value !== "string" || !value.startsWith("env:")) {
-      return value;
+  async processEnvironmentVariables(config) {
+    const processed = await this.secretResolver.resolveAll(config);
+    const unresolved = this.secretResolver.getUnresolved();
+
+    if (unresolved.length === 0) {
+      return processed;
     }
 
-    const envVarName = value.substring(4); // Remove 'env:' prefix
-    const envValue = process.env[envVarName];
+    const details = this.secretResolver.formatUnresolved(unresolved);
 
-    if (envValue === undefined) {
-      console.warn(
-        `⚠️  Environment variable not found: ${envVarName} (${context})`
-      );
-      console.warn(`   Using placeholder value: ${value}`);
-      return value; // Keep the env: reference as placeholder
+    if (this.strictSecrets) {
+      throw new Error(`${unresolved.length} unresolved secret(s):\n${details}`);
     }
 
-    return envValue;
+    console.warn(`⚠️  ${unresolved.length} secret(s) could not be resolved:`);
+    console.warn(details);
+    console.warn("   Using placeholder values (fails with --strict-secrets).");
+
+    return processed;
   }
 
   /**
-   * Validate configuration structure and required fields
+   * Validate configuration against the versioned config schema
+   *
+   * Every violation is reported with its JSON path (e.g.
+   * "$.client_data.services[0].duration_minutes"). In strict mode any
+   * violation fails the build; otherwise violations are logged as warnings.
    *
    * @param {Object} config - Configuration to validate
-   * @throws {Error} If configuration is invalid
+   * @returns {Array<{path: string, message: string}>} Schema violations
+   * @throws {Error} If configuration is missing, or invalid in strict mode
    */
   validateConfiguration(config) {
     if (!config) {
       throw new Error("Configuration is null or undefined");
     }
 
-    // Validate required top-level sections
-    const requiredSections = ["templating", "client_data", "build_config"];
-    for (const section of requiredSections) {
-      if (!config[section]) {
-        console.warn(`⚠️  Missing configuration section: ${section}`);
-      }
-    }
-
-    // Validate templating section
+    // templating.variables drives filenames - never buildable without it
     if (config.templating && !config.templating.variables) {
       throw new Error("templating.variables is required");
     }
 
-    // Validate client_data section
-    if (config.client_data) {
-      if (!config.client_data.business_info) {
-        console.warn("⚠️  Missing client_data.business_info");
-      }
-      if (!Array.isArray(config.client_data.services)) {
-        console.warn("⚠️  client_data.services should be an array");
-      }
+    const errors = this.schemaValidator.validate(config);
+
+    // Hours intervals, dates and overlaps need more than the schema can say
+    const clientData = config.client_data || {};
+    if (clientData.business_hours) {
+      errors.push(
+        ...new BusinessHours(clientData.business_hours, {
+          timezone: clientData.business_info?.timezone
+        }).getErrors()
+      );
+    }
+    if (clientData.locations) {
+      errors.push(...new BusinessLocations(clientData).getErrors());
+    }
+    if (clientData.booking?.group_bookings) {
+      errors.push(...new GroupBookings(clientData).getErrors());
+    }
+    if (clientData.booking?.recurring_appointments) {
+      errors.push(...new RecurringAppointments(clientData).getErrors());
+    }
+    if (Array.isArray(clientData.services)) {
+      errors.push(
+        ...new ServiceSchemaEngine().validatePropertyDefinitions(
+          clientData.services
+        )
+      );
+      errors.push(...new BookingRules(clientData.services).getErrors());
+      errors.push(
+        ...new ServiceCatalog(clientData.services, {
+          currency: clientData.business_info?.currency
+        }).getErrors()
+      );
     }
 
-    // Validate build_config section
-    if (config.build_config) {
-      if (!config.build_config.infrastructure) {
-        console.warn("⚠️  Missing build_config.infrastructure");
-      }
+    this.validationErrors = errors;
+
+    if (errors.length === 0) {
+      return errors;
     }
+
+    const version = this.schemaValidator.getSchemaVersion();
+    const details = this.schemaValidator.formatErrors(errors);
+
+    if (this.strict) {
+      throw new Error(
+        `Configuration does not match schema v${version} ` +
+          `(${errors.length} error(s)):\n${details}`
+      );
+    }
+
+    console.warn(
+      `⚠️  Configuration has ${errors.length} schema issue(s) (schema v${version}):`
+    );
+    console.warn(details);
+    console.warn("   Run with --strict to fail the build on schema errors.");
+
+    return errors;
   }
 
   /**
@@ -173,6 +312,7 @@ class ConfigurationLoader {
    */
   getDefaultConfiguration() {
     return {
+      schema_version: this.migrator.getCurrentVersion(),
       templating: {
         auto_generate_from_repo: false,
         variables: {
@@ -205,14 +345,13 @@ class ConfigurationLoader {
           max_total_dynamic_columns: 40
         },
         business_hours: {
-          monday: "9:00 AM - 5:00 PM",
-          tuesday: "9:00 AM - 5:00 PM",
-          wednesday: "9:00 AM - 5:00 PM",
-          thursday: "9:00 AM - 5:00 PM",
-          friday: "9:00 AM - 5:00 PM",
-          saturday: "Closed",
-          sunday: "Closed",
-          display: "Mon-Fri 9am-5pm, Sat-Sun closed"
+          monday: [{ open: "09:00", close: "17:00" }],
+          tuesday: [{ open: "09:00", close: "17:00" }],
+          wednesday: [{ open: "09:00", close: "17:00" }],
+          thursday: [{ open: "09:00", close: "17:00" }],
+          friday: [{ open: "09:00", close: "17:00" }],
+          saturday: [],
+          sunday: []
         },
         booking: {
           advance_notice_required: "24 hours",
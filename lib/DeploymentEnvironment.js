@@ -0,0 +1,229 @@
+/**
+ * Deployment Environment Module
+ *
+ * Responsible for building one client for several deployment targets
+ * (`--env staging`, `--env production`) without staging agents ever calling
+ * production workflows. Each environment declared under
+ * build_config.environments selects its own webhook base URL, n8n instance,
+ * transfer number, agent name and webhook hash namespace. The settings are
+ * applied to the resolved configuration before anything reads it, after any
+ * config.<env>.json overlay.
+ *
+ * CONFIG SHAPE:
+ * "build_config": {
+ *   "environments": {
+ *     "staging": {
+ *       "label": "Staging",                          // default: capitalized name
+ *       "base_webhook_url": "https://n8n-staging.example.com",
+ *       "instance_url": "https://n8n-staging.example.com",
+ *       "credentials": { "api_key": "env:N8N_STAGING_API_KEY" },
+ *       "transfer_phone_number": "+15555550100",
+ *       "agent_name_suffix": " (Staging)",          // default: " (<label>)"
+ *       "version_title_suffix": "Demo (Staging)",   // default: "<suffix> (<label>)"
+ *       "hash_namespace": "staging"                 // default: the name
+ *     }
+ *   }
+ * }
+ *
+ * PRODUCTION:
+ * Builds without --env, and `--env production`, keep the configured values:
+ * no hash namespace, agent name or version title suffix. Every other
+ * environment gets a hash namespace (its name unless set), so its webhook
+ * paths never match production's even on a shared n8n instance, and its
+ * workflows are named "<business> (<label>) - ..." so deploys only replace
+ * the environment's own workflows.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Resolve the settings of the selected environment
+ * - Apply them to the resolved configuration
+ * - Name agents, version titles and n8n workflows per environment
+ *
+ * INTERFACE:
+ * - initialize(environments): Select settings from build_config.environments
+ * - isProduction(): True for builds without --env and --env production
+ * - isDeclared(): True if build_config.environments lists the environment
+ * - applyTo(config): Override infrastructure and deployment settings (and
+ *   a runtime_variables transfer number, so the environment's number wins)
+ * - getHashNamespace(): Webhook hash namespace, or null
+ * - decorateAgentName(agentName): Agent name with the environment suffix
+ * - decorateVersionTitle(suffix): version_title suffix for the environment
+ * - getWorkflowPrefix(businessName): Prefix of the environment's workflows
+ * - toBuildInfo(): Summary for build-info.json
+ */
+
+const PRODUCTION = "production";
+
+class DeploymentEnvironment {
+  /**
+   * @param {string|null} name - Environment name from --env (null = production)
+   */
+  constructor(name = null) {
+    this.name = name || PRODUCTION;
+    this.declared = false;
+    this.settings = {};
+  }
+
+  /**
+   * Select the environment's settings
+   *
+   * @param {Object} environments - build_config.environments
+   */
+  initialize(environments = {}) {
+    const settings = (environments || {})[this.name];
+    this.declared = Boolean(settings);
+    this.settings = { ...(settings || {}) };
+
+    if (!this.isProduction() && !this.declared) {
+      console.warn(
+        `⚠️  build_config.environments has no "${this.name}" entry; only the config.${this.name}.json overlay (if any) and the "${this.getHashNamespace()}" hash namespace apply`
+      );
+    }
+  }
+
+  /**
+   * Check whether this is the production environment
+   *
+   * @returns {boolean} True for builds without --env and --env production
+   */
+  isProduction() {
+    return this.name === PRODUCTION;
+  }
+
+  /**
+   * Check whether build_config.environments lists the environment
+   *
+   * @returns {boolean} True if declared
+   */
+  isDeclared() {
+    return this.declared;
+  }
+
+  /**
+   * Get the label used in agent names, version titles and workflow names
+   *
+   * @returns {string} e.g. "Staging"
+   */
+  getLabel() {
+    return (
+      this.settings.label ||
+      this.name.charAt(0).toUpperCase() + this.name.slice(1)
+    );
+  }
+
+  /**
+   * Override infrastructure and deployment settings in place
+   *
+   * @param {Object} config - Resolved configuration
+   * @returns {Object} The same configuration
+   */
+  applyTo(config) {
+    const buildConfig = config.build_config;
+    if (!buildConfig) return config;
+
+    const {
+      base_webhook_url,
+      transfer_phone_number,
+      instance_url,
+      credentials
+    } = this.settings;
+
+    if (base_webhook_url || transfer_phone_number) {
+      buildConfig.infrastructure = {
+        ...buildConfig.infrastructure,
+        ...(base_webhook_url && { base_webhook_url }),
+        ...(transfer_phone_number && { transfer_phone_number })
+      };
+    }
+
+    // runtime_variables.transfer_phone_number overrides the canonical
+    // infrastructure value, so it must not keep another environment's number
+    const runtimeVariables = config.runtime_variables;
+    if (
+      transfer_phone_number &&
+      runtimeVariables?.transfer_phone_number &&
+      runtimeVariables.transfer_phone_number !== transfer_phone_number
+    ) {
+      console.warn(
+        `⚠️  runtime_variables.transfer_phone_number replaced by the ${this.name} environment's number`
+      );
+      config.runtime_variables = { ...runtimeVariables, transfer_phone_number };
+    }
+
+    if (instance_url || credentials) {
+      buildConfig.webhook_deployment = {
+        ...buildConfig.webhook_deployment,
+        ...(instance_url && { instance_url }),
+        ...(credentials && { credentials })
+      };
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the namespace mixed into webhook hashes
+   *
+   * @returns {string|null} Namespace, or null for production's hashes
+   */
+  getHashNamespace() {
+    if (this.settings.hash_namespace) return this.settings.hash_namespace;
+    return this.isProduction() ? null : this.name;
+  }
+
+  /**
+   * Add the environment suffix to the agent name
+   *
+   * @param {string} agentName - Configured agent name
+   * @returns {string} e.g. "Front Desk (Staging)"
+   */
+  decorateAgentName(agentName) {
+    if (!agentName) return agentName;
+
+    const suffix =
+      this.settings.agent_name_suffix ??
+      (this.isProduction() ? "" : ` (${this.getLabel()})`);
+    return `${agentName}${suffix}`;
+  }
+
+  /**
+   * Get the version_title suffix for the environment
+   *
+   * @param {string} suffix - Suffix from version_settings
+   * @returns {string} e.g. "Demo (Staging)"
+   */
+  decorateVersionTitle(suffix) {
+    if (this.settings.version_title_suffix) {
+      return this.settings.version_title_suffix;
+    }
+    return this.isProduction() ? suffix : `${suffix} (${this.getLabel()})`;
+  }
+
+  /**
+   * Get the prefix of the environment's n8n workflow, project and tag names
+   *
+   * @param {string} businessName - Business name
+   * @returns {string} e.g. "Acme Dental (Staging)"
+   */
+  getWorkflowPrefix(businessName) {
+    return this.isProduction()
+      ? businessName
+      : `${businessName} (${this.getLabel()})`;
+  }
+
+  /**
+   * Summarize the environment for build-info.json
+   *
+   * @returns {Object} { name, declared, hash_namespace }
+   */
+  toBuildInfo() {
+    return {
+      name: this.name,
+      declared: this.declared,
+      hash_namespace: this.getHashNamespace()
+    };
+  }
+}
+
+DeploymentEnvironment.PRODUCTION = PRODUCTION;
+
+module.exports = DeploymentEnvironment;
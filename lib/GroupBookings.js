@@ -0,0 +1,197 @@
+/**
+ * Group Bookings Module
+ *
+ * Responsible for bookings that cover more than one service or person
+ * (client_data.booking.group_bookings). A caller can book several services
+ * back-to-back in one call, and book for a party (party size plus the other
+ * people's names).
+ *
+ * CONFIG SHAPE:
+ * "booking": {
+ *   "group_bookings": {
+ *     "max_services": 3,                 // services per booking (default 1)
+ *     "max_party_size": 4,               // people per booking (default 1)
+ *     "calendar_events": "per_attendee"  // or "combined" (default)
+ *   }
+ * }
+ *
+ * SCHEDULING:
+ * Services run back-to-back in the order the caller gave them. With
+ * "combined" the party attends together and one calendar event spans every
+ * service. With "per_attendee" the party is served one person after
+ * another, each with their own calendar event, so the booking lasts the
+ * party size times the service time. Prices are per person.
+ *
+ * The Appointments sheet gets one row per attendee and service, tied
+ * together by a shared "Booking Group" ID. Without group_bookings (or with
+ * both limits at 1) the booking tool and workflows are unchanged.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Validate limits against the configured services
+ * - Produce the booking tool properties (additional_services, party_size,
+ *   party_names) and the n8n config ({{GROUP_BOOKINGS}})
+ * - Describe the limits for the agent
+ *
+ * INTERFACE:
+ * - isEnabled(): True if several services or people can be booked at once
+ * - getErrors(): Validation errors ({ path, message })
+ * - generateSchemaProperties(services): bookAppointment tool properties
+ * - toWorkflowConfig(): Limits and calendar event mode for n8n
+ * - describe(): Plain-language summary for the knowledge base
+ */
+
+const DEFAULT_SETTINGS = {
+  max_services: 1,
+  max_party_size: 1,
+  calendar_events: "combined"
+};
+
+class GroupBookings {
+  /**
+   * @param {Object} clientData - client_data from config.json
+   * @param {Object} options - Options
+   * @param {string} options.path - JSON path of group_bookings, for errors
+   */
+  constructor(clientData = {}, options = {}) {
+    this.clientData = clientData || {};
+    this.path = options.path || "$.client_data.booking.group_bookings";
+    this.errors = [];
+    this.settings = {
+      ...DEFAULT_SETTINGS,
+      ...(this.clientData.booking?.group_bookings || {})
+    };
+
+    this._validate();
+  }
+
+  /**
+   * Check whether several services or people can be booked at once
+   *
+   * @returns {boolean} True if either limit is above 1
+   */
+  isEnabled() {
+    return this.settings.max_services > 1 || this.settings.max_party_size > 1;
+  }
+
+  /**
+   * Get validation errors
+   *
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Generate the group booking properties for the bookAppointment tool
+   *
+   * @param {Array} services - Services array from config.json
+   * @returns {Object} Property name → JSON schema (empty when disabled)
+   */
+  generateSchemaProperties(services = this.clientData.services || []) {
+    const properties = {};
+    const { max_services, max_party_size, calendar_events } = this.settings;
+
+    if (max_services > 1) {
+      properties.additional_services = {
+        type: "array",
+        items: { type: "string", enum: services.map(service => service.slug) },
+        maxItems: max_services - 1,
+        description:
+          `Other services to book back-to-back after the selected service, in the order the caller wants them ` +
+          `(up to ${max_services} services in total). Collect their service_properties and service_options too. ` +
+          "Leave out for a single service."
+      };
+    }
+
+    if (max_party_size > 1) {
+      properties.party_size = {
+        type: "integer",
+        minimum: 1,
+        maximum: max_party_size,
+        description:
+          `Number of people the appointment is for, including the caller (up to ${max_party_size}). ` +
+          (calendar_events === "per_attendee"
+            ? "Each person is served in turn, one after another."
+            : "The party attends together.")
+      };
+      properties.party_names = {
+        type: "array",
+        items: { type: "string" },
+        maxItems: max_party_size - 1,
+        description:
+          "Full names of the other people in the party, not including the caller."
+      };
+    }
+
+    return properties;
+  }
+
+  /**
+   * Build group booking config for n8n workflows
+   *
+   * @returns {Object} { max_services, max_party_size, calendar_events }
+   */
+  toWorkflowConfig() {
+    const { max_services, max_party_size, calendar_events } = this.settings;
+    return { max_services, max_party_size, calendar_events };
+  }
+
+  /**
+   * Describe the limits for the knowledge base
+   *
+   * @returns {string} e.g. "Up to 3 services can be booked back-to-back in
+   *   one appointment."
+   */
+  describe() {
+    const { max_services, max_party_size, calendar_events } = this.settings;
+    const parts = [];
+
+    if (max_services > 1) {
+      parts.push(
+        `Up to ${max_services} services can be booked back-to-back in one appointment.`
+      );
+    }
+    if (max_party_size > 1) {
+      parts.push(
+        calendar_events === "per_attendee"
+          ? `Groups of up to ${max_party_size} people can book together; each person is seen in turn, one after another.`
+          : `Groups of up to ${max_party_size} people can book together and attend as one appointment.`
+      );
+    }
+
+    return parts.length > 0
+      ? parts.join(" ")
+      : "Each appointment is for one person and one service.";
+  }
+
+  /**
+   * Validate the limits against the configured services
+   */
+  _validate() {
+    const services = this.clientData.services || [];
+    if (
+      this.settings.max_services > 1 &&
+      this.settings.max_services > services.length
+    ) {
+      this._addError(
+        `${this.path}.max_services`,
+        `${this.settings.max_services} exceeds the ${services.length} configured services`
+      );
+    }
+  }
+
+  /**
+   * Record a validation error
+   *
+   * @param {string} errorPath - JSON path
+   * @param {string} message - Error message
+   */
+  _addError(errorPath, message) {
+    this.errors.push({ path: errorPath, message });
+  }
+}
+
+GroupBookings.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = GroupBookings;
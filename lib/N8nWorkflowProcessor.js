@@ -1,3 +1,11 @@
+const crypto = require("crypto");
+const BookingRules = require("./BookingRules");
+const GroupBookings = require("./GroupBookings");
+const RecurringAppointments = require("./RecurringAppointments");
+const ServiceCatalog = require("./ServiceCatalog");
+const ServiceSchemaEngine = require("./ServiceSchemaEngine");
+const ToolValidatorGenerator = require("./ToolValidatorGenerator");
+
 /**
  * N8n Workflow Processor Module
  *
@@ -8,14 +16,28 @@
  * KEY RESPONSIBILITIES:
  * - Process answerQuestion workflow with RAG prompt injection
  * - Inject service configurations into service-dependent workflows
+ * - Inject the business hours schedule into the dayAndTime workflow
+ * - Inject location routing and per-location calendars into booking workflows
  * - Update webhook nodes with unique hash identifiers
  * - Apply template variable replacement throughout workflows
- * - Update service mappings and validation rules
+ * - Update service mappings and validation rules, including property rules
+ * - Inject per-service booking rules (buffers, notice, windows, slots)
+ * - Inject variant/add-on pricing and durations ({{SERVICE_OPTIONS}})
+ * - Inject multi-service and party limits ({{GROUP_BOOKINGS}})
+ * - Inject recurring series settings ({{RECURRENCE}})
+ * - Generate request validation from the tool schemas ({{TOOL_VALIDATOR}})
+ * - Verify signed webhook requests before any other node runs
  *
  * INTERFACE:
  * - processWorkflow(content, workflowName, context): Process workflow JSON
- * - injectServiceConfiguration(workflow, workflowName): Inject service config
+ * - injectServiceConfiguration(workflow, workflowName, services, serviceOptions,
+ *   groupBookings, recurring): Inject service config
+ * - injectBusinessHours(workflow, workflowName, schedule): Inject hours
+ * - injectLocations(workflow, workflowName, locations): Inject locations
+ * - injectToolValidation(workflow, workflowName, toolSchema): Inject validator
  * - updateWebhookNodes(workflow, workflowName, webhookConfig): Update webhooks
+ * - injectSignatureVerification(workflow, workflowName, signing): Reject
+ *   unsigned and replayed requests
  * - applyTemplateVariables(content, variables): Replace template vars
  */
 class N8nWorkflowProcessor {
@@ -35,6 +57,7 @@ class N8nWorkflowProcessor {
       cancelAppointment: "cancelAppointment",
       dayAndTime: "dayAndTime"
     };
+    this.businessHoursWorkflows = ["dayAndTime"];
   }
 
   /**
@@ -49,10 +72,12 @@ class N8nWorkflowProcessor {
     try {
       const jsonData = JSON.parse(content);
 
-      // Add workflow name if missing (required for n8n import)
+      // Add workflow name if missing (required for n8n import), prefixed
+      // with the environment outside production
       if (!jsonData.name) {
         const displayName = this._formatWorkflowName(workflowName);
-        jsonData.name = `${context.businessName} - ${displayName}`;
+        const prefix = context.workflowPrefix || context.businessName;
+        jsonData.name = `${prefix} - ${displayName}`;
       }
 
       // Add active status if missing (required for n8n import)
@@ -74,15 +99,55 @@ class N8nWorkflowProcessor {
         this.injectServiceConfiguration(
           jsonData,
           workflowName,
-          context.services
+          context.services,
+          context.serviceOptions,
+          context.groupBookings?.toWorkflowConfig(),
+          context.recurringAppointments?.toWorkflowConfig()
         );
       }
 
+      // Handle appointment workflows (location routing injection)
+      if (this._isServiceDependentWorkflow(workflowName) && context.locations) {
+        this.injectLocations(jsonData, workflowName, context.locations);
+      }
+
+      // Handle appointment workflows (validator generated from the tool schema)
+      if (this._isServiceDependentWorkflow(workflowName)) {
+        const toolSchemas = new ServiceSchemaEngine().buildToolSchemas(
+          context.services || [],
+          context.locations,
+          context.groupBookings,
+          context.recurringAppointments
+        );
+        this.injectToolValidation(
+          jsonData,
+          workflowName,
+          toolSchemas[this.workflowToToolMapping[workflowName]]
+        );
+      }
+
+      // Handle business-hours-aware workflows (schedule injection)
+      if (
+        this.businessHoursWorkflows.includes(workflowName) &&
+        context.businessHours
+      ) {
+        this.injectBusinessHours(jsonData, workflowName, context.businessHours);
+      }
+
       // Inject webhook hash identifiers into webhook nodes
       if (context.webhookConfig) {
         this.updateWebhookNodes(jsonData, workflowName, context.webhookConfig);
       }
 
+      // Verify signed requests between the webhook and everything else
+      if (context.webhookSigning) {
+        this.injectSignatureVerification(
+          jsonData,
+          workflowName,
+          context.webhookSigning
+        );
+      }
+
       // Apply template variables to all workflow content
       let processedContent = JSON.stringify(jsonData, null, 2);
       if (context.templateVariables) {
@@ -166,8 +231,21 @@ class N8nWorkflowProcessor {
    * @param {Object} jsonData - Parsed workflow JSON
    * @param {string} workflowName - Name of the workflow
    * @param {Array} services - Services array from config
+   * @param {Object} serviceOptions - Pricing from ServiceCatalog.toWorkflowConfig()
+   *   (defaults to USD pricing of the services)
+   * @param {Object} groupBookings - Limits from GroupBookings.toWorkflowConfig()
+   *   (defaults to one service for one person)
+   * @param {Object} recurring - Settings from
+   *   RecurringAppointments.toWorkflowConfig() (defaults to disabled)
    */
-  injectServiceConfiguration(jsonData, workflowName, services) {
+  injectServiceConfiguration(
+    jsonData,
+    workflowName,
+    services,
+    serviceOptions,
+    groupBookings,
+    recurring
+  ) {
     if (!jsonData.nodes || !services || services.length === 0) {
       console.warn(
         `⚠️  No services or nodes found for ${workflowName} service injection`
@@ -177,6 +255,12 @@ class N8nWorkflowProcessor {
 
     // Generate service configuration from services array
     const serviceConfig = this._generateWorkflowServiceConfig(services);
+    serviceConfig.serviceOptions =
+      serviceOptions || new ServiceCatalog(services).toWorkflowConfig();
+    serviceConfig.groupBookings =
+      groupBookings || new GroupBookings().toWorkflowConfig();
+    serviceConfig.recurring =
+      recurring || new RecurringAppointments().toWorkflowConfig();
 
     // Inject configuration into relevant nodes
     jsonData.nodes.forEach(node => {
@@ -202,7 +286,13 @@ class N8nWorkflowProcessor {
    */
   _generateWorkflowServiceConfig(services) {
     if (!services || services.length === 0) {
-      return { serviceMapping: {}, requiredProperties: {}, columnMapping: {} };
+      return {
+        serviceMapping: {},
+        requiredProperties: {},
+        propertyRules: {},
+        bookingRules: {},
+        columnMapping: {}
+      };
     }
 
     const serviceMapping = {};
@@ -213,11 +303,12 @@ class N8nWorkflowProcessor {
       // Service slug to display name mapping
       serviceMapping[service.slug] = service.name;
 
-      // Required properties for validation
+      // Required properties for validation (conditional ones are checked
+      // against their "when" rule instead)
       if (service.properties?.required) {
-        requiredProperties[service.slug] = service.properties.required.map(
-          prop => prop.name
-        );
+        requiredProperties[service.slug] = service.properties.required
+          .filter(prop => !prop.when)
+          .map(prop => prop.name);
       }
 
       // CSV column mapping for service properties
@@ -238,6 +329,10 @@ class N8nWorkflowProcessor {
     return {
       serviceMapping,
       requiredProperties,
+      // enum, range, format, pattern and default rules per property
+      propertyRules: new ServiceSchemaEngine().buildPropertyRules(services),
+      // Buffers, notice, booking window, allowed days/hours and slot grid
+      bookingRules: new BookingRules(services).toWorkflowConfig(),
       columnMapping,
       reverseColumnMapping: this._generateReverseColumnMapping(columnMapping)
     };
@@ -292,6 +387,11 @@ class N8nWorkflowProcessor {
     const replacements = {
       "{{SERVICE_MAPPING}}": serviceConfig.serviceMapping,
       "{{REQUIRED_PROPERTIES}}": serviceConfig.requiredProperties,
+      "{{PROPERTY_RULES}}": serviceConfig.propertyRules,
+      "{{BOOKING_RULES}}": serviceConfig.bookingRules,
+      "{{SERVICE_OPTIONS}}": serviceConfig.serviceOptions,
+      "{{GROUP_BOOKINGS}}": serviceConfig.groupBookings,
+      "{{RECURRENCE}}": serviceConfig.recurring,
       "{{COLUMN_MAPPING}}": serviceConfig.columnMapping,
       "{{REVERSE_COLUMN_MAPPING}}": serviceConfig.reverseColumnMapping
     };
@@ -342,6 +442,116 @@ class N8nWorkflowProcessor {
     return updatedCode;
   }
 
+  /**
+   * Inject the business hours schedule into workflow nodes
+   *
+   * Code nodes receive the schedule through {{BUSINESS_HOURS}} so they can
+   * work out open/closed status, holidays and the next opening at runtime.
+   * Date & Time nodes get the business timezone via {{BUSINESS_TIMEZONE}}.
+   *
+   * @param {Object} jsonData - Parsed workflow JSON
+   * @param {string} workflowName - Name of the workflow
+   * @param {Object} schedule - Schedule from BusinessHours.toSchedule()
+   */
+  injectBusinessHours(jsonData, workflowName, schedule) {
+    if (!jsonData.nodes) return;
+
+    jsonData.nodes.forEach(node => {
+      if (node.parameters?.jsCode?.includes("{{BUSINESS_HOURS}}")) {
+        node.parameters.jsCode = node.parameters.jsCode.replace(
+          /\{\{BUSINESS_HOURS\}\}/g,
+          () => JSON.stringify(schedule, null, 2)
+        );
+      }
+      if (node.parameters?.options?.timezone === "{{BUSINESS_TIMEZONE}}") {
+        node.parameters.options.timezone = schedule.timezone;
+      }
+    });
+
+    console.log(`✅ Injected business hours for ${workflowName} workflow`);
+  }
+
+  /**
+   * Inject location routing into appointment workflow nodes
+   *
+   * Code nodes receive location id → { name, timezone, calendar_id,
+   * services } through {{LOCATIONS}} (an empty object for single-location
+   * businesses). With locations configured, Google Calendar nodes read the
+   * calendar from $json.calendar_id, falling back to the template calendar.
+   *
+   * @param {Object} jsonData - Parsed workflow JSON
+   * @param {string} workflowName - Name of the workflow
+   * @param {Object} locations - BusinessLocations instance
+   */
+  injectLocations(jsonData, workflowName, locations) {
+    if (!jsonData.nodes) return;
+
+    const workflowConfig = locations.toWorkflowConfig();
+    let updatedCount = 0;
+
+    jsonData.nodes.forEach(node => {
+      if (node.parameters?.jsCode?.includes("{{LOCATIONS}}")) {
+        node.parameters.jsCode = node.parameters.jsCode.replace(
+          /\{\{LOCATIONS\}\}/g,
+          () => JSON.stringify(workflowConfig, null, 2)
+        );
+        updatedCount++;
+      }
+
+      const calendar = node.parameters?.calendar;
+      if (
+        locations.hasLocations() &&
+        node.type === "n8n-nodes-base.googleCalendar" &&
+        calendar?.__rl &&
+        !String(calendar.value).startsWith("=")
+      ) {
+        node.parameters.calendar = {
+          __rl: true,
+          value: `={{ $json.calendar_id || ${JSON.stringify(calendar.value)} }}`,
+          mode: "id"
+        };
+        updatedCount++;
+      }
+    });
+
+    if (locations.hasLocations() && updatedCount > 0) {
+      console.log(
+        `✅ Injected ${locations.getLocations().length} locations for ${workflowName} workflow`
+      );
+    }
+  }
+
+  /**
+   * Inject the generated request validator into workflow nodes
+   *
+   * Code nodes receive validateToolInput(body) through {{TOOL_VALIDATOR}},
+   * compiled from the same schema the agent's tool is given.
+   *
+   * @param {Object} jsonData - Parsed workflow JSON
+   * @param {string} workflowName - Name of the workflow
+   * @param {Object} toolSchema - Tool parameters from buildToolSchemas()
+   */
+  injectToolValidation(jsonData, workflowName, toolSchema) {
+    if (!jsonData.nodes || !toolSchema) return;
+
+    const toolName = this.workflowToToolMapping[workflowName];
+    const validator = new ToolValidatorGenerator().generate(
+      toolSchema,
+      toolName
+    );
+
+    jsonData.nodes.forEach(node => {
+      if (node.parameters?.jsCode?.includes("{{TOOL_VALIDATOR}}")) {
+        node.parameters.jsCode = node.parameters.jsCode.replace(
+          /\{\{TOOL_VALIDATOR\}\}/g,
+          () => validator
+        );
+      }
+    });
+
+    console.log(`✅ Generated ${toolName} request validation from tool schema`);
+  }
+
   /**
    * Update webhook nodes with unique hash identifiers
    *
@@ -397,6 +607,190 @@ class N8nWorkflowProcessor {
     });
   }
 
+  /**
+   * Insert request verification after each webhook node
+   *
+   * The webhook's outgoing connections move behind three new nodes:
+   * "Verify Request Signature" (Code) checks the client header and Retell's
+   * X-Retell-Signature ("v=<timestamp ms>,d=<hex HMAC-SHA256 of the JSON
+   * body followed by the timestamp>", keyed with the signing key from the
+   * n8n environment), rejects signatures older than tolerance_seconds and
+   * remembers accepted signatures in the workflow's static data so a replay
+   * within that window is rejected too. "Signature Valid?" passes verified
+   * requests on unchanged; "Reject Unsigned Request" answers 401 otherwise.
+   *
+   * The n8n instance needs the signing key in its environment (secret_env),
+   * $env access in Code nodes and NODE_FUNCTION_ALLOW_BUILTIN=crypto.
+   *
+   * @param {Object} jsonData - Parsed workflow JSON
+   * @param {string} workflowName - Name of the workflow
+   * @param {Object} signing - WebhookGenerator.getSigningConfig()
+   */
+  injectSignatureVerification(jsonData, workflowName, signing) {
+    if (!jsonData.nodes || !signing) return;
+
+    jsonData.connections = jsonData.connections || {};
+    const webhooks = jsonData.nodes.filter(
+      node => node.type === "webhook" || node.type === "n8n-nodes-base.webhook"
+    );
+
+    webhooks.forEach((webhook, index) => {
+      const suffix = webhooks.length > 1 ? ` ${index + 1}` : "";
+      const names = {
+        verify: `Verify Request Signature${suffix}`,
+        check: `Signature Valid?${suffix}`,
+        reject: `Reject Unsigned Request${suffix}`
+      };
+      const [x, y] = webhook.position || [0, 0];
+      const nodeId = name => this._deterministicId(`${workflowName}:${name}`);
+
+      jsonData.nodes.push(
+        {
+          parameters: { jsCode: this._buildVerificationCode(signing) },
+          id: nodeId(names.verify),
+          name: names.verify,
+          type: "n8n-nodes-base.code",
+          typeVersion: 2,
+          position: [x, y - 220]
+        },
+        {
+          parameters: {
+            conditions: {
+              options: {
+                caseSensitive: true,
+                leftValue: "",
+                typeValidation: "strict",
+                version: 2
+              },
+              conditions: [
+                {
+                  id: nodeId(`${names.check}:condition`),
+                  leftValue: "={{ $json.signature_valid === true }}",
+                  rightValue: "",
+                  operator: {
+                    type: "boolean",
+                    operation: "true",
+                    singleValue: true
+                  }
+                }
+              ],
+              combinator: "and"
+            },
+            options: {}
+          },
+          type: "n8n-nodes-base.if",
+          typeVersion: 2.2,
+          position: [x + 220, y - 220],
+          id: nodeId(names.check),
+          name: names.check
+        },
+        {
+          parameters: { options: { responseCode: 401 } },
+          id: nodeId(names.reject),
+          name: names.reject,
+          type: "n8n-nodes-base.respondToWebhook",
+          typeVersion: 1,
+          position: [x + 440, y - 380]
+        }
+      );
+
+      const targets = jsonData.connections[webhook.name]?.main?.[0] || [];
+      const link = name => [{ node: name, type: "main", index: 0 }];
+      jsonData.connections[webhook.name] = { main: [link(names.verify)] };
+      jsonData.connections[names.verify] = { main: [link(names.check)] };
+      jsonData.connections[names.check] = {
+        main: [targets, link(names.reject)]
+      };
+    });
+
+    if (webhooks.length > 0) {
+      console.log(
+        `🔏 Injected request signature verification into ${workflowName}`
+      );
+    }
+  }
+
+  /**
+   * Build the JavaScript of the "Verify Request Signature" node
+   *
+   * @param {Object} signing - WebhookGenerator.getSigningConfig()
+   * @returns {string} Code node source
+   */
+  _buildVerificationCode(signing) {
+    const settings = {
+      client_header: signing.client_header.toLowerCase(),
+      client_id: signing.client_id,
+      signature_header: signing.signature_header.toLowerCase(),
+      secret_env: signing.secret_env,
+      tolerance_ms: signing.tolerance_seconds * 1000
+    };
+
+    return [
+      "// Generated by the build: only signed requests from this client's agent get past this node",
+      "const crypto = require('crypto');",
+      "const request = $input.first().json;",
+      "const headers = request.headers || {};",
+      `const settings = ${JSON.stringify(settings, null, 2)};`,
+      "",
+      "function reject(reason) {",
+      "  return [{",
+      "    json: {",
+      "      signature_valid: false,",
+      "      status: 'failure',",
+      "      message: `Request rejected: ${reason}`,",
+      "      data: { timestamp: new Date().toISOString() }",
+      "    }",
+      "  }];",
+      "}",
+      "",
+      "const secret = $env[settings.secret_env];",
+      "if (!secret) return reject('signing key is not configured');",
+      "if (headers[settings.client_header] !== settings.client_id) return reject('unknown client');",
+      "",
+      "// Retell signs the JSON body followed by the timestamp: v=<timestamp ms>,d=<hex digest>",
+      "const match = /^v=(\\d+),d=([0-9a-f]+)$/.exec(headers[settings.signature_header] || '');",
+      "if (!match) return reject('missing signature');",
+      "",
+      "const [, timestamp, digest] = match;",
+      "const now = Date.now();",
+      "if (Math.abs(now - Number(timestamp)) > settings.tolerance_ms) return reject('signature expired');",
+      "",
+      "const expected = crypto.createHmac('sha256', secret).update(JSON.stringify(request.body) + timestamp).digest('hex');",
+      "if (expected.length !== digest.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digest))) {",
+      "  return reject('invalid signature');",
+      "}",
+      "",
+      "// Each signature is accepted once; expired ones are forgotten",
+      "const staticData = $getWorkflowStaticData('global');",
+      "const seen = staticData.seen_signatures || {};",
+      "for (const [key, seenAt] of Object.entries(seen)) {",
+      "  if (now - seenAt > settings.tolerance_ms) delete seen[key];",
+      "}",
+      "if (seen[digest]) return reject('replayed request');",
+      "seen[digest] = now;",
+      "staticData.seen_signatures = seen;",
+      "",
+      "return [{ json: { ...request, signature_valid: true } }];"
+    ].join("\n");
+  }
+
+  /**
+   * Derive a stable UUID-shaped node id, so rebuilds do not churn ids
+   *
+   * @param {string} seed - Unique seed (workflow and node name)
+   * @returns {string} UUID-formatted id
+   */
+  _deterministicId(seed) {
+    const hex = crypto.createHash("sha256").update(seed).digest("hex");
+    return [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20, 32)
+    ].join("-");
+  }
+
   /**
    * Apply template variable replacement to content
    *
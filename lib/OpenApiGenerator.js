@@ -0,0 +1,626 @@
+/**
+ * OpenAPI Generator Module
+ *
+ * Responsible for describing every agent tool endpoint in one OpenAPI 3.1
+ * document (dist/openapi.json). The tool contracts otherwise live only in
+ * the Retell agent JSON and the workflows' Code nodes; the spec gives
+ * backend and QA teams one file to test the webhooks against.
+ *
+ * SOURCES:
+ * - Paths: WebhookGenerator.buildWebhookUrls(), one operation per tool
+ * - Request bodies: the built agent's custom tool parameters, including the
+ *   generated service schemas. Tools without args_at_root are wrapped in
+ *   { name, args, call }, as Retell sends them
+ * - Responses: the workflow nodes that feed each "Respond to Webhook" node
+ *   (Format Success Response, the Handle ... error handlers and the
+ *   validation failures they pass through), merged per status value, and
+ *   the example of an AI Agent's structured output parser
+ * - Signed webhooks: the client and signature headers, and the 401 response
+ *
+ * RESPONSE SHAPES:
+ * Code nodes are read, not run. Every object literal with a literal status
+ * ({ status: 'success', message, data }) is a response; its property types
+ * come from the literal ('...' and `...` are strings, new Date()
+ * .toISOString() a date-time, x || 'text' a string). Values only known at
+ * runtime are left untyped. A Code node's responses belong to the nearest
+ * Respond to Webhook node downstream, so the signature check's rejections
+ * are the 401 response rather than part of the 200 response.
+ *
+ * INTERFACE:
+ * - generate(options): OpenAPI document for the tool endpoints
+ * - extractResponses(workflow): Response schemas per HTTP status code
+ */
+
+const OPENAPI_VERSION = "3.1.0";
+
+const CODE_NODE = "n8n-nodes-base.code";
+const RESPOND_NODE = "n8n-nodes-base.respondToWebhook";
+const OUTPUT_PARSER_NODE = "@n8n/n8n-nodes-langchain.outputParserStructured";
+
+class OpenApiGenerator {
+  /**
+   * Generate the OpenAPI document
+   *
+   * @param {Object} options - Generation options
+   * @param {string} options.title - API title
+   * @param {string} options.version - Build version
+   * @param {string} options.baseUrl - Webhook base URL (the server)
+   * @param {Object} options.webhookUrls - Tool name → webhook URL
+   * @param {Object} options.tools - Tool name → WebhookGenerator tool config
+   * @param {Object|null} options.agent - Built Retell agent JSON
+   * @param {Object} options.workflows - Tool name → built workflow JSON
+   * @param {Object|null} options.signing - WebhookGenerator.getSigningConfig()
+   * @returns {Object} OpenAPI document
+   */
+  generate(options) {
+    const {
+      title,
+      version,
+      baseUrl,
+      webhookUrls = {},
+      tools = {},
+      agent = null,
+      workflows = {},
+      signing = null
+    } = options;
+
+    const agentTools = {};
+    (agent?.conversationFlow?.tools || []).forEach(tool => {
+      agentTools[tool.name] = tool;
+    });
+
+    const server = baseUrl.replace(/\/+$/, "");
+    const paths = {};
+
+    for (const [toolName, url] of Object.entries(webhookUrls)) {
+      // Keys such as "_comment" are notes in the tools config, not tools
+      if (toolName.startsWith("_")) continue;
+
+      const urlPath = url.startsWith(server)
+        ? url.slice(server.length)
+        : new URL(url).pathname;
+      const tool = agentTools[toolName] || null;
+      const method = (tool?.method || "POST").toLowerCase();
+
+      paths[urlPath] = {
+        [method]: this._buildOperation(
+          toolName,
+          tool,
+          tools[toolName],
+          workflows[toolName],
+          signing
+        )
+      };
+    }
+
+    return {
+      openapi: OPENAPI_VERSION,
+      info: {
+        title,
+        version,
+        description:
+          "Webhook endpoints called by the voice agent's custom tools. Generated by the build; do not edit."
+      },
+      servers: [{ url: server }],
+      paths
+    };
+  }
+
+  /**
+   * Extract the response schemas of a workflow
+   *
+   * @param {Object} workflow - Built n8n workflow JSON
+   * @returns {Object} HTTP status code → { schema, sources }, where sources
+   *   lists the nodes the shapes were read from
+   */
+  extractResponses(workflow) {
+    const nodes = workflow?.nodes || [];
+    const byName = new Map(nodes.map(node => [node.name, node]));
+    const responders = nodes.filter(node => node.type === RESPOND_NODE);
+    if (responders.length === 0) return {};
+
+    // Shapes found in the workflow, each with the node it feeds from
+    const found = [];
+    for (const node of nodes) {
+      if (node.type === CODE_NODE && node.parameters?.jsCode) {
+        findStatusObjects(node.parameters.jsCode).forEach(literal => {
+          found.push({
+            from: node.name,
+            source: node.name,
+            schema: literalToSchema(literal)
+          });
+        });
+      } else if (
+        node.type === OUTPUT_PARSER_NODE &&
+        node.parameters?.jsonSchemaExample
+      ) {
+        // The parser shapes the output of the agent node it is attached to
+        const target = outgoing(workflow, node.name)[0];
+        const schema = exampleToSchema(node.parameters.jsonSchemaExample);
+        if (target && schema) {
+          found.push({ from: target, source: node.name, schema });
+        }
+      }
+    }
+
+    const grouped = {};
+    for (const shape of found) {
+      for (const responder of nearestResponders(workflow, shape.from)) {
+        const code = String(
+          byName.get(responder).parameters?.options?.responseCode || 200
+        );
+        grouped[code] = grouped[code] || [];
+        grouped[code].push(shape);
+      }
+    }
+
+    const responses = {};
+    for (const [code, shapes] of Object.entries(grouped)) {
+      responses[code] = {
+        schema: mergeByStatus(shapes),
+        sources: [...new Set(shapes.map(shape => shape.source))]
+      };
+    }
+    return responses;
+  }
+
+  /**
+   * Build the operation for one tool
+   *
+   * @param {string} toolName - Tool name
+   * @param {Object|null} tool - Agent custom tool
+   * @param {Object} toolConfig - WebhookGenerator tool config
+   * @param {Object} workflow - Built workflow serving the tool
+   * @param {Object|null} signing - Signing config
+   * @returns {Object} OpenAPI operation
+   */
+  _buildOperation(toolName, tool, toolConfig, workflow, signing) {
+    const operation = {
+      operationId: toolName,
+      summary: toolConfig?.description || toolName,
+      ...(tool?.description && { description: tool.description }),
+      tags: [workflow?.name || toolName]
+    };
+
+    if (signing) {
+      operation.parameters = [
+        {
+          name: signing.client_header,
+          in: "header",
+          required: true,
+          description:
+            "Client ID the agent's tool sends; requests for other clients are rejected",
+          schema: { type: "string" }
+        },
+        {
+          name: signing.signature_header,
+          in: "header",
+          required: true,
+          description:
+            `"v=<timestamp ms>,d=<hex HMAC-SHA256 of the JSON body followed by the timestamp>", ` +
+            `keyed with the Retell API key; valid for ${signing.tolerance_seconds} seconds and only once`,
+          schema: { type: "string", pattern: "^v=\\d+,d=[0-9a-f]+$" }
+        }
+      ];
+    }
+
+    // GET tools send no body
+    const parameters = tool?.parameters || { type: "object" };
+    if (tool?.method !== "GET") {
+      operation.requestBody = {
+        required: true,
+        content: {
+          "application/json": {
+            schema:
+              tool && tool.args_at_root === false
+                ? {
+                    type: "object",
+                    required: ["args"],
+                    properties: {
+                      name: { type: "string", const: toolName },
+                      args: parameters,
+                      call: {
+                        type: "object",
+                        description: "Retell call details"
+                      }
+                    }
+                  }
+                : parameters
+          }
+        }
+      };
+    }
+
+    operation.responses = {};
+    const responses = this.extractResponses(workflow);
+    for (const [code, { schema, sources }] of Object.entries(responses)) {
+      operation.responses[code] = {
+        description:
+          code === "401"
+            ? `Request rejected by the signature check (${sources.join(", ")})`
+            : `Tool result; the body's status tells success from failure (${sources.join(", ")})`,
+        content: { "application/json": { schema } }
+      };
+    }
+    if (Object.keys(operation.responses).length === 0) {
+      operation.responses["200"] = { description: "Tool result" };
+    }
+
+    return operation;
+  }
+}
+
+/**
+ * List the nodes a node connects to, over any connection type
+ *
+ * @param {Object} workflow - n8n workflow JSON
+ * @param {string} name - Node name
+ * @returns {Array<string>} Target node names
+ */
+function outgoing(workflow, name) {
+  const targets = [];
+  for (const outputs of Object.values(workflow.connections?.[name] || {})) {
+    for (const output of outputs || []) {
+      for (const connection of output || []) {
+        targets.push(connection.node);
+      }
+    }
+  }
+  return targets;
+}
+
+/**
+ * Find the Respond to Webhook nodes closest downstream of a node
+ *
+ * @param {Object} workflow - n8n workflow JSON
+ * @param {string} start - Node name
+ * @returns {Array<string>} Names of the responders at the smallest distance
+ */
+function nearestResponders(workflow, start) {
+  const types = new Map(workflow.nodes.map(node => [node.name, node.type]));
+  const seen = new Set([start]);
+  let frontier = [start];
+
+  while (frontier.length > 0) {
+    const found = frontier.filter(name => types.get(name) === RESPOND_NODE);
+    if (found.length > 0) return found;
+
+    const next = [];
+    for (const name of frontier) {
+      for (const target of outgoing(workflow, name)) {
+        if (!seen.has(target)) {
+          seen.add(target);
+          next.push(target);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return [];
+}
+
+/**
+ * Walk JavaScript source outside strings and comments
+ *
+ * @param {string} code - JavaScript source
+ * @param {Function} visit - Called with (index, char, depth) for code
+ *   characters; depth counts open (), [] and {} before the character
+ */
+function scanCode(code, visit) {
+  const closers = [];
+  let i = 0;
+
+  while (i < code.length) {
+    const char = code[i];
+    const next = code[i + 1];
+
+    if (char === "/" && next === "/") {
+      i = code.indexOf("\n", i);
+      if (i === -1) return;
+      continue;
+    }
+    if (char === "/" && next === "*") {
+      i = code.indexOf("*/", i + 2);
+      if (i === -1) return;
+      i += 2;
+      continue;
+    }
+    if (char === "'" || char === '"' || char === "`") {
+      i = skipString(code, i);
+      continue;
+    }
+
+    visit(i, char, closers.length);
+    if (char === "(" || char === "[" || char === "{") {
+      closers.push(char);
+    } else if (char === ")" || char === "]" || char === "}") {
+      closers.pop();
+    }
+    i++;
+  }
+}
+
+/**
+ * Skip a string or template literal
+ *
+ * @param {string} code - JavaScript source
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index after the closing quote
+ */
+function skipString(code, start) {
+  const quote = code[start];
+  let i = start + 1;
+
+  while (i < code.length && code[i] !== quote) {
+    if (code[i] === "\\") {
+      i += 2;
+    } else if (quote === "`" && code[i] === "$" && code[i + 1] === "{") {
+      // Skip the ${...} expression, which may hold strings of its own
+      let depth = 1;
+      i += 2;
+      while (i < code.length && depth > 0) {
+        if (code[i] === "'" || code[i] === '"' || code[i] === "`") {
+          i = skipString(code, i);
+          continue;
+        }
+        if (code[i] === "{") depth++;
+        if (code[i] === "}") depth--;
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+
+  return i + 1;
+}
+
+/**
+ * Find the object literals with a literal status property
+ *
+ * @param {string} code - Code node source
+ * @returns {Array<string>} Object literal source, e.g.
+ *   "{ status: 'success', message: '...', data: {...} }"
+ */
+function findStatusObjects(code) {
+  const opened = [];
+  const ranges = new Map();
+  const statusAt = [];
+
+  scanCode(code, (index, char) => {
+    if (char === "{") {
+      opened.push(index);
+    } else if (char === "}") {
+      const start = opened.pop();
+      if (start !== undefined) ranges.set(start, index);
+    } else if (
+      char === "s" &&
+      !/[\w$.]/.test(code[index - 1] || "") &&
+      /^status\s*:\s*['"`][\w-]+['"`]/.test(code.slice(index, index + 40)) &&
+      opened.length > 0
+    ) {
+      statusAt.push(opened[opened.length - 1]);
+    }
+  });
+
+  return [...new Set(statusAt)]
+    .filter(start => ranges.has(start))
+    .map(start => code.slice(start, ranges.get(start) + 1));
+}
+
+/**
+ * Split source at top-level commas
+ *
+ * @param {string} source - Source without the enclosing brackets
+ * @returns {Array<string>} Trimmed, non-empty parts
+ */
+function splitTopLevel(source) {
+  const parts = [];
+  let start = 0;
+
+  scanCode(source, (index, char, depth) => {
+    if (char === "," && depth === 0) {
+      parts.push(source.slice(start, index));
+      start = index + 1;
+    }
+  });
+  parts.push(source.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Find the first top-level occurrence of a character
+ *
+ * @param {string} source - Source
+ * @param {string} target - Character to find
+ * @returns {number} Index, or -1
+ */
+function indexOfTopLevel(source, target) {
+  let found = -1;
+  scanCode(source, (index, char, depth) => {
+    if (found === -1 && char === target && depth === 0) found = index;
+  });
+  return found;
+}
+
+/**
+ * Describe an object literal as a JSON schema
+ *
+ * @param {string} literal - Object literal source, braces included
+ * @returns {Object} Object schema
+ */
+function literalToSchema(literal) {
+  const schema = { type: "object", properties: {} };
+
+  for (const entry of splitTopLevel(literal.slice(1, -1))) {
+    if (entry.startsWith("...")) {
+      schema.additionalProperties = true;
+      continue;
+    }
+
+    const colon = indexOfTopLevel(entry, ":");
+    if (colon === -1) {
+      // Shorthand property: value only known at runtime
+      if (/^[\w$]+$/.test(entry)) schema.properties[entry] = {};
+      continue;
+    }
+
+    const key = entry
+      .slice(0, colon)
+      .trim()
+      .replace(/^(['"])(.*)\1$/, "$2");
+    const value = entry.slice(colon + 1).trim();
+    schema.properties[key] =
+      key === "status" && /^(['"`])[\w-]+\1$/.test(value)
+        ? { type: "string", enum: [value.slice(1, -1)] }
+        : valueToSchema(value);
+  }
+
+  return schema;
+}
+
+/**
+ * Infer the schema of a property value from its source
+ *
+ * @param {string} value - Value source
+ * @returns {Object} Schema ({} when only known at runtime)
+ */
+function valueToSchema(value) {
+  const literal =
+    /^(['"`])/.test(value) && skipString(value, 0) === value.length;
+
+  if (value.startsWith("{") && value.endsWith("}")) {
+    return literalToSchema(value);
+  }
+  if (value.startsWith("[") && value.endsWith("]")) return { type: "array" };
+  if (literal) return { type: "string" };
+  if (/^-?\d+$/.test(value)) return { type: "integer" };
+  if (/^-?\d*\.\d+$/.test(value)) return { type: "number" };
+  if (value === "true" || value === "false") return { type: "boolean" };
+  if (/\.toISOString\(\)$/.test(value)) {
+    return { type: "string", format: "date-time" };
+  }
+  if (/(\|\||\?\?)\s*(['"`])[^'"`]*\2$/.test(value)) return { type: "string" };
+  if (/\?\s*(['"`])[^]*:\s*(['"`])[^'"`]*\2$/.test(value)) {
+    return { type: "string" };
+  }
+  if (/^(String\(|`)|\.join\([^)]*\)$/.test(value)) return { type: "string" };
+  if (/\.length$|^(Number|parseInt|parseFloat|Math\.\w+)\(/.test(value)) {
+    return { type: "number" };
+  }
+  if (/^(Boolean\(|!)/.test(value)) return { type: "boolean" };
+
+  return {};
+}
+
+/**
+ * Describe a structured output parser example as a JSON schema
+ *
+ * A status example such as "success|failure|error" lists the statuses.
+ *
+ * @param {string} example - JSON example
+ * @returns {Object|null} Object schema, or null when the example is invalid
+ */
+function exampleToSchema(example) {
+  let parsed;
+  try {
+    parsed = JSON.parse(example);
+  } catch {
+    return null;
+  }
+
+  const describe = (value, key) => {
+    if (key === "status" && typeof value === "string") {
+      return { type: "string", enum: value.split("|") };
+    }
+    if (Array.isArray(value)) return { type: "array" };
+    if (value === null) return {};
+    if (typeof value === "object") {
+      const properties = {};
+      for (const [name, child] of Object.entries(value)) {
+        properties[name] = describe(child, name);
+      }
+      return { type: "object", properties };
+    }
+    return { type: typeof value === "number" ? "number" : typeof value };
+  };
+
+  return describe(parsed, null);
+}
+
+/**
+ * Merge response shapes into one schema per status value
+ *
+ * @param {Array<Object>} shapes - { source, schema } shapes
+ * @returns {Object} Schema, with oneOf when there are several statuses
+ */
+function mergeByStatus(shapes) {
+  const groups = new Map();
+
+  for (const { source, schema } of shapes) {
+    const status = (schema.properties?.status?.enum || []).join("|");
+    const group = groups.get(status) || { schemas: [], sources: new Set() };
+    group.schemas.push(schema);
+    group.sources.add(source);
+    groups.set(status, group);
+  }
+
+  const merged = [...groups.entries()].map(([status, group]) => {
+    const schema = group.schemas.reduce(mergeSchemas);
+    const required = Object.keys(schema.properties || {}).filter(key =>
+      group.schemas.every(shape => key in (shape.properties || {}))
+    );
+
+    return {
+      ...(status && { title: status }),
+      description: `From ${[...group.sources].join(", ")}`,
+      ...schema,
+      required
+    };
+  });
+
+  return merged.length === 1 ? merged[0] : { oneOf: merged };
+}
+
+/**
+ * Merge two schemas of the same value
+ *
+ * An untyped schema (only known at runtime) takes the other's type.
+ *
+ * @param {Object} a - Schema
+ * @param {Object} b - Schema
+ * @returns {Object} Merged schema
+ */
+function mergeSchemas(a, b) {
+  if (!a.type) return b;
+  if (!b.type) return a;
+
+  if (a.type === "object" && b.type === "object") {
+    const properties = { ...(a.properties || {}) };
+    for (const [key, schema] of Object.entries(b.properties || {})) {
+      properties[key] = properties[key]
+        ? mergeSchemas(properties[key], schema)
+        : schema;
+    }
+    return {
+      type: "object",
+      properties,
+      ...((a.additionalProperties || b.additionalProperties) && {
+        additionalProperties: true
+      })
+    };
+  }
+
+  if (a.type === b.type) {
+    const merged = { type: a.type };
+    if (a.enum && b.enum) merged.enum = [...new Set([...a.enum, ...b.enum])];
+    if (a.format && a.format === b.format) merged.format = a.format;
+    return merged;
+  }
+
+  return { type: [...new Set([a.type, b.type].flat())] };
+}
+
+module.exports = OpenApiGenerator;
@@ -0,0 +1,220 @@
+const ServiceSchemaEngine = require("./ServiceSchemaEngine");
+
+/**
+ * Recurring Appointments Module
+ *
+ * Responsible for appointments that repeat (client_data.booking
+ * .recurring_appointments), e.g. "every Tuesday at 3 for six weeks". A
+ * caller books the first session plus a recurrence (frequency, interval and
+ * a count or end date); every session is at the same local time.
+ *
+ * CONFIG SHAPE:
+ * "booking": {
+ *   "recurring_appointments": {
+ *     "max_occurrences": 12,                // sessions per series (default 12)
+ *     "frequencies": ["weekly", "monthly"]  // default daily, weekly, monthly
+ *   }
+ * }
+ *
+ * SERIES:
+ * The booking workflow checks availability and booking rules for every
+ * session, then creates one recurring Google Calendar event (an RRULE with
+ * the session count). Monthly series skip months without the start day, as
+ * the calendar does. The Appointments sheet gets one row per session; each
+ * row holds its session's calendar instance ID ("<series>_<UTC start>"),
+ * and the rows share the series event ID ("Series ID") and the rule
+ * ("Recurrence").
+ *
+ * cancelAppointment and modifyAppointment take a scope: "this" changes one
+ * session (a changed session leaves the series), "all" cancels or reschedules
+ * every session. A rescheduled series keeps its number of sessions unless
+ * the new recurrence has fewer; the sessions it drops are canceled.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Validate the settings
+ * - Produce the recurrence and scope tool properties and the n8n config
+ *   ({{RECURRENCE}})
+ * - Describe recurring bookings for the agent
+ *
+ * INTERFACE:
+ * - isEnabled(): True if recurring appointments are configured
+ * - getErrors(): Validation errors ({ path, message })
+ * - generateRecurrenceSchema(tool): recurrence property for book or modify
+ * - generateScopeSchema(tool): scope property for modify or cancel
+ * - toWorkflowConfig(): Settings for n8n
+ * - describe(): Plain-language summary for the knowledge base
+ */
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+const DEFAULT_SETTINGS = {
+  max_occurrences: 12,
+  frequencies: FREQUENCIES
+};
+
+class RecurringAppointments {
+  /**
+   * @param {Object} clientData - client_data from config.json
+   * @param {Object} options - Options
+   * @param {string} options.path - JSON path of recurring_appointments, for
+   *   errors
+   */
+  constructor(clientData = {}, options = {}) {
+    this.clientData = clientData || {};
+    this.path = options.path || "$.client_data.booking.recurring_appointments";
+    this.errors = [];
+    this.config = this.clientData.booking?.recurring_appointments || null;
+    this.settings = { ...DEFAULT_SETTINGS, ...(this.config || {}) };
+
+    this._validate();
+  }
+
+  /**
+   * Check whether recurring appointments are configured
+   *
+   * @returns {boolean} True if recurring_appointments is set
+   */
+  isEnabled() {
+    return this.config !== null;
+  }
+
+  /**
+   * Get validation errors
+   *
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Generate the recurrence property for the bookAppointment tool, or for
+   * the updates of the modifyAppointment tool
+   *
+   * @param {string} tool - "book" or "modify"
+   * @returns {Object} JSON schema of the recurrence object
+   */
+  generateRecurrenceSchema(tool = "book") {
+    const { max_occurrences, frequencies } = this.settings;
+
+    return {
+      type: "object",
+      description:
+        tool === "modify"
+          ? 'New repeat pattern for the whole series (only with scope "all"). Leave out to keep the current pattern.'
+          : "Only when the caller wants the appointment to repeat (e.g. every Tuesday for six weeks). " +
+            "date and time are the first session. Give count or until.",
+      properties: {
+        frequency: {
+          type: "string",
+          enum: frequencies,
+          description: "How often the appointment repeats"
+        },
+        interval: {
+          type: "integer",
+          minimum: 1,
+          description:
+            "Repeat every this many days, weeks or months (default 1; 2 = every other week)"
+        },
+        count: {
+          type: "integer",
+          minimum: 2,
+          maximum: max_occurrences,
+          description: `Total number of sessions, including the first (up to ${max_occurrences})`
+        },
+        until: {
+          type: "string",
+          description: "Date of the last possible session in YYYY-MM-DD format",
+          format: "date",
+          pattern: ServiceSchemaEngine.PROPERTY_FORMATS.date.pattern
+        }
+      },
+      required: ["frequency"]
+    };
+  }
+
+  /**
+   * Generate the scope property for the modifyAppointment or
+   * cancelAppointment tool
+   *
+   * @param {string} tool - "modify" or "cancel"
+   * @returns {Object} JSON schema of the scope
+   */
+  generateScopeSchema(tool = "cancel") {
+    const action = tool === "modify" ? "change" : "cancel";
+
+    return {
+      type: "string",
+      enum: ["this", "all"],
+      description:
+        `For a recurring appointment (identifyAppointment returns a series_id), ask the caller whether to ${action} ` +
+        `this session only or all sessions in the series. "this" (default) or "all".`
+    };
+  }
+
+  /**
+   * Build recurring appointment settings for n8n workflows
+   *
+   * @returns {Object} { enabled, max_occurrences, frequencies }
+   */
+  toWorkflowConfig() {
+    const { max_occurrences, frequencies } = this.settings;
+    return { enabled: this.isEnabled(), max_occurrences, frequencies };
+  }
+
+  /**
+   * Describe recurring bookings for the knowledge base
+   *
+   * @returns {string} e.g. "Appointments can repeat weekly or monthly, up to
+   *   12 sessions in a series."
+   */
+  describe() {
+    if (!this.isEnabled()) {
+      return "Appointments do not repeat; each session is booked separately.";
+    }
+
+    const { max_occurrences, frequencies } = this.settings;
+    const list =
+      frequencies.length > 1
+        ? `${frequencies.slice(0, -1).join(", ")} or ${frequencies[frequencies.length - 1]}`
+        : frequencies[0];
+
+    return (
+      `Appointments can repeat ${list}, up to ${max_occurrences} sessions in a series. ` +
+      "When changing or canceling a recurring appointment, ask whether it is for this session only or the whole series."
+    );
+  }
+
+  /**
+   * Validate the settings
+   */
+  _validate() {
+    if (!this.config) return;
+
+    const frequencies = this.settings.frequencies || [];
+    const duplicates = frequencies.filter(
+      (frequency, index) => frequencies.indexOf(frequency) !== index
+    );
+    if (duplicates.length > 0) {
+      this._addError(
+        `${this.path}.frequencies`,
+        `lists ${[...new Set(duplicates)].join(", ")} more than once`
+      );
+    }
+  }
+
+  /**
+   * Record a validation error
+   *
+   * @param {string} errorPath - JSON path
+   * @param {string} message - Error message
+   */
+  _addError(errorPath, message) {
+    this.errors.push({ path: errorPath, message });
+  }
+}
+
+RecurringAppointments.FREQUENCIES = FREQUENCIES;
+RecurringAppointments.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = RecurringAppointments;
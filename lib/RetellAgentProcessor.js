@@ -9,14 +9,16 @@
  * - Inject core prompt into global_prompt field
  * - Hydrate runtime variables into default_dynamic_variables
  * - Update infrastructure (webhooks, transfer numbers)
- * - Inject service schemas into booking tools
+ * - Inject the appointment tool schemas (services, location selector)
  * - Version management (semantic version to integer conversion)
  *
  * INTERFACE:
  * - processAgent(content, context): Process Retell agent JSON
- * - updateToolWebhooks(agent, webhookUrls): Update tool webhook URLs
+ * - updateToolWebhooks(agent, webhookUrls, webhookHashes, signing): Update
+ *   tool webhook URLs and client headers
  * - updateTransferNodes(agent, transferNumber): Update transfer numbers
- * - injectServiceSchemas(agent, services, schemaEngine): Inject service types
+ * - injectServiceSchemas(agent, services, locations, groupBookings,
+ *   recurring): Inject tool schemas
  */
 class RetellAgentProcessor {
   constructor() {
@@ -55,7 +57,8 @@ class RetellAgentProcessor {
       this._applyBuildConfig(
         jsonData,
         context.buildConfig,
-        context.templateVariables
+        context.templateVariables,
+        context.environment
       );
 
       // PHASE 2: Inject Prompts (with {{variables}} preserved)
@@ -68,12 +71,19 @@ class RetellAgentProcessor {
       this.updateToolWebhooks(
         jsonData,
         context.webhookUrls,
-        context.webhookHashes
+        context.webhookHashes,
+        context.webhookSigning
       );
       this.updateTransferNodes(jsonData, context.transferPhoneNumber);
 
       if (context.services && this.serviceSchemaEngine) {
-        this.injectServiceSchemas(jsonData, context.services);
+        this.injectServiceSchemas(
+          jsonData,
+          context.services,
+          context.locations,
+          context.groupBookings,
+          context.recurringAppointments
+        );
       }
 
       return JSON.stringify(jsonData, null, 2);
@@ -92,8 +102,9 @@ class RetellAgentProcessor {
    * @param {Object} jsonData - Parsed agent JSON
    * @param {Object} buildConfig - Build configuration settings
    * @param {Object} templateVariables - Template variables for version info
+   * @param {DeploymentEnvironment} environment - Environment being built
    */
-  _applyBuildConfig(jsonData, buildConfig, templateVariables) {
+  _applyBuildConfig(jsonData, buildConfig, templateVariables, environment) {
     // Update agent name
     if (jsonData.agent_name !== undefined && templateVariables.agent_name) {
       jsonData.agent_name = templateVariables.agent_name;
@@ -103,7 +114,8 @@ class RetellAgentProcessor {
     this._updateVersion(
       jsonData,
       templateVariables.version,
-      buildConfig.version_settings
+      buildConfig.version_settings,
+      environment
     );
 
     // Apply voice settings from build_config
@@ -128,8 +140,10 @@ class RetellAgentProcessor {
    * @param {Object} jsonData - Parsed agent JSON
    * @param {string} versionStr - Semantic version string (e.g., "1.2.3")
    * @param {Object} versionSettings - Version settings from build config
+   * @param {DeploymentEnvironment} environment - Environment being built;
+   *   outside production its label is added to the title suffix
    */
-  _updateVersion(jsonData, versionStr, versionSettings) {
+  _updateVersion(jsonData, versionStr, versionSettings, environment = null) {
     if (
       !versionStr ||
       (jsonData.version === undefined && jsonData.version_title === undefined)
@@ -152,7 +166,10 @@ class RetellAgentProcessor {
         versionSettings?.version_title_suffix ||
         this._extractTitleSuffix(jsonData.version_title) ||
         "Demo";
-      jsonData.version_title = `v${versionStr} ${titleSuffix}`;
+      const environmentSuffix = environment
+        ? environment.decorateVersionTitle(titleSuffix)
+        : titleSuffix;
+      jsonData.version_title = `v${versionStr} ${environmentSuffix}`;
     }
 
     console.log(
@@ -208,11 +225,15 @@ class RetellAgentProcessor {
   /**
    * Update webhook URLs for all custom tools in Retell agent
    *
+   * With signed webhooks, each custom tool also sends the client ID header
+   * the n8n verification node checks. Retell adds X-Retell-Signature itself.
+   *
    * @param {Object} jsonData - Parsed agent JSON
    * @param {Object} webhookUrls - Object mapping tool names to URLs
    * @param {Object} webhookHashes - Object mapping tool names to hash info
+   * @param {Object} signing - WebhookGenerator.getSigningConfig() (optional)
    */
-  updateToolWebhooks(jsonData, webhookUrls, webhookHashes) {
+  updateToolWebhooks(jsonData, webhookUrls, webhookHashes, signing = null) {
     if (!jsonData.conversationFlow?.tools || !webhookUrls) return;
 
     const tools = jsonData.conversationFlow.tools;
@@ -230,6 +251,13 @@ class RetellAgentProcessor {
           if (webhookHashes && webhookHashes[tool.name]) {
             console.log(`   Hash: ${webhookHashes[tool.name].hash}`);
           }
+
+          if (signing) {
+            tool.headers = {
+              ...(tool.headers || {}),
+              [signing.client_header]: signing.client_id
+            };
+          }
         } else {
           console.warn(`⚠️  No webhook URL found for tool: ${tool.name}`);
         }
@@ -257,15 +285,26 @@ class RetellAgentProcessor {
   }
 
   /**
-   * Inject dynamic service schemas into booking and modification tools
+   * Inject dynamic service schemas into the appointment tools
    *
-   * Automatically generates comprehensive service-specific schemas for bookAppointment and
-   * modifyAppointment tools based on configured services with dynamic properties.
+   * Replaces the parameters of bookAppointment, modifyAppointment,
+   * identifyAppointment and cancelAppointment with the schemas from
+   * ServiceSchemaEngine.buildToolSchemas(). The n8n workflows validate
+   * requests with code generated from the same schemas.
    *
    * @param {Object} jsonData - Parsed agent JSON
    * @param {Array} services - Services array from config
+   * @param {Object} locations - BusinessLocations instance (optional)
+   * @param {Object} groupBookings - GroupBookings instance (optional)
+   * @param {Object} recurring - RecurringAppointments instance (optional)
    */
-  injectServiceSchemas(jsonData, services) {
+  injectServiceSchemas(
+    jsonData,
+    services,
+    locations = null,
+    groupBookings = null,
+    recurring = null
+  ) {
     if (
       !jsonData.conversationFlow?.tools ||
       !services ||
@@ -282,47 +321,22 @@ class RetellAgentProcessor {
     }
 
     const tools = jsonData.conversationFlow.tools;
-    let updatedCount = 0;
-
-    // Update bookAppointment tool
-    const bookAppointmentTool = tools.find(
-      tool => tool.name === "bookAppointment"
+    const toolSchemas = this.serviceSchemaEngine.buildToolSchemas(
+      services,
+      locations,
+      groupBookings,
+      recurring
     );
-    if (bookAppointmentTool?.parameters) {
-      const dynamicSchema =
-        this.serviceSchemaEngine.buildAppointmentFunctionSchema(services);
-      bookAppointmentTool.parameters = dynamicSchema;
-      updatedCount++;
-      console.log(
-        `✅ Generated dynamic schema for bookAppointment with ${services.length} services`
-      );
-    }
+    let updatedCount = 0;
 
-    // Update modifyAppointment tool
-    const modifyAppointmentTool = tools.find(
-      tool => tool.name === "modifyAppointment"
-    );
-    if (modifyAppointmentTool?.parameters) {
-      const updatesSchema =
-        this.serviceSchemaEngine.buildModifyAppointmentFunctionSchema(services);
-
-      // Wrap in modifyAppointment structure
-      const modifySchema = {
-        type: "object",
-        properties: {
-          appointment_id: {
-            type: "string",
-            description: "Unique identifier for the appointment to modify"
-          },
-          updates: updatesSchema
-        },
-        required: ["appointment_id", "updates"]
-      };
+    for (const [toolName, schema] of Object.entries(toolSchemas)) {
+      const tool = tools.find(candidate => candidate.name === toolName);
+      if (!tool?.parameters) continue;
 
-      modifyAppointmentTool.parameters = modifySchema;
+      tool.parameters = schema;
       updatedCount++;
       console.log(
-        `✅ Generated dynamic schema for modifyAppointment with ${services.length} services`
+        `✅ Generated dynamic schema for ${toolName} with ${services.length} services`
       );
     }
 
@@ -342,6 +356,24 @@ class RetellAgentProcessor {
         `✅ Service-specific schemas: ${services.map(s => s.slug).join(", ")}`
       );
     }
+
+    if (locations?.hasLocations()) {
+      console.log(
+        `✅ Injected ${locations.getLocations().length} locations into booking tools`
+      );
+    }
+
+    if (groupBookings?.isEnabled()) {
+      console.log(
+        "✅ Injected group booking fields into the bookAppointment tool"
+      );
+    }
+
+    if (recurring?.isEnabled()) {
+      console.log(
+        "✅ Injected recurrence and scope fields into the appointment tools"
+      );
+    }
   }
 }
 
@@ -1,3 +1,10 @@
+const BookingRules = require("./BookingRules");
+const BusinessHours = require("./BusinessHours");
+const BusinessLocations = require("./BusinessLocations");
+const GroupBookings = require("./GroupBookings");
+const RecurringAppointments = require("./RecurringAppointments");
+const ServiceCatalog = require("./ServiceCatalog");
+
 /**
  * Runtime Variable Builder Module
  *
@@ -12,6 +19,14 @@
  * - Build Phase 4: Client Data Variables (content generation)
  * - Process business information into template-ready formats
  * - Generate formatted strings for display and documentation
+ * - Derive duplicated business fields from one canonical location
+ * - Report overrides that drift from their canonical value
+ *
+ * CANONICAL FIELDS:
+ * business_name, business_timezone, business_hours and
+ * transfer_phone_number each have one canonical location (see
+ * CANONICAL_FIELDS). templating.variables and runtime_variables may still
+ * set them, but only as explicit overrides for their own scope.
  *
  * INTERFACE:
  * - buildTemplateVariables(packageJson, repoName): Build Phase 1 vars
@@ -20,13 +35,53 @@
  * - buildClientDataVariables(clientData): Build Phase 4 vars
  * - processBusinessInfo(businessInfo): Format business information
  * - formatBusinessHours(hours): Format hours for display
+ * - buildBusinessHours(clientData): Structured hours model
+ * - buildBusinessLocations(clientData, transferNumber): Locations model
+ * - buildServiceCatalog(clientData): Variants, add-ons and prices
+ * - buildGroupBookings(clientData): Multi-service and party limits
+ * - buildRecurringAppointments(clientData): Recurring series settings
+ * - buildAppointmentColumns(clientData, serviceEngine): Appointments sheet columns
+ * - resolveField(config, field, scope): Canonical value or scope override
+ * - buildDriftReport(config): Find overrides that disagree with canonical
  */
+
+/**
+ * Canonical location of each duplicated business field, plus the places
+ * allowed to override it (keyed by variable scope). `derive` computes the
+ * canonical value from `derivedFrom` when the source path is unset.
+ */
+const CANONICAL_FIELDS = {
+  business_name: {
+    source: "client_data.business_info.name",
+    overrides: {
+      template: "templating.variables.business_name",
+      runtime: "runtime_variables.business_name"
+    }
+  },
+  business_timezone: {
+    source: "client_data.business_info.timezone",
+    overrides: { runtime: "runtime_variables.business_timezone" }
+  },
+  business_hours: {
+    source: "client_data.business_hours.display",
+    derivedFrom: "client_data.business_hours",
+    derive: config =>
+      new BusinessHours(config.client_data?.business_hours).formatDisplay(),
+    overrides: { runtime: "runtime_variables.business_hours" }
+  },
+  transfer_phone_number: {
+    source: "build_config.infrastructure.transfer_phone_number",
+    overrides: { runtime: "runtime_variables.transfer_phone_number" }
+  }
+};
+
 class RuntimeVariableBuilder {
   constructor() {
     this.templateVariables = {};
     this.buildConfig = {};
     this.runtimeVariables = {};
     this.clientDataVariables = {};
+    this.driftReport = { conflicts: [], redundant: [] };
   }
 
   /**
@@ -39,6 +94,9 @@ class RuntimeVariableBuilder {
    * @returns {Object} All four variable phases
    */
   buildAllPhases(config, packageJson, repoName, serviceEngine = null) {
+    // Check duplicated fields before deriving anything from them
+    this.driftReport = this.buildDriftReport(config);
+
     // Phase 1: Template Variables
     this.templateVariables = this.buildTemplateVariables(
       packageJson,
@@ -85,15 +143,14 @@ class RuntimeVariableBuilder {
   buildTemplateVariables(packageJson, repoName, config) {
     const templating = config.templating || {};
     const variables = templating.variables || {};
+    const businessName = this.resolveField(config, "business_name", "template");
 
     return {
       build_date: new Date().toISOString().split("T")[0],
       version: packageJson.version || "1.0.0",
       repository_name: repoName,
-      business_name:
-        variables.business_name || this.generateBusinessName(repoName),
-      agent_name:
-        variables.agent_name || `${variables.business_name || "Business"} Agent`
+      business_name: businessName || this.generateBusinessName(repoName),
+      agent_name: variables.agent_name || `${businessName || "Business"} Agent`
     };
   }
 
@@ -158,8 +215,7 @@ class RuntimeVariableBuilder {
 
     // Add business information
     variables.business_name =
-      runtimeConfig.business_name ||
-      businessInfo.name ||
+      this.resolveField(config, "business_name", "runtime") ||
       templateVars.business_name;
 
     variables.business_description =
@@ -169,13 +225,16 @@ class RuntimeVariableBuilder {
       "";
 
     variables.business_hours =
-      runtimeConfig.business_hours ||
-      businessHours.display ||
+      this.resolveField(config, "business_hours", "runtime") ||
       this.formatBusinessHours(businessHours);
 
+    // Machine-readable hours for tools that need to check "are we open?"
+    variables.business_hours_schedule = JSON.stringify(
+      this.buildBusinessHours(clientData).toSchedule()
+    );
+
     variables.business_timezone =
-      runtimeConfig.business_timezone ||
-      businessInfo.timezone ||
+      this.resolveField(config, "business_timezone", "runtime") ||
       "America/New_York";
 
     variables.business_phone =
@@ -196,13 +255,23 @@ class RuntimeVariableBuilder {
       runtimeConfig.ai_support_hours || variables.business_hours;
 
     // Add transfer phone number
-    const infrastructure = config.build_config?.infrastructure || {};
     variables.transfer_phone_number =
-      runtimeConfig.transfer_phone_number ||
-      infrastructure.transfer_phone_number ||
+      this.resolveField(config, "transfer_phone_number", "runtime") ||
       businessInfo.phone ||
       "";
 
+    // Add locations (address, hours, services and transfer number per site)
+    const locations = this.buildBusinessLocations(
+      clientData,
+      variables.transfer_phone_number
+    );
+    variables.location_count = String(
+      Math.max(locations.getLocations().length, 1)
+    );
+    variables.locations_summary = locations.hasLocations()
+      ? locations.formatSummary()
+      : "Single location (see Company Information)";
+
     return variables;
   }
 
@@ -215,6 +284,7 @@ class RuntimeVariableBuilder {
    * This method processes:
    * - Business information (email, phone, website, address, description)
    * - Services list with detailed property schemas (formatted for markdown and CSV)
+   * - Service Types sheet (services_csv_headers, services_csv)
    * - Business hours (formatted for display)
    * - Booking information (policies, payment methods, instructions)
    * - FAQ entries (formatted for knowledge base)
@@ -283,14 +353,20 @@ class RuntimeVariableBuilder {
       variables.appointment_types = services.map(s => s.name).join(", ");
 
       // Detailed services list with property information
+      const bookingRules = new BookingRules(services);
+      const catalog = this.buildServiceCatalog(clientData);
       variables.services_list = services
         .map(service => {
           let line = `- **${service.name}** (${service.duration_minutes} minutes)`;
           if (service.description) {
             line += `\n  ${service.description}`;
           }
-          if (service.price) {
-            line += ` - $${service.price}`;
+          const pricing = catalog.describeService(service);
+          if (pricing.price) {
+            line += ` - ${pricing.price}`;
+          }
+          for (const option of pricing.options) {
+            line += `\n  ${option}`;
           }
 
           // Add service properties information
@@ -309,6 +385,11 @@ class RuntimeVariableBuilder {
             }
           }
 
+          const rulesText = bookingRules.describe(service.slug);
+          if (rulesText) {
+            line += `\n  **Booking Rules:** ${rulesText}`;
+          }
+
           return line;
         })
         .join("\n");
@@ -318,7 +399,10 @@ class RuntimeVariableBuilder {
 
       // Generate CSV data with dynamic property columns
       if (serviceEngine) {
-        const csvColumns = serviceEngine.generateAppointmentCSVColumns();
+        const csvColumns = this.buildAppointmentColumns(
+          clientData,
+          serviceEngine
+        ).map(column => column.name);
         variables.appointment_csv_headers = csvColumns.join(",");
         console.log(
           `✅ Generated dynamic CSV schema with ${csvColumns.length} columns`
@@ -345,10 +429,28 @@ class RuntimeVariableBuilder {
         "No service-specific properties configured.";
     }
 
+    // Service Types sheet, read by the "Get Services" workflow nodes
+    if (serviceEngine) {
+      const serviceTypes = serviceEngine.generateServiceTypesCSV(services);
+      variables.services_csv_headers = serviceTypes.headers;
+      variables.services_csv = serviceTypes.rows;
+    }
+
     // Business hours
+    const hoursModel = this.buildBusinessHours(clientData);
     variables.business_hours_display =
       businessHours.display || this.formatBusinessHours(businessHours);
     variables.business_hours_notes = businessHours.notes || "";
+    variables.business_hours_section = hoursModel.formatKnowledgeBaseSection();
+    variables.business_hours_schedule = JSON.stringify(
+      hoursModel.toSchedule(),
+      null,
+      2
+    );
+
+    // Locations (multi-location businesses)
+    variables.locations_section =
+      this.buildBusinessLocations(clientData).formatKnowledgeBaseSection();
 
     // Booking information
     variables.booking_advance_notice =
@@ -360,6 +462,10 @@ class RuntimeVariableBuilder {
       "Please contact us for our cancellation policy.";
     variables.booking_instructions =
       booking.booking_instructions || "Contact us to schedule an appointment.";
+    variables.group_bookings_summary =
+      this.buildGroupBookings(clientData).describe();
+    variables.recurring_appointments_summary =
+      this.buildRecurringAppointments(clientData).describe();
 
     if (booking.payment_methods && booking.payment_methods.length > 0) {
       variables.payment_methods = booking.payment_methods.join(", ");
@@ -414,7 +520,10 @@ class RuntimeVariableBuilder {
   }
 
   /**
-   * Format business hours from individual day entries into display format
+   * Format business hours into the compact display format
+   *
+   * Consecutive days with the same hours are grouped, e.g.
+   * "Mon-Fri 9am-5pm, Sat-Sun closed".
    *
    * @param {Object} hours - Business hours object with day names as keys
    * @returns {string} Formatted business hours display
@@ -424,27 +533,214 @@ class RuntimeVariableBuilder {
       return "Please contact us for hours";
     }
 
-    const days = [
-      "monday",
-      "tuesday",
-      "wednesday",
-      "thursday",
-      "friday",
-      "saturday",
-      "sunday"
-    ];
-    const hoursDisplay = [];
-
-    for (const day of days) {
-      if (hours[day] && hours[day] !== "Closed") {
-        const dayName = day.charAt(0).toUpperCase() + day.slice(1);
-        hoursDisplay.push(`${dayName}: ${hours[day]}`);
+    return (
+      new BusinessHours(hours).formatDisplay() || "Please contact us for hours"
+    );
+  }
+
+  /**
+   * Build the structured business hours model for a configuration
+   *
+   * @param {Object} clientData - Client data from config.json
+   * @returns {BusinessHours} Business hours (times in the business timezone)
+   */
+  buildBusinessHours(clientData) {
+    return new BusinessHours(clientData.business_hours || {}, {
+      timezone: clientData.business_info?.timezone
+    });
+  }
+
+  /**
+   * Build the locations model for a configuration
+   *
+   * @param {Object} clientData - Client data from config.json
+   * @param {string} transferPhoneNumber - Default transfer number
+   * @returns {BusinessLocations} Locations with business defaults applied
+   */
+  buildBusinessLocations(clientData, transferPhoneNumber = "") {
+    return new BusinessLocations(clientData, { transferPhoneNumber });
+  }
+
+  /**
+   * Build the service catalog (variants, add-ons, prices) for a configuration
+   *
+   * @param {Object} clientData - Client data from config.json
+   * @returns {ServiceCatalog} Catalog priced in the business currency
+   */
+  buildServiceCatalog(clientData = {}) {
+    return new ServiceCatalog(clientData.services, {
+      currency: clientData.business_info?.currency
+    });
+  }
+
+  /**
+   * Build the group booking model for a configuration
+   *
+   * @param {Object} clientData - Client data from config.json
+   * @returns {GroupBookings} Multi-service and party limits
+   */
+  buildGroupBookings(clientData = {}) {
+    return new GroupBookings(clientData);
+  }
+
+  /**
+   * Build the recurring appointments model for a configuration
+   *
+   * @param {Object} clientData - Client data from config.json
+   * @returns {RecurringAppointments} Recurring series settings
+   */
+  buildRecurringAppointments(clientData = {}) {
+    return new RecurringAppointments(clientData);
+  }
+
+  /**
+   * Build the Appointments sheet columns for a configuration
+   *
+   * @param {Object} clientData - Client data from config.json
+   * @param {Object} serviceEngine - ServiceSchemaEngine instance
+   * @returns {Array<Object>} Columns ({ key, name, previous_key }) in order
+   */
+  buildAppointmentColumns(clientData, serviceEngine) {
+    return serviceEngine.generateAppointmentColumns(clientData.services || [], {
+      locations: this.buildBusinessLocations(clientData).hasLocations(),
+      pricing: this.buildServiceCatalog(clientData).hasOptions(),
+      groups: this.buildGroupBookings(clientData).isEnabled(),
+      recurring: this.buildRecurringAppointments(clientData).isEnabled()
+    });
+  }
+
+  /**
+   * Resolve a canonical field for a variable scope
+   *
+   * An override for the scope wins when set; otherwise the canonical value
+   * is used.
+   *
+   * @param {Object} config - Configuration object
+   * @param {string} field - Field name from CANONICAL_FIELDS
+   * @param {string} scope - Variable scope ("template" or "runtime")
+   * @returns {any} Resolved value, or undefined if unset everywhere
+   */
+  resolveField(config, field, scope) {
+    const { overrides } = CANONICAL_FIELDS[field];
+    const override = overrides[scope]
+      ? this._getPath(config, overrides[scope])
+      : undefined;
+
+    return this._isSet(override) ? override : this._getCanonical(config, field);
+  }
+
+  /**
+   * Get the canonical value of a field, deriving it when the source is unset
+   *
+   * @param {Object} config - Configuration object
+   * @param {string} field - Field name from CANONICAL_FIELDS
+   * @returns {any} Canonical value, or undefined
+   */
+  _getCanonical(config, field) {
+    const { source, derive } = CANONICAL_FIELDS[field];
+    const value = this._getPath(config, source);
+    if (this._isSet(value) || !derive) return value;
+
+    try {
+      return derive(config) || undefined;
+    } catch {
+      // Invalid source data is reported by config validation
+      return undefined;
+    }
+  }
+
+  /**
+   * Build a drift report for the canonical fields
+   *
+   * An override that differs from its canonical value is a conflict (the
+   * sample config once had "Sat, Sun closed" in one place and
+   * "Sat-Sun closed" in another). An override equal to its canonical value
+   * is redundant and can be removed.
+   *
+   * @param {Object} config - Configuration object
+   * @returns {Object} { conflicts, redundant } - entries of
+   *   { field, source, sourceValue, override, value }
+   */
+  buildDriftReport(config) {
+    const report = { conflicts: [], redundant: [] };
+
+    for (const [field, { source, derivedFrom, overrides }] of Object.entries(
+      CANONICAL_FIELDS
+    )) {
+      const sourceValue = this._getCanonical(config, field);
+      const sourcePath = this._isSet(this._getPath(config, source))
+        ? source
+        : derivedFrom;
+      if (!this._isSet(sourceValue)) continue;
+
+      for (const override of Object.values(overrides)) {
+        const value = this._getPath(config, override);
+        if (!this._isSet(value)) continue;
+
+        const entry = {
+          field,
+          source: `$.${sourcePath}`,
+          sourceValue,
+          override: `$.${override}`,
+          value
+        };
+        if (String(value).trim() === String(sourceValue).trim()) {
+          report.redundant.push(entry);
+        } else {
+          report.conflicts.push(entry);
+        }
       }
     }
 
-    return hoursDisplay.length > 0
-      ? hoursDisplay.join(", ")
-      : "Please contact us for hours";
+    return report;
+  }
+
+  /**
+   * Format drift conflicts for console output
+   *
+   * @param {Object} report - Drift report from buildDriftReport()
+   * @returns {string} Two lines per conflict
+   */
+  formatDriftReport(report = this.driftReport) {
+    return report.conflicts
+      .map(
+        entry =>
+          `   ${entry.field}: ${entry.override} = ${JSON.stringify(entry.value)}\n` +
+          `      canonical ${entry.source} = ${JSON.stringify(entry.sourceValue)}`
+      )
+      .join("\n");
+  }
+
+  /**
+   * Read a dotted path from the configuration
+   *
+   * @param {Object} config - Configuration object
+   * @param {string} dottedPath - Path such as "client_data.business_info.name"
+   * @returns {any} Value, or undefined if any segment is missing
+   */
+  _getPath(config, dottedPath) {
+    return dottedPath
+      .split(".")
+      .reduce((node, key) => (node == null ? undefined : node[key]), config);
+  }
+
+  /**
+   * Check whether a config value is set (empty strings count as unset)
+   *
+   * @param {any} value - Value to check
+   * @returns {boolean} True if set
+   */
+  _isSet(value) {
+    return value !== undefined && value !== null && value !== "";
+  }
+
+  /**
+   * Get the drift report from the last buildAllPhases() call
+   *
+   * @returns {Object} { conflicts, redundant }
+   */
+  getDriftReport() {
+    return this.driftReport;
   }
 
   /**
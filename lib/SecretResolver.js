@@ -0,0 +1,433 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Secret Resolver Module
+ *
+ * Responsible for resolving secret references in configuration values
+ * through a registry of prefix resolvers, so credentials never have to be
+ * written into config.json or shipped into build artifacts.
+ *
+ * REFERENCE SYNTAX:
+ * - env:NAME              Environment variable
+ * - env:NAME|default      Environment variable with fallback value
+ * - file:path/to/secret   File contents (relative to the config file)
+ * - secret:NAME           Entry in the encrypted secrets.enc.json
+ * - "https://${HOST}/x"   ${VAR} interpolation inside longer strings
+ *
+ * secrets.enc.json lives next to the config file. Each entry is encrypted
+ * with AES-256-GCM using a key derived (scrypt) from the passphrase in the
+ * SECRETS_PASSPHRASE environment variable.
+ *
+ * Unresolved references are kept as placeholders and recorded, so callers
+ * decide whether to warn or fail the build.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Maintain the prefix → resolver registry
+ * - Resolve references throughout a configuration object
+ * - Track unresolved references with their JSON paths
+ * - Read and write the encrypted secrets store
+ *
+ * INTERFACE:
+ * - register(prefix, resolver): Add a resolver for "<prefix>:" references
+ * - resolveAll(config): Resolve every reference in a configuration object
+ * - resolveValue(value, valuePath): Resolve a single string value
+ * - resolveRequired(value, valuePath): Resolve or throw
+ * - isReference(value): Check whether a string needs resolving
+ * - setSecret(name, value): Encrypt a value into secrets.enc.json
+ */
+class SecretResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} options.baseDir - Directory for file: paths and secrets.enc.json
+   * @param {string} options.secretsFile - Encrypted secrets store path
+   * @param {string} options.passphraseEnv - Variable holding the store passphrase
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || process.cwd();
+    this.secretsFile =
+      options.secretsFile || path.join(this.baseDir, "secrets.enc.json");
+    this.passphraseEnv = options.passphraseEnv || "SECRETS_PASSPHRASE";
+    this.resolvers = new Map();
+    this.unresolved = [];
+    this.secretStore = null;
+
+    // Built-in resolvers
+    this.register("env", reference => this._resolveEnv(reference));
+    this.register("file", reference => this._resolveFile(reference));
+    this.register("secret", reference => this._resolveSecret(reference));
+  }
+
+  /**
+   * Register a resolver for "<prefix>:" references
+   *
+   * Resolvers receive the text after the prefix and return the secret value
+   * (or a promise of it). Throwing marks the reference as unresolved, with
+   * the error message as the reason.
+   *
+   * @param {string} prefix - Reference prefix (e.g. "vault")
+   * @param {Function} resolver - (reference) => string | Promise<string>
+   */
+  register(prefix, resolver) {
+    if (!/^[a-z][a-z0-9_-]*$/.test(prefix)) {
+      throw new Error(`Invalid secret resolver prefix: ${prefix}`);
+    }
+    this.resolvers.set(prefix, resolver);
+  }
+
+  /**
+   * Resolve every reference in a configuration object
+   *
+   * Resets the unresolved list, so it reflects only this configuration.
+   *
+   * @param {Object} config - Configuration to process
+   * @returns {Promise<Object>} Configuration with references resolved
+   */
+  async resolveAll(config) {
+    this.unresolved = [];
+    return this._resolveNode(config, "$");
+  }
+
+  /**
+   * Recursively resolve references in nested objects
+   *
+   * @param {any} node - Value to process (may be nested)
+   * @param {string} nodePath - JSON path of node
+   * @returns {Promise<any>} Processed value
+   */
+  async _resolveNode(node, nodePath) {
+    if (typeof node === "string") {
+      return this.resolveValue(node, nodePath);
+    }
+
+    if (Array.isArray(node)) {
+      const items = [];
+      for (let i = 0; i < node.length; i++) {
+        items.push(await this._resolveNode(node[i], `${nodePath}[${i}]`));
+      }
+      return items;
+    }
+
+    if (node !== null && typeof node === "object") {
+      const processed = {};
+      for (const [key, value] of Object.entries(node)) {
+        processed[key] = await this._resolveNode(value, `${nodePath}.${key}`);
+      }
+      return processed;
+    }
+
+    return node;
+  }
+
+  /**
+   * Resolve a single string value
+   *
+   * @param {string} value - Value that may be or contain a reference
+   * @param {string} valuePath - JSON path for unresolved reports
+   * @returns {Promise<string>} Resolved value, or the original placeholder
+   */
+  async resolveValue(value, valuePath = "$") {
+    const prefixed = this._parsePrefixed(value);
+
+    if (prefixed) {
+      try {
+        return await prefixed.resolver(prefixed.reference);
+      } catch (error) {
+        this._recordUnresolved(valuePath, value, error.message);
+        return value;
+      }
+    }
+
+    if (typeof value === "string" && value.includes("${")) {
+      return this._interpolate(value, valuePath);
+    }
+
+    return value;
+  }
+
+  /**
+   * Resolve a value that must not stay a placeholder
+   *
+   * @param {string} value - Value that may be or contain a reference
+   * @param {string} valuePath - JSON path for the error message
+   * @returns {Promise<string>} Resolved value
+   * @throws {Error} If the reference cannot be resolved
+   */
+  async resolveRequired(value, valuePath = "$") {
+    const before = this.unresolved.length;
+    const resolved = await this.resolveValue(value, valuePath);
+
+    if (this.unresolved.length > before) {
+      const { reason } = this.unresolved[this.unresolved.length - 1];
+      throw new Error(`Secret ${value} is required (${valuePath}): ${reason}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check whether a string is (or contains) a secret reference
+   *
+   * @param {any} value - Value to check
+   * @returns {boolean} True if the value needs resolving
+   */
+  isReference(value) {
+    return (
+      this._parsePrefixed(value) !== null ||
+      (typeof value === "string" && /\$\{[A-Za-z_][A-Za-z0-9_]*\}/.test(value))
+    );
+  }
+
+  /**
+   * Get references that could not be resolved by the last resolveAll()
+   *
+   * @returns {Array<{path: string, reference: string, reason: string}>}
+   */
+  getUnresolved() {
+    return this.unresolved;
+  }
+
+  /**
+   * Format unresolved references for console output
+   *
+   * @param {Array} unresolved - Unresolved references
+   * @returns {string} One line per reference
+   */
+  formatUnresolved(unresolved = this.unresolved) {
+    return unresolved
+      .map(entry => `   ${entry.path}: ${entry.reference} (${entry.reason})`)
+      .join("\n");
+  }
+
+  /**
+   * Split "<prefix>:<reference>" for a registered prefix
+   *
+   * @param {any} value - Candidate value
+   * @returns {Object|null} { resolver, reference } or null
+   */
+  _parsePrefixed(value) {
+    if (typeof value !== "string") return null;
+
+    const match = value.match(/^([a-z][a-z0-9_-]*):([\s\S]*)$/);
+    if (!match || !this.resolvers.has(match[1])) return null;
+
+    return { resolver: this.resolvers.get(match[1]), reference: match[2] };
+  }
+
+  /**
+   * Replace ${VAR} occurrences with environment variables
+   *
+   * @param {string} value - String containing ${VAR} placeholders
+   * @param {string} valuePath - JSON path for unresolved reports
+   * @returns {string} Interpolated string (missing variables left as-is)
+   */
+  _interpolate(value, valuePath) {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        this._recordUnresolved(
+          valuePath,
+          match,
+          `environment variable ${name} is not set`
+        );
+        return match;
+      }
+      return process.env[name];
+    });
+  }
+
+  /**
+   * Resolve env:NAME or env:NAME|default
+   *
+   * @param {string} reference - Text after "env:"
+   * @returns {string} Environment value or default
+   */
+  _resolveEnv(reference) {
+    const separator = reference.indexOf("|");
+    const name = separator === -1 ? reference : reference.slice(0, separator);
+    const value = process.env[name];
+
+    if (value !== undefined) return value;
+    if (separator !== -1) return reference.slice(separator + 1);
+
+    throw new Error(`environment variable ${name} is not set`);
+  }
+
+  /**
+   * Resolve file:path by reading the file (trailing newline removed)
+   *
+   * @param {string} reference - Text after "file:"
+   * @returns {Promise<string>} File contents
+   */
+  async _resolveFile(reference) {
+    const filePath = path.resolve(this.baseDir, reference);
+
+    try {
+      const content = await fs.readFile(filePath, "utf-8");
+      return content.replace(/\r?\n$/, "");
+    } catch (error) {
+      throw new Error(
+        `cannot read ${filePath} (${error.code || error.message})`
+      );
+    }
+  }
+
+  /**
+   * Resolve secret:NAME from the encrypted secrets store
+   *
+   * @param {string} name - Secret name
+   * @returns {Promise<string>} Decrypted value
+   */
+  async _resolveSecret(name) {
+    const store = await this._loadSecretStore();
+    if (!store) {
+      throw new Error(`${this.secretsFile} not found`);
+    }
+
+    const entry = store.secrets[name];
+    if (!entry) {
+      throw new Error(`no secret named "${name}" in ${this.secretsFile}`);
+    }
+
+    const key = await this._deriveKey(store.salt);
+    return this._decrypt(entry, key);
+  }
+
+  /**
+   * Encrypt a value into the secrets store, creating it if needed
+   *
+   * @param {string} name - Secret name
+   * @param {string} value - Plain-text value
+   * @returns {Promise<string>} Path of the secrets store
+   * @throws {Error} If the passphrase is missing or does not match the store
+   */
+  async setSecret(name, value) {
+    if (!/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name || "")) {
+      throw new Error(`Invalid secret name: ${name}`);
+    }
+
+    const store = (await this._loadSecretStore()) || {
+      version: 1,
+      cipher: "aes-256-gcm",
+      kdf: "scrypt",
+      salt: crypto.randomBytes(16).toString("base64"),
+      secrets: {}
+    };
+
+    const key = await this._deriveKey(store.salt);
+
+    // Refuse to mix passphrases within one store
+    const [existing] = Object.values(store.secrets);
+    if (existing) this._decrypt(existing, key);
+
+    store.secrets[name] = this._encrypt(value, key);
+
+    await fs.writeFile(
+      this.secretsFile,
+      JSON.stringify(store, null, 2) + "\n",
+      { mode: 0o600 }
+    );
+    this.secretStore = store;
+
+    return this.secretsFile;
+  }
+
+  /**
+   * Load the encrypted secrets store (cached)
+   *
+   * @returns {Promise<Object|null>} Store, or null if it does not exist
+   */
+  async _loadSecretStore() {
+    if (this.secretStore) return this.secretStore;
+
+    let content;
+    try {
+      content = await fs.readFile(this.secretsFile, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    const store = JSON.parse(content);
+    if (store.version !== 1 || !store.salt || !store.secrets) {
+      throw new Error(`${this.secretsFile} is not a version 1 secrets store`);
+    }
+
+    this.secretStore = store;
+    return store;
+  }
+
+  /**
+   * Derive the store key from the passphrase
+   *
+   * @param {string} salt - Base64 salt from the store
+   * @returns {Promise<Buffer>} 256-bit key
+   */
+  async _deriveKey(salt) {
+    const passphrase = process.env[this.passphraseEnv];
+    if (!passphrase) {
+      throw new Error(`${this.passphraseEnv} is not set`);
+    }
+    return scrypt(passphrase, Buffer.from(salt, "base64"), 32);
+  }
+
+  /**
+   * Encrypt a value with AES-256-GCM
+   *
+   * @param {string} value - Plain-text value
+   * @param {Buffer} key - Store key
+   * @returns {Object} { iv, tag, value } (base64)
+   */
+  _encrypt(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(value, "utf-8"), cipher.final()]);
+
+    return {
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      value: data.toString("base64")
+    };
+  }
+
+  /**
+   * Decrypt a store entry
+   *
+   * @param {Object} entry - { iv, tag, value } (base64)
+   * @param {Buffer} key - Store key
+   * @returns {string} Plain-text value
+   * @throws {Error} If the passphrase is wrong or the entry was tampered with
+   */
+  _decrypt(entry, key) {
+    try {
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        key,
+        Buffer.from(entry.iv, "base64")
+      );
+      decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+      return Buffer.concat([
+        decipher.update(Buffer.from(entry.value, "base64")),
+        decipher.final()
+      ]).toString("utf-8");
+    } catch {
+      throw new Error(`wrong ${this.passphraseEnv} or corrupted secrets store`);
+    }
+  }
+
+  /**
+   * Record an unresolved reference
+   *
+   * @param {string} valuePath - JSON path of the value
+   * @param {string} reference - Unresolved reference
+   * @param {string} reason - Why it could not be resolved
+   */
+  _recordUnresolved(valuePath, reference, reason) {
+    this.unresolved.push({ path: valuePath, reference, reason });
+  }
+}
+
+module.exports = SecretResolver;
@@ -0,0 +1,313 @@
+/**
+ * Service Catalog Module
+ *
+ * Responsible for service pricing: variants (e.g. 30/60/90 minutes, each
+ * with its own duration and price), optional add-ons, and price formatting
+ * in the business currency (client_data.business_info.currency, default
+ * USD).
+ *
+ * CONFIG SHAPE:
+ * "services": [{
+ *   "slug": "massage",
+ *   "duration_minutes": 60,
+ *   "price": "100.00",
+ *   "variants": [
+ *     { "slug": "30-min", "name": "30 minutes", "duration_minutes": 30, "price": "60.00" },
+ *     { "slug": "90-min", "name": "90 minutes", "duration_minutes": 90, "price": "140.00" }
+ *   ],
+ *   "add_ons": [
+ *     { "slug": "hot-stones", "name": "Hot stones", "price": "20.00", "duration_minutes": 15 }
+ *   ]
+ * }]
+ *
+ * A variant's duration and price replace the service's; add-ons add their
+ * price and duration (default 0) on top. A service with variants must be
+ * booked with one of them.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Validate variant/add-on slugs, prices and the currency code
+ * - Format prices in the business currency
+ * - Produce the booking tool options schema, KB service lines and the
+ *   n8n pricing config ({{SERVICE_OPTIONS}})
+ *
+ * INTERFACE:
+ * - getErrors(): Validation errors ({ path, message })
+ * - hasOptions(): True if any service has variants or add-ons
+ * - formatPrice(amount): "$100.00" in the business currency
+ * - describeService(service): KB lines for price, variants and add-ons
+ * - generateOptionsSchema(): service_options property for booking tools
+ * - toWorkflowConfig(): Currency and per-service pricing for n8n
+ */
+class ServiceCatalog {
+  /**
+   * @param {Array} services - client_data.services from config.json
+   * @param {Object} options - Options
+   * @param {string} options.currency - ISO 4217 currency code
+   * @param {string} options.path - JSON path of services, for errors
+   */
+  constructor(services = [], options = {}) {
+    this.services = Array.isArray(services) ? services : [];
+    this.currency = options.currency || "USD";
+    this.path = options.path || "$.client_data.services";
+    this.errors = [];
+
+    if (Intl.supportedValuesOf("currency").includes(this.currency)) {
+      this.formatter = new Intl.NumberFormat("en-US", {
+        style: "currency",
+        currency: this.currency
+      });
+    } else {
+      this._addError(
+        "$.client_data.business_info.currency",
+        `unknown currency "${this.currency}"`
+      );
+      this.formatter = new Intl.NumberFormat("en-US", {
+        style: "currency",
+        currency: "USD"
+      });
+    }
+
+    this.services.forEach((service, index) =>
+      this._validateService(service || {}, `${this.path}[${index}]`)
+    );
+  }
+
+  /**
+   * Get validation errors
+   *
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Check whether any service has variants or add-ons
+   *
+   * @returns {boolean} True if options are configured
+   */
+  hasOptions() {
+    return this.services.some(service => hasOptions(service));
+  }
+
+  /**
+   * Format an amount in the business currency
+   *
+   * @param {string|number} amount - Amount (e.g. "100.00" or 100)
+   * @returns {string} Formatted price (e.g. "$100.00"), or "" when unset
+   */
+  formatPrice(amount) {
+    if (amount === undefined || amount === null || amount === "") return "";
+    const value = Number(amount);
+    return Number.isFinite(value) ? this.formatter.format(value) : "";
+  }
+
+  /**
+   * Describe a service's pricing for the knowledge base
+   *
+   * @param {Object} service - Service from config.json
+   * @returns {Object} { price, options } - price is the formatted base
+   *   price (empty when unset), options the variant and add-on lines
+   */
+  describeService(service) {
+    const options = [];
+
+    if (service.variants?.length > 0) {
+      const variants = service.variants.map(variant => {
+        const details = [
+          `${variant.duration_minutes || service.duration_minutes} min`,
+          this.formatPrice(variant.price ?? service.price)
+        ].filter(Boolean);
+        return `${variant.name} (${details.join(", ")})`;
+      });
+      options.push(`**Options:** ${variants.join("; ")}`);
+    }
+
+    if (service.add_ons?.length > 0) {
+      const addOns = service.add_ons.map(addOn => {
+        const details = [
+          addOn.price ? `+${this.formatPrice(addOn.price)}` : "",
+          addOn.duration_minutes ? `+${addOn.duration_minutes} min` : ""
+        ].filter(Boolean);
+        return details.length > 0
+          ? `${addOn.name} (${details.join(", ")})`
+          : addOn.name;
+      });
+      options.push(`**Add-ons:** ${addOns.join("; ")}`);
+    }
+
+    return { price: this.formatPrice(service.price), options };
+  }
+
+  /**
+   * Generate the service_options property for booking tool schemas
+   *
+   * Mirrors service_properties: one object per service that has variants
+   * or add-ons.
+   *
+   * @returns {Object|null} JSON schema, or null when no service has options
+   */
+  generateOptionsSchema() {
+    if (!this.hasOptions()) return null;
+
+    const schema = {
+      type: "object",
+      description:
+        "Variant and add-ons for the selected service (only for services that offer them)",
+      properties: {},
+      additionalProperties: false
+    };
+
+    for (const service of this.services.filter(hasOptions)) {
+      const serviceSchema = {
+        type: "object",
+        properties: {},
+        additionalProperties: false
+      };
+
+      if (service.variants?.length > 0) {
+        serviceSchema.properties.variant = {
+          type: "string",
+          enum: service.variants.map(variant => variant.slug),
+          description: `${service.name} option: ${service.variants
+            .map(variant => `"${variant.slug}" = ${variant.name}`)
+            .join("; ")}`
+        };
+        serviceSchema.required = ["variant"];
+      }
+
+      if (service.add_ons?.length > 0) {
+        serviceSchema.properties.add_ons = {
+          type: "array",
+          items: {
+            type: "string",
+            enum: service.add_ons.map(addOn => addOn.slug)
+          },
+          description: `Add-ons the caller asked for: ${service.add_ons
+            .map(addOn => `"${addOn.slug}" = ${addOn.name}`)
+            .join("; ")}`
+        };
+      }
+
+      schema.properties[service.slug] = serviceSchema;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Build pricing config for n8n workflows
+   *
+   * @returns {Object} { currency, services: slug → { name, duration_minutes,
+   *   price, variants: slug → {...}, add_ons: slug → {...} } }
+   *   with prices as numbers
+   */
+  toWorkflowConfig() {
+    const services = {};
+
+    for (const service of this.services) {
+      services[service.slug] = {
+        name: service.name,
+        duration_minutes: service.duration_minutes,
+        price: toAmount(service.price),
+        variants: {},
+        add_ons: {}
+      };
+
+      for (const variant of service.variants || []) {
+        services[service.slug].variants[variant.slug] = {
+          name: variant.name,
+          duration_minutes:
+            variant.duration_minutes || service.duration_minutes,
+          price: toAmount(variant.price ?? service.price)
+        };
+      }
+
+      for (const addOn of service.add_ons || []) {
+        services[service.slug].add_ons[addOn.slug] = {
+          name: addOn.name,
+          duration_minutes: addOn.duration_minutes || 0,
+          price: toAmount(addOn.price)
+        };
+      }
+    }
+
+    return { currency: this.formatter.resolvedOptions().currency, services };
+  }
+
+  /**
+   * Validate a service's prices, variants and add-ons
+   *
+   * @param {Object} service - Service from config
+   * @param {string} servicePath - JSON path for errors
+   */
+  _validateService(service, servicePath) {
+    this._checkPrice(service.price, `${servicePath}.price`);
+
+    for (const key of ["variants", "add_ons"]) {
+      const seen = new Set();
+      (service[key] || []).forEach((option, index) => {
+        const optionPath = `${servicePath}.${key}[${index}]`;
+        if (option.slug && seen.has(option.slug)) {
+          this._addError(
+            `${optionPath}.slug`,
+            `duplicate slug "${option.slug}"`
+          );
+        }
+        seen.add(option.slug);
+        this._checkPrice(option.price, `${optionPath}.price`);
+      });
+    }
+  }
+
+  /**
+   * Report a price that is not a non-negative number
+   *
+   * @param {string|number} price - Price from config
+   * @param {string} pricePath - JSON path for errors
+   */
+  _checkPrice(price, pricePath) {
+    if (price === undefined) return;
+    const value = toAmount(price);
+    if (value === null || value < 0) {
+      this._addError(
+        pricePath,
+        `must be a non-negative amount like "100.00" (got ${JSON.stringify(price)})`
+      );
+    }
+  }
+
+  /**
+   * Record a validation error
+   *
+   * @param {string} errorPath - JSON path
+   * @param {string} message - Error message
+   */
+  _addError(errorPath, message) {
+    this.errors.push({ path: errorPath, message });
+  }
+}
+
+/**
+ * Check whether a service has variants or add-ons
+ *
+ * @param {Object} service - Service from config.json
+ * @returns {boolean} True if the service has options
+ */
+function hasOptions(service) {
+  return service?.variants?.length > 0 || service?.add_ons?.length > 0;
+}
+
+/**
+ * Convert a config price to a number
+ *
+ * @param {string|number} price - Price (e.g. "100.00")
+ * @returns {number|null} Amount, or null when unset or not a number
+ */
+function toAmount(price) {
+  if (price === undefined || price === null || price === "") return null;
+  const value = Number(price);
+  return Number.isFinite(value) ? value : null;
+}
+
+module.exports = ServiceCatalog;
@@ -1,3 +1,6 @@
+const ServiceCatalog = require("./ServiceCatalog");
+const TokenCounter = require("./TokenCounter");
+
 /**
  * Service Schema Engine Module
  *
@@ -11,7 +14,10 @@
  * - Generate service selection boolean flags
  * - Build complete appointment function schemas
  * - Generate CSV column headers with service properties
+ * - Generate the Service Types sheet the booking workflows read
  * - Create service properties guides for agent awareness
+ * - Apply property rules (enum, minimum/maximum, format, pattern, default)
+ * - Build the appointment tool schemas the n8n validators are generated from
  *
  * INTERFACE:
  * - validateServiceConstraints(services, constraints): Validate service config
@@ -19,9 +25,97 @@
  * - generateServiceSelectionSchema(services): Generate selection flags
  * - buildAppointmentFunctionSchema(services): Build bookAppointment schema
  * - buildModifyAppointmentFunctionSchema(services): Build modifyAppointment schema
+ * - buildIdentifyAppointmentFunctionSchema(): Build identifyAppointment schema
+ * - buildCancelAppointmentFunctionSchema(): Build cancelAppointment schema
+ * - buildToolSchemas(services, locations, groupBookings, recurring): Parameters
+ *   of all appointment tools
  * - generateAppointmentCSVColumns(services): Generate CSV headers
+ * - generateAppointmentColumns(services, options): Sheet columns with keys
+ * - generateServiceTypesCSV(services): Service Types sheet content
  * - generateServicePropertiesGuide(services): Generate agent guide
+ * - buildPropertyRules(services): Property rules for n8n validation
+ * - validatePropertyDefinitions(services): Check property rules in config
+ * - measureServiceTokens(services): Token cost of the booking schema and
+ *   guide, per service
+ * - formatServiceTokenBreakdown(measurement, budget): Console breakdown
+ *
+ * TOKEN BUDGET:
+ * service_constraints.token_budget limits what the services cost the agent
+ * instead of how many there are: the bookAppointment schema plus the
+ * service properties guide must fit max_tokens, and each service's share
+ * (its selection flag, properties, options and guide lines) must fit
+ * max_tokens_per_service. With a budget, max_services and the per-service
+ * property counts are not enforced, so many small services fit where one
+ * verbose service does not. max_total_dynamic_columns still applies, as it
+ * limits the Appointments sheet rather than the prompt.
+ *
+ * PROPERTY RULES:
+ * Service properties may declare enum, minimum/maximum (number, integer),
+ * format (date, time, email, phone), pattern (string) and default. The same rules
+ * go into the Retell tool schema, the agent guide and the n8n "Parse
+ * Service Properties" nodes, so the LLM and the backend agree on what is
+ * valid. checkPropertyValue() is the reference implementation of the n8n
+ * validation.
+ *
+ * CONDITIONAL PROPERTIES:
+ * A property with "when": { "property": "project_type", "equals": "web
+ * development" } (or "in": [...]) is only collected when the other property
+ * matches. Conditional required properties compile to JSON Schema if/then,
+ * the guide tells the agent when to ask, and the workflows require them only
+ * when the condition holds and drop them when it does not.
+ *
+ * TOOL SCHEMAS:
+ * buildToolSchemas() is the single definition of the bookAppointment,
+ * modifyAppointment, identifyAppointment and cancelAppointment parameters.
+ * RetellAgentProcessor puts them on the agent's tools and
+ * ToolValidatorGenerator compiles them into the "Validate & Extract Data"
+ * nodes, so the agent and the workflows accept exactly the same requests.
  */
+
+/**
+ * Formats a string property may declare, with the pattern that enforces it.
+ * date and email are standard JSON Schema formats; time (HH:MM, unlike JSON
+ * Schema's RFC 3339 time) and phone are sent as patterns.
+ */
+const PROPERTY_FORMATS = {
+  date: {
+    pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+    label: "date as YYYY-MM-DD",
+    schemaFormat: "date"
+  },
+  time: {
+    pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+    label: "time as HH:MM (24-hour)",
+    schemaFormat: null
+  },
+  email: {
+    pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+    label: "email address",
+    schemaFormat: "email"
+  },
+  phone: {
+    pattern: "^\\+?[0-9 ().-]{7,20}$",
+    label: "phone number",
+    schemaFormat: null
+  }
+};
+
+const RULE_KEYS = ["enum", "minimum", "maximum", "format", "pattern"];
+
+/**
+ * Service Types sheet columns. "Service Type" and "Duration (minutes)" are
+ * read by the "Format Services" workflow nodes, which merge the sheet with
+ * the booking by service name.
+ */
+const SERVICE_TYPES_COLUMNS = [
+  "Slug",
+  "Service Type",
+  "Duration (minutes)",
+  "Price",
+  "Description",
+  "Properties"
+];
+
 class ServiceSchemaEngine {
   constructor() {
     this.services = [];
@@ -62,6 +156,7 @@ class ServiceSchemaEngine {
    * - Maximum required properties per service
    * - Maximum optional properties per service
    * - Maximum total dynamic columns across all services
+   * - The token budget, which replaces the three count limits when set
    *
    * @param {Array} services - Services array from config.json
    * @param {Object} constraints - Service constraints from config.json
@@ -72,8 +167,10 @@ class ServiceSchemaEngine {
       throw new Error("Services must be an array");
     }
 
+    const budget = constraints.token_budget;
+
     // Check max services
-    if (services.length > constraints.max_services) {
+    if (!budget && services.length > constraints.max_services) {
       throw new Error(
         `Service count (${services.length}) exceeds maximum allowed (${constraints.max_services})`
       );
@@ -88,7 +185,10 @@ class ServiceSchemaEngine {
       const optionalCount = service.properties.optional?.length || 0;
 
       // Check required properties limit
-      if (requiredCount > constraints.max_required_properties_per_service) {
+      if (
+        !budget &&
+        requiredCount > constraints.max_required_properties_per_service
+      ) {
         throw new Error(
           `Service "${service.name}" has ${requiredCount} required properties, ` +
             `exceeds maximum of ${constraints.max_required_properties_per_service}`
@@ -96,7 +196,10 @@ class ServiceSchemaEngine {
       }
 
       // Check optional properties limit
-      if (optionalCount > constraints.max_optional_properties_per_service) {
+      if (
+        !budget &&
+        optionalCount > constraints.max_optional_properties_per_service
+      ) {
         throw new Error(
           `Service "${service.name}" has ${optionalCount} optional properties, ` +
             `exceeds maximum of ${constraints.max_optional_properties_per_service}`
@@ -112,6 +215,134 @@ class ServiceSchemaEngine {
         `Total dynamic columns (${totalColumns}) exceeds maximum allowed (${constraints.max_total_dynamic_columns})`
       );
     }
+
+    if (budget) {
+      this._validateTokenBudget(services, budget);
+    }
+  }
+
+  /**
+   * Check the booking schema and guide against the token budget
+   *
+   * @param {Array} services - Services array from config.json
+   * @param {Object} budget - service_constraints.token_budget
+   * @throws {Error} If the total or a service exceeds its budget, with the
+   *   per-service breakdown
+   */
+  _validateTokenBudget(services, budget) {
+    const measurement = this.measureServiceTokens(services);
+    const breakdown = this.formatServiceTokenBreakdown(measurement, budget);
+
+    if (
+      budget.max_tokens !== undefined &&
+      measurement.total_tokens > budget.max_tokens
+    ) {
+      throw new Error(
+        `Service schema and guide cost ${measurement.total_tokens} tokens, ` +
+          `exceeds the token budget of ${budget.max_tokens}\n${breakdown}`
+      );
+    }
+
+    if (budget.max_tokens_per_service !== undefined) {
+      const over = measurement.services.filter(
+        service => service.tokens > budget.max_tokens_per_service
+      );
+      if (over.length > 0) {
+        throw new Error(
+          `${over.map(service => `Service "${service.name}" costs ${service.tokens} tokens`).join(", ")}, ` +
+            `exceeds the per-service budget of ${budget.max_tokens_per_service}\n${breakdown}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Measure the token cost of the bookAppointment schema and the service
+   * properties guide
+   *
+   * Each service's cost is its selection flag, service_properties and
+   * service_options entries and its guide lines; base_tokens is the rest
+   * (fixed booking fields and the guide heading).
+   *
+   * @param {Array} services - Services array from config.json
+   * @returns {Object} { total_tokens, schema_tokens, guide_tokens,
+   *   base_tokens, services: [{ slug, name, tokens, schema_tokens,
+   *   guide_tokens }] } with services most expensive first
+   */
+  measureServiceTokens(services = this.services) {
+    const counter = new TokenCounter();
+    const schema = this.buildAppointmentFunctionSchema(services);
+    const schemaTokens = counter.estimateSchemaTokens(schema);
+    const guideTokens = counter.estimateTokens(
+      this.generateServicePropertiesGuide(services)
+    );
+
+    const { service, service_properties, service_options } = schema.properties;
+    const perService = services.map(entry => {
+      const fragmentTokens = counter.estimateSchemaTokens({
+        [entry.slug]: [
+          service.properties[entry.slug],
+          service_properties.properties[entry.slug],
+          service_options?.properties[entry.slug]
+        ].filter(Boolean)
+      });
+      const sectionTokens = counter.estimateTokens(
+        this._buildGuideSection(entry)
+      );
+
+      return {
+        slug: entry.slug,
+        name: entry.name,
+        tokens: fragmentTokens + sectionTokens,
+        schema_tokens: fragmentTokens,
+        guide_tokens: sectionTokens
+      };
+    });
+
+    const total = schemaTokens + guideTokens;
+    const serviceTotal = perService.reduce(
+      (sum, entry) => sum + entry.tokens,
+      0
+    );
+
+    return {
+      total_tokens: total,
+      schema_tokens: schemaTokens,
+      guide_tokens: guideTokens,
+      base_tokens: Math.max(total - serviceTotal, 0),
+      services: perService.sort((a, b) => b.tokens - a.tokens)
+    };
+  }
+
+  /**
+   * Format a token measurement as a per-service breakdown
+   *
+   * @param {Object} measurement - Result of measureServiceTokens()
+   * @param {Object} budget - service_constraints.token_budget (optional)
+   * @returns {string} Breakdown, one line per service
+   */
+  formatServiceTokenBreakdown(measurement, budget = {}) {
+    const limit = (value, max) =>
+      max !== undefined ? `${value}/${max}` : value;
+    const lines = [
+      `   Total: ${limit(measurement.total_tokens, budget?.max_tokens)} tokens ` +
+        `(schema ${measurement.schema_tokens}, guide ${measurement.guide_tokens})`,
+      `   • Booking fields and headings: ${measurement.base_tokens} tokens`
+    ];
+
+    for (const service of measurement.services) {
+      const marker =
+        budget?.max_tokens_per_service !== undefined &&
+        service.tokens > budget.max_tokens_per_service
+          ? " ❌"
+          : "";
+      lines.push(
+        `   • ${service.name}: ${limit(service.tokens, budget?.max_tokens_per_service)} tokens ` +
+          `(schema ${service.schema_tokens}, guide ${service.guide_tokens})${marker}`
+      );
+    }
+
+    return lines.join("\n");
   }
 
   /**
@@ -143,24 +374,18 @@ class ServiceSchemaEngine {
       // Track required property names for this service
       const requiredProps = [];
 
-      // Add required properties
+      // Add required properties (conditional ones are required via if/then)
       if (service.properties.required) {
         for (const prop of service.properties.required) {
-          serviceSchema.properties[prop.name] = {
-            type: prop.type,
-            description: prop.prompt
-          };
-          requiredProps.push(prop.name);
+          serviceSchema.properties[prop.name] = this._buildPropertySchema(prop);
+          if (!prop.when) requiredProps.push(prop.name);
         }
       }
 
       // Add optional properties
       if (service.properties.optional) {
         for (const prop of service.properties.optional) {
-          serviceSchema.properties[prop.name] = {
-            type: prop.type,
-            description: prop.prompt
-          };
+          serviceSchema.properties[prop.name] = this._buildPropertySchema(prop);
         }
       }
 
@@ -169,12 +394,287 @@ class ServiceSchemaEngine {
         serviceSchema.required = requiredProps;
       }
 
+      const conditions = this._buildConditionalRequirements(service);
+      if (conditions.length > 0) {
+        serviceSchema.allOf = conditions;
+      }
+
       schema.properties[service.slug] = serviceSchema;
     }
 
     return schema;
   }
 
+  /**
+   * Build the tool schema for one service property
+   *
+   * Defaults go into the description rather than a "default" keyword,
+   * which strict tool calling does not accept.
+   *
+   * @param {Object} prop - Property definition from config.json
+   * @returns {Object} JSON schema for the property
+   */
+  _buildPropertySchema(prop) {
+    const schema = { type: prop.type, description: prop.prompt };
+
+    if (prop.enum) schema.enum = [...prop.enum];
+    if (prop.minimum !== undefined) schema.minimum = prop.minimum;
+    if (prop.maximum !== undefined) schema.maximum = prop.maximum;
+
+    const format = PROPERTY_FORMATS[prop.format];
+    if (format?.schemaFormat) schema.format = format.schemaFormat;
+    if (prop.pattern || format) {
+      schema.pattern = prop.pattern || format.pattern;
+    }
+
+    if (prop.default !== undefined) {
+      schema.description += ` (defaults to ${prop.default} if not given)`;
+    }
+    if (prop.when) {
+      schema.description += ` (only when ${prop.when.property} is ${formatConditionValues(prop.when)})`;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Build if/then clauses for conditional required properties
+   *
+   * Properties sharing a condition share one clause.
+   *
+   * @param {Object} service - Service from config.json
+   * @returns {Array<Object>} JSON Schema allOf entries
+   */
+  _buildConditionalRequirements(service) {
+    const clauses = new Map();
+
+    for (const prop of service.properties?.required || []) {
+      if (!prop.when) continue;
+
+      const key = JSON.stringify(prop.when);
+      if (!clauses.has(key)) {
+        const { property } = prop.when;
+        clauses.set(key, {
+          if: {
+            properties: {
+              [property]: prop.when.in
+                ? { enum: [...prop.when.in] }
+                : { const: prop.when.equals }
+            },
+            required: [property]
+          },
+          then: { required: [] }
+        });
+      }
+      clauses.get(key).then.required.push(prop.name);
+    }
+
+    return [...clauses.values()];
+  }
+
+  /**
+   * Build property rules for n8n workflow validation
+   *
+   * @param {Array} services - Services array from config.json
+   * @returns {Object} Service slug → property name → rule
+   *   ({ type, required, enum, minimum, maximum, format, pattern, default })
+   */
+  buildPropertyRules(services = this.services) {
+    const rules = {};
+
+    for (const service of services) {
+      rules[service.slug] = {};
+
+      for (const kind of ["required", "optional"]) {
+        for (const prop of service.properties?.[kind] || []) {
+          rules[service.slug][prop.name] = this._buildPropertyRule(
+            prop,
+            kind === "required"
+          );
+        }
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * Build the validation rule for one service property
+   *
+   * @param {Object} prop - Property definition from config.json
+   * @param {boolean} required - Whether the property is required
+   * @returns {Object} Rule with the format's pattern filled in
+   */
+  _buildPropertyRule(prop, required) {
+    const rule = { type: prop.type, required };
+    for (const key of [...RULE_KEYS, "default", "when"]) {
+      if (prop[key] !== undefined) rule[key] = prop[key];
+    }
+    if (PROPERTY_FORMATS[prop.format] && !prop.pattern) {
+      rule.pattern = PROPERTY_FORMATS[prop.format].pattern;
+    }
+    return rule;
+  }
+
+  /**
+   * Check property rules in the service configuration
+   *
+   * Catches rules that can never be satisfied (enum values of the wrong
+   * type, minimum above maximum, invalid patterns, defaults that break
+   * their own rules) before they reach the agent or the workflows.
+   *
+   * @param {Array} services - Services array from config.json
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  validatePropertyDefinitions(services = this.services) {
+    const errors = [];
+
+    (services || []).forEach((service, serviceIndex) => {
+      for (const kind of ["required", "optional"]) {
+        (service.properties?.[kind] || []).forEach((prop, propIndex) => {
+          const propPath = `$.client_data.services[${serviceIndex}].properties.${kind}[${propIndex}]`;
+          const addError = (key, message) =>
+            errors.push({ path: `${propPath}.${key}`, message });
+          const numeric = prop.type === "number" || prop.type === "integer";
+
+          if (prop.enum) {
+            if (prop.type === "boolean") {
+              addError("enum", "is not supported for boolean properties");
+            }
+            prop.enum.forEach((value, index) => {
+              const message = checkType(prop.type, value);
+              if (message && prop.type !== "boolean") {
+                addError(`enum[${index}]`, message);
+              }
+            });
+            if (new Set(prop.enum).size !== prop.enum.length) {
+              addError("enum", "contains duplicate values");
+            }
+          }
+
+          for (const key of ["minimum", "maximum"]) {
+            if (prop[key] !== undefined && !numeric) {
+              addError(key, "only applies to number and integer properties");
+            }
+          }
+          if (
+            prop.minimum !== undefined &&
+            prop.maximum !== undefined &&
+            prop.minimum > prop.maximum
+          ) {
+            addError("minimum", `is greater than maximum (${prop.maximum})`);
+          }
+
+          for (const key of ["format", "pattern"]) {
+            if (prop[key] !== undefined && prop.type !== "string") {
+              addError(key, "only applies to string properties");
+            }
+          }
+          if (prop.pattern) {
+            try {
+              new RegExp(prop.pattern);
+            } catch {
+              addError("pattern", "is not a valid regular expression");
+            }
+          }
+
+          if (prop.default !== undefined) {
+            if (kind === "required") {
+              addError("default", "only applies to optional properties");
+            }
+            const rule = this._buildPropertyRule(prop, false);
+            const message = checkPropertyValue(rule, prop.default);
+            if (message) addError("default", message);
+          }
+
+          if (prop.when) {
+            errors.push(
+              ...this._validateCondition(service, prop, `${propPath}.when`)
+            );
+          }
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check a property's "when" condition
+   *
+   * The condition must name another property of the same service, give
+   * exactly one of "equals" or "in", use values that property accepts, and
+   * not lead back to the property through other conditions.
+   *
+   * @param {Object} service - Service from config.json
+   * @param {Object} prop - Conditional property
+   * @param {string} whenPath - JSON path of the condition
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  _validateCondition(service, prop, whenPath) {
+    const errors = [];
+    const { when } = prop;
+    const allProps = [
+      ...(service.properties.required || []),
+      ...(service.properties.optional || [])
+    ];
+    const target = allProps.find(other => other.name === when.property);
+
+    if (when.property === prop.name) {
+      errors.push({
+        path: `${whenPath}.property`,
+        message: "cannot refer to the property itself"
+      });
+      return errors;
+    }
+    if (!target) {
+      errors.push({
+        path: `${whenPath}.property`,
+        message: `unknown property "${when.property}" (expected one of ${allProps
+          .filter(other => other.name !== prop.name)
+          .map(other => other.name)
+          .join(", ")})`
+      });
+      return errors;
+    }
+
+    if ((when.equals === undefined) === (when.in === undefined)) {
+      errors.push({
+        path: whenPath,
+        message: 'must have exactly one of "equals" or "in"'
+      });
+    } else {
+      const rule = this._buildPropertyRule(target, false);
+      const values = when.in || [when.equals];
+      values.forEach((value, index) => {
+        const message = checkPropertyValue(rule, value);
+        if (message) {
+          errors.push({
+            path: when.in ? `${whenPath}.in[${index}]` : `${whenPath}.equals`,
+            message: `${when.property} ${message}`
+          });
+        }
+      });
+    }
+
+    // Follow the chain of conditions looking for a cycle
+    const seen = new Set([prop.name]);
+    let next = target;
+    while (next?.when) {
+      if (seen.has(next.when.property)) {
+        errors.push({
+          path: `${whenPath}.property`,
+          message: `conditions form a cycle through "${next.name}"`
+        });
+        break;
+      }
+      seen.add(next.name);
+      next = allProps.find(other => other.name === next.when.property);
+    }
+
+    return errors;
+  }
+
   /**
    * Generate service selection boolean flags schema
    *
@@ -216,8 +716,11 @@ class ServiceSchemaEngine {
       this.generateServiceSelectionSchema(services);
     const servicePropertiesSchema =
       this.generateServicePropertiesSchema(services);
+    const serviceOptionsSchema = new ServiceCatalog(
+      services
+    ).generateOptionsSchema();
 
-    return {
+    const schema = {
       type: "object",
       properties: {
         name: {
@@ -231,7 +734,9 @@ class ServiceSchemaEngine {
         },
         email: {
           type: "string",
-          description: "Customer email address"
+          description: "Customer email address",
+          format: "email",
+          pattern: PROPERTY_FORMATS.email.pattern
         },
         preferred_contact_method: {
           type: "string",
@@ -240,16 +745,20 @@ class ServiceSchemaEngine {
         },
         date: {
           type: "string",
-          description: "Appointment date in YYYY-MM-DD format"
+          description: "Appointment date in YYYY-MM-DD format",
+          format: "date",
+          pattern: PROPERTY_FORMATS.date.pattern
         },
         time: {
           type: "string",
-          description: "Appointment time in 24-hour format HH:MM (local time)"
+          description: "Appointment time in 24-hour format HH:MM (local time)",
+          pattern: PROPERTY_FORMATS.time.pattern
         },
         timezone: {
           type: "string",
           description:
-            "Timezone for the appointment (e.g., America/Chicago). Use value from dayAndTime tool."
+            "Timezone for the appointment (e.g., America/Chicago). Use value from dayAndTime tool.",
+          minLength: 3
         },
         service: serviceSelectionSchema,
         service_properties: servicePropertiesSchema,
@@ -270,6 +779,13 @@ class ServiceSchemaEngine {
         "service_properties"
       ]
     };
+
+    // Variants and add-ons, only when some service offers them
+    if (serviceOptionsSchema) {
+      schema.properties.service_options = serviceOptionsSchema;
+    }
+
+    return schema;
   }
 
   /**
@@ -302,7 +818,9 @@ class ServiceSchemaEngine {
         },
         email: {
           type: "string",
-          description: "Updated email address"
+          description: "Updated email address",
+          format: "email",
+          pattern: PROPERTY_FORMATS.email.pattern
         },
         preferred_contact_method: {
           type: "string",
@@ -311,16 +829,20 @@ class ServiceSchemaEngine {
         },
         date: {
           type: "string",
-          description: "Updated appointment date in YYYY-MM-DD format"
+          description: "Updated appointment date in YYYY-MM-DD format",
+          format: "date",
+          pattern: PROPERTY_FORMATS.date.pattern
         },
         time: {
           type: "string",
-          description: "Updated appointment time in HH:MM 24-hour format"
+          description: "Updated appointment time in HH:MM 24-hour format",
+          pattern: PROPERTY_FORMATS.time.pattern
         },
         timezone: {
           type: "string",
           description:
-            "Updated IANA timezone (e.g., 'America/Chicago'). Use {{timezone}} variable."
+            "Updated IANA timezone (e.g., 'America/Chicago'). Use {{timezone}} variable.",
+          minLength: 3
         },
         service: serviceSelectionSchema,
         service_properties: servicePropertiesSchema,
@@ -333,6 +855,144 @@ class ServiceSchemaEngine {
     };
   }
 
+  /**
+   * Build identifyAppointment function schema
+   *
+   * @returns {Object} Function schema for identifyAppointment
+   */
+  buildIdentifyAppointmentFunctionSchema() {
+    return {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description:
+            "Caller's full name to search for in appointment records."
+        },
+        phone: {
+          type: "string",
+          description:
+            "Caller's phone number to search for in appointment records."
+        },
+        date: {
+          type: "string",
+          description:
+            "Appointment date in YYYY-MM-DD format to narrow search results.",
+          format: "date",
+          pattern: PROPERTY_FORMATS.date.pattern
+        },
+        context: {
+          type: "string",
+          description:
+            "Additional contextual information that might help identify the appointment (e.g., service type, approximate time)."
+        },
+        query: {
+          type: "string",
+          description:
+            "Natural language search query combining any details the caller provided (e.g., 'haircut appointment next Tuesday' or 'John Smith 2pm')."
+        }
+      },
+      required: ["name", "phone"]
+    };
+  }
+
+  /**
+   * Build cancelAppointment function schema
+   *
+   * @returns {Object} Function schema for cancelAppointment
+   */
+  buildCancelAppointmentFunctionSchema() {
+    return {
+      type: "object",
+      properties: {
+        appointment_id: {
+          type: "string",
+          description:
+            "Backend-specific identifier for the appointment (Google Calendar event.id, CRM booking ID, etc.)."
+        },
+        reason: {
+          type: "string",
+          description:
+            "Optional reason for cancellation provided by the caller."
+        }
+      },
+      required: ["appointment_id"]
+    };
+  }
+
+  /**
+   * Build the parameters of every appointment tool
+   *
+   * With locations configured, bookAppointment requires a location id and
+   * cancelAppointment accepts the location returned by identifyAppointment
+   * (its display name) so the workflow can find the event in that
+   * location's calendar. With group bookings enabled, bookAppointment also
+   * accepts additional_services, party_size and party_names. With recurring
+   * appointments enabled, bookAppointment and the modifyAppointment updates
+   * accept a recurrence, and modifyAppointment and cancelAppointment a
+   * scope ("this" session or "all" of the series).
+   *
+   * @param {Array} services - Services array from config.json
+   * @param {Object} locations - BusinessLocations instance (optional)
+   * @param {Object} groupBookings - GroupBookings instance (optional)
+   * @param {Object} recurring - RecurringAppointments instance (optional)
+   * @returns {Object} Tool name → parameters schema
+   */
+  buildToolSchemas(
+    services = this.services,
+    locations = null,
+    groupBookings = null,
+    recurring = null
+  ) {
+    const schemas = {
+      bookAppointment: this.buildAppointmentFunctionSchema(services),
+      modifyAppointment: {
+        type: "object",
+        properties: {
+          appointment_id: {
+            type: "string",
+            description: "Unique identifier for the appointment to modify"
+          },
+          updates: this.buildModifyAppointmentFunctionSchema(services)
+        },
+        required: ["appointment_id", "updates"]
+      },
+      identifyAppointment: this.buildIdentifyAppointmentFunctionSchema(),
+      cancelAppointment: this.buildCancelAppointmentFunctionSchema()
+    };
+
+    if (locations?.hasLocations()) {
+      schemas.bookAppointment.properties.location =
+        locations.generateSelectionSchema();
+      schemas.bookAppointment.required.push("location");
+      schemas.cancelAppointment.properties.location = {
+        type: "string",
+        description:
+          "Location of the appointment, as returned by identifyAppointment."
+      };
+    }
+
+    if (groupBookings?.isEnabled()) {
+      Object.assign(
+        schemas.bookAppointment.properties,
+        groupBookings.generateSchemaProperties(services)
+      );
+    }
+
+    if (recurring?.isEnabled()) {
+      schemas.bookAppointment.properties.recurrence =
+        recurring.generateRecurrenceSchema("book");
+      schemas.modifyAppointment.properties.updates.properties.recurrence =
+        recurring.generateRecurrenceSchema("modify");
+      schemas.modifyAppointment.properties.scope =
+        recurring.generateScopeSchema("modify");
+      schemas.cancelAppointment.properties.scope =
+        recurring.generateScopeSchema("cancel");
+    }
+
+    return schemas;
+  }
+
   /**
    * Generate dynamic CSV columns for appointments based on service properties
    *
@@ -344,6 +1004,29 @@ class ServiceSchemaEngine {
    * @returns {Array} Array of CSV column header strings
    */
   generateAppointmentCSVColumns(services = this.services) {
+    return this.generateAppointmentColumns(services).map(column => column.name);
+  }
+
+  /**
+   * Generate the Appointments sheet columns with stable keys
+   *
+   * Property columns are keyed by service slug and property name
+   * ("consultation.project_type"), so renaming a service only changes the
+   * header. A service or property with renamed_from also records the key
+   * its column had before (previous_key) for the sheet migration plan.
+   *
+   * @param {Array} services - Services array from config.json
+   * @param {Object} options - Optional columns
+   * @param {boolean} options.locations - Add "Location" after "Service Type"
+   * @param {boolean} options.pricing - Add "Variant", "Add-ons" and "Price"
+   * @param {boolean} options.groups - Add "Booking Group", "Attendee" and
+   *   "Party Size" after "Service Type"
+   * @param {boolean} options.recurring - Add "Series ID" and "Recurrence"
+   *   after the group columns
+   * @returns {Array<{key: string, name: string, previous_key?: string}>}
+   *   Columns in sheet order
+   */
+  generateAppointmentColumns(services = this.services, options = {}) {
     // Base columns that always exist
     const baseColumns = [
       "Appointment ID",
@@ -353,38 +1036,34 @@ class ServiceSchemaEngine {
       "Appointment Date",
       "Appointment Time",
       "Service Type",
+      ...(options.groups ? ["Booking Group", "Attendee", "Party Size"] : []),
+      ...(options.recurring ? ["Series ID", "Recurrence"] : []),
+      ...(options.locations ? ["Location"] : []),
+      ...(options.pricing ? ["Variant", "Add-ons", "Price"] : []),
       "Status",
       "Notes",
       "Created At",
       "Updated At"
-    ];
+    ].map(name => ({ key: name, name }));
 
-    // Generate dynamic columns for each service's properties
+    // Generate dynamic columns for each service's required, then optional, properties
     const dynamicColumns = [];
 
     for (const service of services) {
       if (!service.properties) continue;
 
-      // Add required properties
-      if (service.properties.required) {
-        for (const prop of service.properties.required) {
-          const columnName = this._formatPropertyColumnName(
-            service.name,
-            prop.name
-          );
-          dynamicColumns.push(columnName);
-        }
-      }
-
-      // Add optional properties
-      if (service.properties.optional) {
-        for (const prop of service.properties.optional) {
-          const columnName = this._formatPropertyColumnName(
-            service.name,
-            prop.name
-          );
-          dynamicColumns.push(columnName);
-        }
+      const props = [
+        ...(service.properties.required || []),
+        ...(service.properties.optional || [])
+      ];
+      for (const prop of props) {
+        const column = {
+          key: `${service.slug}.${prop.name}`,
+          name: this._formatPropertyColumnName(service.name, prop.name)
+        };
+        const previousKey = `${service.renamed_from || service.slug}.${prop.renamed_from || prop.name}`;
+        if (previousKey !== column.key) column.previous_key = previousKey;
+        dynamicColumns.push(column);
       }
     }
 
@@ -408,6 +1087,35 @@ class ServiceSchemaEngine {
     return `${serviceName} - ${formattedProp}`;
   }
 
+  /**
+   * Generate the Service Types sheet
+   *
+   * One row per service with its slug, name, duration, price (as configured,
+   * without currency formatting so the sheet can compute with it),
+   * description and property definitions serialized as JSON.
+   *
+   * @param {Array} services - Services array from config.json
+   * @returns {{headers: string, rows: string}} CSV header line and data
+   *   lines (newline-separated, empty without services)
+   */
+  generateServiceTypesCSV(services = this.services) {
+    const rows = services.map(service =>
+      formatCSVRow([
+        service.slug,
+        service.name,
+        service.duration_minutes,
+        service.price,
+        service.description,
+        service.properties ? JSON.stringify(service.properties) : ""
+      ])
+    );
+
+    return {
+      headers: formatCSVRow(SERVICE_TYPES_COLUMNS),
+      rows: rows.join("\n")
+    };
+  }
+
   /**
    * Generate token-optimized service properties guide for agent awareness
    *
@@ -436,32 +1144,40 @@ class ServiceSchemaEngine {
     let guide = "Service-Specific Information to Collect:\n\n";
 
     for (const service of servicesWithProps) {
-      guide += `${service.name}:\n`;
+      guide += `${this._buildGuideSection(service)}\n`;
+    }
 
-      if (
-        service.properties.required &&
-        service.properties.required.length > 0
-      ) {
-        guide += "  Required:\n";
-        for (const prop of service.properties.required) {
-          guide += `    - ${this._formatPropertyForGuide(prop)}\n`;
-        }
-      }
+    return guide.trim();
+  }
 
-      if (
-        service.properties.optional &&
-        service.properties.optional.length > 0
-      ) {
-        guide += "  Optional:\n";
-        for (const prop of service.properties.optional) {
-          guide += `    - ${this._formatPropertyForGuide(prop)}\n`;
-        }
+  /**
+   * Build one service's section of the service properties guide
+   *
+   * @param {Object} service - Service from config.json
+   * @returns {string} Section text (empty when the service has no properties)
+   */
+  _buildGuideSection(service) {
+    const required = service.properties?.required || [];
+    const optional = service.properties?.optional || [];
+    if (required.length === 0 && optional.length === 0) return "";
+
+    let section = `${service.name}:\n`;
+
+    if (required.length > 0) {
+      section += "  Required:\n";
+      for (const prop of required) {
+        section += `    - ${this._formatPropertyForGuide(prop, service)}\n`;
       }
+    }
 
-      guide += "\n";
+    if (optional.length > 0) {
+      section += "  Optional:\n";
+      for (const prop of optional) {
+        section += `    - ${this._formatPropertyForGuide(prop, service)}\n`;
+      }
     }
 
-    return guide.trim();
+    return section;
   }
 
   /**
@@ -471,11 +1187,131 @@ class ServiceSchemaEngine {
    * suitable for agent guidance while maintaining clarity about data requirements.
    *
    * @param {Object} prop - Property object with name, type, and prompt
+   * @param {Object} service - Service the property belongs to
    * @returns {string} Formatted property description
    */
-  _formatPropertyForGuide(prop) {
-    return prop.prompt || prop.name;
+  _formatPropertyForGuide(prop, service = {}) {
+    const label = prop.prompt || prop.name;
+    const rules = [];
+
+    if (prop.enum) {
+      rules.push(`one of: ${prop.enum.join(", ")}`);
+    }
+    if (prop.minimum !== undefined && prop.maximum !== undefined) {
+      rules.push(`${prop.minimum}-${prop.maximum}`);
+    } else if (prop.minimum !== undefined) {
+      rules.push(`at least ${prop.minimum}`);
+    } else if (prop.maximum !== undefined) {
+      rules.push(`at most ${prop.maximum}`);
+    }
+    if (prop.type === "integer" && !prop.enum) {
+      rules.push("whole number");
+    }
+    if (PROPERTY_FORMATS[prop.format]) {
+      rules.push(PROPERTY_FORMATS[prop.format].label);
+    }
+    if (prop.default !== undefined) {
+      rules.push(`default ${prop.default}`);
+    }
+
+    let line = rules.length > 0 ? `${label} [${rules.join("; ")}]` : label;
+
+    if (prop.when) {
+      const target = [
+        ...(service.properties?.required || []),
+        ...(service.properties?.optional || [])
+      ].find(other => other.name === prop.when.property);
+      const targetLabel = target?.prompt || prop.when.property;
+      line += ` (only ask when ${targetLabel} is ${formatConditionValues(prop.when)})`;
+    }
+
+    return line;
+  }
+}
+
+/**
+ * Check that a value has a property's type
+ *
+ * @param {string} type - Property type
+ * @param {any} value - Value to check
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkType(type, value) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value) ? null : "must be a whole number";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? null
+        : "must be a number";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    default:
+      return typeof value === "string" ? null : "must be text";
+  }
+}
+
+/**
+ * Check a value against a property rule
+ *
+ * The n8n "Parse Service Properties" nodes apply the same checks after
+ * converting numeric strings to numbers.
+ *
+ * @param {Object} rule - Rule from buildPropertyRules()
+ * @param {any} value - Value to check
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkPropertyValue(rule, value) {
+  const typeError = checkType(rule.type, value);
+  if (typeError) return typeError;
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    return `must be at least ${rule.minimum}`;
+  }
+  if (rule.maximum !== undefined && value > rule.maximum) {
+    return `must be at most ${rule.maximum}`;
   }
+  if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+    return PROPERTY_FORMATS[rule.format]
+      ? `must be a valid ${rule.format}`
+      : `must match ${rule.pattern}`;
+  }
+
+  return null;
 }
 
+/**
+ * Format the values a condition matches
+ *
+ * @param {Object} when - { property, equals } or { property, in }
+ * @returns {string} e.g. "web development" or "web development or automation"
+ */
+function formatConditionValues(when) {
+  return (when.in || [when.equals]).map(value => `"${value}"`).join(" or ");
+}
+
+/**
+ * Format values as a CSV line
+ *
+ * Values containing commas, quotes or line breaks are quoted, with quotes
+ * doubled.
+ *
+ * @param {Array} values - Cell values (undefined and null become empty)
+ * @returns {string} CSV line
+ */
+function formatCSVRow(values) {
+  return values
+    .map(value => {
+      const text = value === undefined || value === null ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+ServiceSchemaEngine.PROPERTY_FORMATS = PROPERTY_FORMATS;
+ServiceSchemaEngine.checkPropertyValue = checkPropertyValue;
+
 module.exports = ServiceSchemaEngine;
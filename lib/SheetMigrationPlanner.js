@@ -0,0 +1,243 @@
+const fs = require("fs").promises;
+
+/**
+ * Sheet Migration Planner Module
+ *
+ * Responsible for keeping live Google Sheets in step with the column layout
+ * the build generates. The Appointments columns are derived from services
+ * (ServiceSchemaEngine.generateAppointmentColumns), so renaming a service
+ * or property changes the headers the workflows write to. The planner
+ * compares the columns of the last deployment with the new build and lists
+ * what has to change in the sheet before the new workflows go live.
+ *
+ * MANIFEST (sheet-manifest.json beside the client's config.json):
+ * {
+ *   "version": 1,
+ *   "deployed_at": "2026-01-01T00:00:00.000Z",
+ *   "sheets": {
+ *     "Appointments": [{ "key": "consultation.project_type",
+ *                        "name": "Consultation - Project Type" }]
+ *   }
+ * }
+ *
+ * Columns are matched by key, or by previous_key for services and
+ * properties declaring renamed_from. A matched column with a new header is
+ * a rename; one at a new position is a move. Both carry the data move
+ * (from_column → to_column, as sheet letters).
+ *
+ * BREAKING CHANGES:
+ * The workflows write rows by header name, so added and reordered columns
+ * are safe. Removed and renamed columns are breaking: rows would lose those
+ * values until the sheet is migrated. The build reports them and deploys
+ * refuse to proceed until the change is acknowledged.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Load and save the manifest of deployed sheet columns
+ * - Diff deployed and built columns into a migration plan
+ * - Format the plan for the console
+ *
+ * INTERFACE:
+ * - loadManifest(): Manifest of the last deployment, or null
+ * - saveManifest(sheets): Record sheet columns as deployed
+ * - plan(manifest, sheets): Migration plan from the manifest to sheets
+ * - formatPlan(plan): Console lines describing the plan
+ */
+
+const MANIFEST_VERSION = 1;
+
+class SheetMigrationPlanner {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.manifestPath - Path of sheet-manifest.json
+   */
+  constructor(options = {}) {
+    this.manifestPath = options.manifestPath || "sheet-manifest.json";
+  }
+
+  /**
+   * Load the manifest of the last deployment
+   *
+   * @returns {Promise<Object|null>} Manifest, or null before the first deploy
+   * @throws {Error} If the manifest exists but cannot be parsed
+   */
+  async loadManifest() {
+    let content;
+    try {
+      content = await fs.readFile(this.manifestPath, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid ${this.manifestPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record sheet columns as deployed
+   *
+   * @param {Object} sheets - Sheet name → columns ({ key, name })
+   * @returns {Promise<Object>} Saved manifest
+   */
+  async saveManifest(sheets) {
+    const manifest = {
+      version: MANIFEST_VERSION,
+      deployed_at: new Date().toISOString(),
+      sheets: {}
+    };
+    for (const [sheet, columns] of Object.entries(sheets)) {
+      manifest.sheets[sheet] = columns.map(({ key, name }) => ({ key, name }));
+    }
+
+    await fs.writeFile(
+      this.manifestPath,
+      `${JSON.stringify(manifest, null, 2)}\n`
+    );
+    return manifest;
+  }
+
+  /**
+   * Diff the deployed columns against the built ones
+   *
+   * @param {Object|null} manifest - Manifest from loadManifest()
+   * @param {Object} sheets - Sheet name → built columns ({ key, name,
+   *   previous_key })
+   * @returns {Object} { initial, breaking, sheets: name → { added, removed,
+   *   renamed, moved, breaking } }
+   */
+  plan(manifest, sheets) {
+    const plan = { initial: !manifest, breaking: false, sheets: {} };
+
+    for (const [sheet, columns] of Object.entries(sheets)) {
+      const deployed = manifest?.sheets?.[sheet];
+      if (!deployed) continue;
+
+      const sheetPlan = this._diffColumns(deployed, columns);
+      const changed = ["added", "removed", "renamed", "moved"].some(
+        key => sheetPlan[key].length > 0
+      );
+      if (!changed) continue;
+
+      plan.sheets[sheet] = sheetPlan;
+      plan.breaking = plan.breaking || sheetPlan.breaking;
+    }
+
+    return plan;
+  }
+
+  /**
+   * Format a migration plan for the console
+   *
+   * @param {Object} plan - Plan from plan()
+   * @returns {Array<string>} Lines (empty when nothing changes)
+   */
+  formatPlan(plan) {
+    const lines = [];
+
+    for (const [sheet, sheetPlan] of Object.entries(plan.sheets)) {
+      lines.push(
+        `📋 ${sheet} sheet migration${sheetPlan.breaking ? " (breaking)" : ""}:`
+      );
+      for (const column of sheetPlan.added) {
+        lines.push(`   + add "${column.name}" as column ${column.column}`);
+      }
+      for (const column of sheetPlan.renamed) {
+        const where =
+          column.from_column === column.to_column
+            ? `column ${column.to_column}`
+            : `move data from column ${column.from_column} to ${column.to_column}`;
+        lines.push(`   ~ rename "${column.from}" → "${column.to}" (${where})`);
+      }
+      for (const column of sheetPlan.moved) {
+        lines.push(
+          `   ↔ move "${column.name}" from column ${column.from_column} to ${column.to_column}`
+        );
+      }
+      for (const column of sheetPlan.removed) {
+        lines.push(
+          `   - remove "${column.name}" (column ${column.column}; archive its data first)`
+        );
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Diff one sheet's columns
+   *
+   * @param {Array<Object>} deployed - Columns from the manifest
+   * @param {Array<Object>} columns - Built columns
+   * @returns {Object} { added, removed, renamed, moved, breaking }
+   */
+  _diffColumns(deployed, columns) {
+    const deployedByKey = new Map(
+      deployed.map((column, index) => [column.key, { ...column, index }])
+    );
+    const matched = new Set();
+    const sheetPlan = { added: [], removed: [], renamed: [], moved: [] };
+
+    columns.forEach((column, index) => {
+      const previous = [column.key, column.previous_key]
+        .filter(key => key && !matched.has(key))
+        .map(key => deployedByKey.get(key))
+        .find(Boolean);
+
+      if (!previous) {
+        sheetPlan.added.push({
+          name: column.name,
+          column: columnLetter(index)
+        });
+        return;
+      }
+
+      matched.add(previous.key);
+      if (previous.name !== column.name) {
+        sheetPlan.renamed.push({
+          from: previous.name,
+          to: column.name,
+          from_column: columnLetter(previous.index),
+          to_column: columnLetter(index)
+        });
+      } else if (previous.index !== index) {
+        sheetPlan.moved.push({
+          name: column.name,
+          from_column: columnLetter(previous.index),
+          to_column: columnLetter(index)
+        });
+      }
+    });
+
+    for (const column of deployedByKey.values()) {
+      if (!matched.has(column.key)) {
+        sheetPlan.removed.push({
+          name: column.name,
+          column: columnLetter(column.index)
+        });
+      }
+    }
+
+    sheetPlan.breaking =
+      sheetPlan.removed.length > 0 || sheetPlan.renamed.length > 0;
+    return sheetPlan;
+  }
+}
+
+/**
+ * Convert a zero-based column index to a sheet column letter
+ *
+ * @param {number} index - Column index (0 = A)
+ * @returns {string} Column letter, e.g. "A", "Z", "AA"
+ */
+function columnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+module.exports = SheetMigrationPlanner;
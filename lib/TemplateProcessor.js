@@ -216,10 +216,17 @@ class TemplateProcessor {
     if (this._isN8nWorkflow(filePath, fileName)) {
       return {
         businessName: fullContext.businessName,
+        workflowPrefix: fullContext.workflowPrefix,
         templateVariables: fullContext.templateVariables,
         ragPrompt: fullContext.ragPrompt,
         services: fullContext.services,
-        webhookConfig: fullContext.webhookConfig
+        serviceOptions: fullContext.serviceOptions,
+        businessHours: fullContext.businessHours,
+        locations: fullContext.locations,
+        groupBookings: fullContext.groupBookings,
+        recurringAppointments: fullContext.recurringAppointments,
+        webhookConfig: fullContext.webhookConfig,
+        webhookSigning: fullContext.webhookSigning
       };
     }
 
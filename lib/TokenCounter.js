@@ -27,6 +27,7 @@
  * - estimateTokens(text): Estimate tokens for raw text
  * - countPromptTokens(promptContent): Count tokens in conversation prompts
  * - countToolSchemaTokens(toolSchema): Count tokens in tool definitions
+ * - estimateSchemaTokens(schema): Estimate tokens for JSON without tracking it
  * - countKnowledgeBaseTokens(kbContent): Count tokens in knowledge bases
  * - generateReport(): Generate comprehensive token usage report with Retell AI costs
  */
@@ -71,6 +72,22 @@ class TokenCounter {
     return Math.ceil(charCount / this.CHARS_PER_TOKEN);
   }
 
+  /**
+   * Estimate tokens for a JSON value (tool schema or part of one)
+   *
+   * Applies the JSON overhead multiplier but does not add to the tracked
+   * counts, so callers can size schema fragments before they are built.
+   *
+   * @param {*} schema - Value to estimate
+   * @returns {number} Estimated token count
+   */
+  estimateSchemaTokens(schema) {
+    if (schema === undefined || schema === null) return 0;
+
+    const baseTokens = this.estimateTokens(JSON.stringify(schema));
+    return Math.ceil(baseTokens * this.JSON_OVERHEAD_MULTIPLIER);
+  }
+
   /**
    * Count tokens in Retell agent global prompt
    *
@@ -143,12 +160,8 @@ class TokenCounter {
   countToolSchema(tool) {
     if (!tool) return 0;
 
-    // Convert tool schema to JSON string to estimate complete size
-    const toolJson = JSON.stringify(tool);
-    const baseTokens = this.estimateTokens(toolJson);
-
-    // Apply JSON overhead multiplier
-    const tokens = Math.ceil(baseTokens * this.JSON_OVERHEAD_MULTIPLIER);
+    // Estimate the complete tool definition, JSON overhead included
+    const tokens = this.estimateSchemaTokens(tool);
 
     this.tokenCounts.tool_schemas += tokens;
     this.tokenCounts.total += tokens;
@@ -0,0 +1,253 @@
+const ServiceSchemaEngine = require("./ServiceSchemaEngine");
+
+/**
+ * Tool Validator Generator Module
+ *
+ * Responsible for compiling a Retell tool's parameters schema into the
+ * JavaScript that validates the same request in the tool's n8n workflow.
+ * Each appointment workflow's "Validate & Extract Data" node embeds the
+ * generated validateToolInput(body) through {{TOOL_VALIDATOR}}, so a change
+ * to ServiceSchemaEngine.buildToolSchemas() updates the agent tool and the
+ * backend check in the same build.
+ *
+ * SUPPORTED KEYWORDS:
+ * - required: fields that are missing, null or "" are reported by path
+ *   (e.g. "updates.service")
+ * - type: "object" (its properties are compiled in turn), "array",
+ *   "integer" and "number" (numeric strings are accepted, as voice agents
+ *   often send numbers as text)
+ * - enum: case-insensitive for strings, as voice agents vary the casing
+ * - minimum, maximum, minLength and maxItems
+ * - format (date, time, email, phone) and pattern
+ *
+ * service, service_properties and service_options are only checked for
+ * presence: the "Parse Service Properties" nodes validate them against
+ * {{PROPERTY_RULES}} and {{SERVICE_OPTIONS}}.
+ *
+ * GENERATED CODE:
+ * validateToolInput(body) returns null for a valid request, or the failure
+ * response the workflows already use:
+ * { status: "failure", message, data: { missing_fields | invalid_fields,
+ * timestamp } }
+ *
+ * INTERFACE:
+ * - generate(schema, toolName): Source of validateToolInput(body)
+ */
+
+const DELEGATED_PROPERTIES = [
+  "service",
+  "service_properties",
+  "service_options"
+];
+
+class ToolValidatorGenerator {
+  /**
+   * Generate the validator for a tool
+   *
+   * @param {Object} schema - Tool parameters schema
+   * @param {string} toolName - Tool name, for the generated comment
+   * @returns {string} JavaScript source of validateToolInput(body)
+   */
+  generate(schema, toolName) {
+    return [
+      `// Generated from the ${toolName} tool schema by the build; change the schema, not this code`,
+      "function validateToolInput(body) {",
+      "  const missing = [];",
+      "  const invalid = [];",
+      "  const isEmpty = value => value === undefined || value === null || value === '';",
+      "  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);",
+      "",
+      ...this._compileObject(schema, [], "  "),
+      "",
+      "  if (missing.length > 0) {",
+      "    return {",
+      "      status: 'failure',",
+      "      message: `Missing required fields: ${missing.join(', ')}`,",
+      "      data: { missing_fields: missing, timestamp: new Date().toISOString() }",
+      "    };",
+      "  }",
+      "  if (invalid.length > 0) {",
+      "    return {",
+      "      status: 'failure',",
+      "      message: `Invalid fields: ${invalid.map(f => `${f.field} ${f.message}`).join('; ')}`,",
+      "      data: { invalid_fields: invalid, timestamp: new Date().toISOString() }",
+      "    };",
+      "  }",
+      "  return null;",
+      "}"
+    ].join("\n");
+  }
+
+  /**
+   * Compile the checks for an object's properties
+   *
+   * @param {Object} schema - Object schema
+   * @param {Array<string>} path - Path of the object from the request body
+   * @param {string} indent - Indentation of the generated lines
+   * @returns {Array<string>} Generated lines
+   */
+  _compileObject(schema, path, indent) {
+    const lines = [];
+    const required = schema.required || [];
+
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      const fieldPath = [...path, name];
+      const accessor = toAccessor(fieldPath);
+      const checks = DELEGATED_PROPERTIES.includes(name)
+        ? []
+        : this._compileProperty(property, fieldPath, `${indent}  `);
+
+      if (required.includes(name)) {
+        lines.push(
+          `${indent}if (isEmpty(${accessor})) {`,
+          `${indent}  missing.push(${JSON.stringify(fieldPath.join("."))});`
+        );
+        if (checks.length > 0) lines.push(`${indent}} else {`, ...checks);
+        lines.push(`${indent}}`);
+      } else if (checks.length > 0) {
+        lines.push(
+          `${indent}if (!isEmpty(${accessor})) {`,
+          ...checks,
+          `${indent}}`
+        );
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Compile the checks for a property that is present
+   *
+   * The first failing check is reported, so a value is never listed twice.
+   *
+   * @param {Object} property - Property schema
+   * @param {Array<string>} path - Path of the property from the request body
+   * @param {string} indent - Indentation of the generated lines
+   * @returns {Array<string>} Generated lines (empty when nothing to check)
+   */
+  _compileProperty(property, path, indent) {
+    const accessor = toAccessor(path);
+    const checks = [];
+
+    if (property.type === "object") {
+      checks.push([`!isObject(${accessor})`, "must be an object"]);
+    } else if (property.type === "array") {
+      checks.push([`!Array.isArray(${accessor})`, "must be a list"]);
+    } else if (property.type === "integer") {
+      checks.push([
+        `!Number.isInteger(Number(${accessor}))`,
+        "must be a whole number"
+      ]);
+    } else if (property.type === "number") {
+      checks.push([
+        `!Number.isFinite(Number(${accessor}))`,
+        "must be a number"
+      ]);
+    }
+
+    if (property.enum) {
+      const values = property.enum.map(value =>
+        typeof value === "string" ? value.toLowerCase() : value
+      );
+      const value = property.enum.every(value => typeof value === "string")
+        ? `String(${accessor}).toLowerCase()`
+        : accessor;
+      checks.push([
+        `!${JSON.stringify(values)}.includes(${value})`,
+        `must be one of: ${property.enum.join(", ")}`
+      ]);
+    }
+
+    if (property.minimum !== undefined) {
+      checks.push([
+        `Number(${accessor}) < ${property.minimum}`,
+        `must be at least ${property.minimum}`
+      ]);
+    }
+
+    if (property.maximum !== undefined) {
+      checks.push([
+        `Number(${accessor}) > ${property.maximum}`,
+        `must be at most ${property.maximum}`
+      ]);
+    }
+
+    if (property.maxItems !== undefined) {
+      checks.push([
+        `${accessor}.length > ${property.maxItems}`,
+        `must have at most ${property.maxItems} ${property.maxItems === 1 ? "item" : "items"}`
+      ]);
+    }
+
+    if (property.minLength !== undefined) {
+      checks.push([
+        `String(${accessor}).length < ${property.minLength}`,
+        `must be at least ${property.minLength} characters`
+      ]);
+    }
+
+    // Formats sent as a bare pattern (time, phone) keep their readable label
+    const pattern =
+      property.pattern ||
+      ServiceSchemaEngine.PROPERTY_FORMATS[property.format]?.pattern;
+    const format = Object.values(ServiceSchemaEngine.PROPERTY_FORMATS).find(
+      candidate => candidate.pattern === pattern
+    );
+    if (pattern) {
+      checks.push([
+        `!new RegExp(${JSON.stringify(pattern)}).test(String(${accessor}))`,
+        format
+          ? `must be ${withArticle(format.label)}`
+          : `must match ${pattern}`
+      ]);
+    }
+
+    const lines = [];
+    checks.forEach(([condition, message], index) => {
+      const keyword = index === 0 ? "if" : "} else if";
+      lines.push(
+        `${indent}${keyword} (${condition}) {`,
+        `${indent}  invalid.push({ field: ${JSON.stringify(path.join("."))}, value: ${accessor}, message: ${JSON.stringify(message)} });`
+      );
+    });
+
+    // Nested objects are only checked once they are known to be objects
+    const nested =
+      property.type === "object" && property.properties
+        ? this._compileObject(property, path, `${indent}  `)
+        : [];
+    if (nested.length > 0) lines.push(`${indent}} else {`, ...nested);
+
+    if (lines.length > 0) lines.push(`${indent}}`);
+    return lines;
+  }
+}
+
+/**
+ * Build the expression that reads a field from the request body
+ *
+ * @param {Array<string>} path - Field path, e.g. ["updates", "date"]
+ * @returns {string} e.g. "body.updates.date"
+ */
+function toAccessor(path) {
+  return path.reduce(
+    (accessor, key) =>
+      /^[A-Za-z_$][\w$]*$/.test(key)
+        ? `${accessor}.${key}`
+        : `${accessor}[${JSON.stringify(key)}]`,
+    "body"
+  );
+}
+
+/**
+ * Prefix a label with "a" or "an"
+ *
+ * @param {string} label - e.g. "email address"
+ * @returns {string} e.g. "an email address"
+ */
+function withArticle(label) {
+  return `${/^[aeiou]/i.test(label) ? "an" : "a"} ${label}`;
+}
+
+module.exports = ToolValidatorGenerator;
@@ -7,18 +7,69 @@ const crypto = require("crypto");
  * for n8n workflow deployment. Creates consistent, collision-resistant
  * endpoint names based on business name and tool name.
  *
+ * ROTATION:
+ * webhook_deployment.rotation.epoch (default 0) is mixed into every hash,
+ * so raising it moves every endpoint; WebhookRotation keeps the previous
+ * endpoints live for a grace period. Epoch 0 keeps the original hashes.
+ *
+ * ENVIRONMENTS:
+ * Builds for an environment other than production (--env staging) mix the
+ * environment's hash namespace into every hash, so its endpoints never
+ * collide with production's on a shared n8n instance (see
+ * DeploymentEnvironment).
+ *
+ * SIGNING:
+ * Without a salt the hash is a plain digest of "<business_name>-<toolName>",
+ * which anyone who knows the business name can recompute. With
+ * webhook_deployment.signing configured:
+ * - Hashes are an HMAC keyed with the client's secret salt
+ *   (signing.salt, usually a secret: or env: reference)
+ * - Every Retell custom tool sends an X-Webhook-Client header with the
+ *   client ID (also derived from the salt)
+ * - Every workflow verifies Retell's X-Retell-Signature (an HMAC of the
+ *   body and a timestamp, keyed with the Retell API key) and rejects
+ *   unsigned, expired, replayed or other clients' requests before any other
+ *   node runs (see N8nWorkflowProcessor.injectSignatureVerification)
+ *
+ * "signing": {
+ *   "salt": "secret:WEBHOOK_SALT",
+ *   "secret_env": "RETELL_API_KEY",   // n8n environment variable (default)
+ *   "tolerance_seconds": 300          // signature age limit (default)
+ * }
+ *
+ * COLLISIONS:
+ * A tool's hash length can be set on its own (tools.<tool>.hash_length),
+ * and WebhookRegistry lengthens the hashes that collide with another
+ * client's paths on the same instance. Longer hashes are the same digest
+ * with more characters.
+ *
  * KEY RESPONSIBILITIES:
  * - Generate unique hash identifiers for webhook endpoints
  * - Build complete webhook URLs with base URL and hash
  * - Manage webhook configuration for multiple tools
  * - Ensure deployment uniqueness across multiple instances
+ * - Derive the client ID and verification settings for signed webhooks
  *
  * INTERFACE:
  * - generateWebhookHashes(businessName, tools): Generate hashes for all tools
  * - buildWebhookUrls(baseUrl, tools, hashes): Build complete URLs
- * - generateSingleHash(businessName, toolName): Generate hash for one tool
+ * - generateSingleHash(businessName, toolName, length): Generate hash for
+ *   one tool
+ * - getHashLength(toolName): Configured hash length of a tool
+ * - buildEndpointPath(toolName, hash): Webhook path of a tool
  * - getWebhookConfig(toolName): Get config for specific tool
+ * - isSigningEnabled(): True if webhook_deployment.signing is configured
+ * - getSigningConfig(): Client ID and verification settings
  */
+
+const SIGNATURE_HEADER = "x-retell-signature";
+const CLIENT_HEADER = "X-Webhook-Client";
+
+const DEFAULT_SIGNING = {
+  secret_env: "RETELL_API_KEY",
+  tolerance_seconds: 300
+};
+
 class WebhookGenerator {
   constructor(config = {}) {
     this.config = config;
@@ -27,6 +78,9 @@ class WebhookGenerator {
     this.hashLength = config.hash_length || 8;
     this.tools = config.tools || {};
     this.businessName = config.business_name || "Default Business";
+    this.signing = config.signing || null;
+    this.epoch = config.epoch || 0;
+    this.namespace = config.namespace || null;
 
     this.generatedHashes = {};
     this.generatedUrls = {};
@@ -44,6 +98,15 @@ class WebhookGenerator {
     this.hashLength = config.hash_length || this.hashLength;
     this.tools = config.tools || this.tools;
     this.businessName = config.business_name || this.businessName;
+    this.signing = config.signing || this.signing;
+    this.epoch = config.epoch ?? this.epoch;
+    this.namespace = config.namespace ?? this.namespace;
+
+    if (this.signing && !this.signing.salt) {
+      throw new Error(
+        "webhook_deployment.signing.salt is required for signed webhooks"
+      );
+    }
   }
 
   /**
@@ -73,20 +136,97 @@ class WebhookGenerator {
    *
    * @param {string} businessName - Business name for uniqueness
    * @param {string} toolName - Tool name
+   * @param {number} length - Hash length (default: the tool's hash length)
    * @returns {string} Generated hash identifier
    */
-  generateSingleHash(businessName, toolName) {
-    // Create hash based on business name + tool name for uniqueness
-    const hashInput = `${businessName}-${toolName}`;
-    const hash = crypto
-      .createHash(this.hashAlgorithm)
-      .update(hashInput)
-      .digest("hex")
-      .substring(0, this.hashLength);
+  generateSingleHash(
+    businessName,
+    toolName,
+    length = this.getHashLength(toolName)
+  ) {
+    // Create hash based on business name + tool name for uniqueness, plus
+    // the rotation epoch once endpoints have been rotated and the
+    // environment's namespace outside production
+    let hashInput =
+      this.epoch > 0
+        ? `${businessName}-${toolName}-${this.epoch}`
+        : `${businessName}-${toolName}`;
+    if (this.namespace) {
+      hashInput = `${this.namespace}:${hashInput}`;
+    }
+    const hash = this._digest(hashInput).substring(0, length);
 
     return hash;
   }
 
+  /**
+   * Get the configured hash length of a tool
+   *
+   * @param {string} toolName - Tool name
+   * @returns {number} tools.<tool>.hash_length, else hash_length
+   */
+  getHashLength(toolName) {
+    return this.tools[toolName]?.hash_length || this.hashLength;
+  }
+
+  /**
+   * Build the webhook path of a tool, without the base URL
+   *
+   * @param {string} toolName - Tool name
+   * @param {string} hash - Hash identifier
+   * @returns {string} e.g. "book-appointment-84fe2561"
+   */
+  buildEndpointPath(toolName, hash) {
+    const endpointBase =
+      this.tools[toolName]?.endpoint_base || toolName.toLowerCase();
+    return `${endpointBase}-${hash}`;
+  }
+
+  /**
+   * Digest a value, keyed with the signing salt when one is configured
+   *
+   * @param {string} value - Value to digest
+   * @returns {string} Hex digest
+   */
+  _digest(value) {
+    const hasher = this.signing
+      ? crypto.createHmac(this.hashAlgorithm, this.signing.salt)
+      : crypto.createHash(this.hashAlgorithm);
+
+    return hasher.update(value).digest("hex");
+  }
+
+  /**
+   * Check whether webhooks are signed and verified
+   *
+   * @returns {boolean} True if webhook_deployment.signing is configured
+   */
+  isSigningEnabled() {
+    return this.signing !== null;
+  }
+
+  /**
+   * Get the settings the Retell tools and n8n verification nodes share
+   *
+   * The salt itself is not included: it only keys the hashes and the
+   * client ID, and the signing key stays in the n8n environment.
+   *
+   * @returns {Object|null} { client_header, client_id, signature_header,
+   *   secret_env, tolerance_seconds }, or null when signing is off
+   */
+  getSigningConfig() {
+    if (!this.isSigningEnabled()) return null;
+
+    return {
+      client_header: CLIENT_HEADER,
+      client_id: this._digest(`${this.businessName}-client`).substring(0, 32),
+      signature_header: SIGNATURE_HEADER,
+      secret_env: this.signing.secret_env || DEFAULT_SIGNING.secret_env,
+      tolerance_seconds:
+        this.signing.tolerance_seconds || DEFAULT_SIGNING.tolerance_seconds
+    };
+  }
+
   /**
    * Build webhook URLs for tools with hash generation
    *
@@ -167,6 +307,9 @@ class WebhookGenerator {
       hash_algorithm: this.hashAlgorithm,
       hash_length: this.hashLength,
       business_name: this.businessName,
+      signed: this.isSigningEnabled(),
+      epoch: this.epoch,
+      namespace: this.namespace,
       tools: Object.keys(this.tools).reduce((acc, toolName) => {
         acc[toolName] = this.getWebhookConfig(toolName);
         return acc;
@@ -175,4 +318,6 @@ class WebhookGenerator {
   }
 }
 
+WebhookGenerator.DEFAULT_SIGNING = DEFAULT_SIGNING;
+
 module.exports = WebhookGenerator;
@@ -0,0 +1,345 @@
+const fs = require("fs").promises;
+
+/**
+ * Webhook Registry Module
+ *
+ * Responsible for keeping clients that share an n8n instance off each
+ * other's webhook paths. Endpoint hashes are only hash_length (default 8)
+ * hex characters, so two clients can draw the same path; n8n then serves
+ * one client's calls with the other's workflow. webhook-registry.json,
+ * shared by every client in the checkout, records which client and
+ * environment deployed each path on each instance, and is the source of
+ * truth for who owns a webhook.
+ *
+ * CONFIG SHAPE:
+ * "webhook_deployment": {
+ *   "registry": {
+ *     "auto_extend": false,     // lengthen a colliding tool's hash (default off)
+ *     "max_hash_length": 16     // longest hash auto_extend may use (default 16)
+ *   },
+ *   "tools": {
+ *     "bookAppointment": { "hash_length": 10 }   // pin one tool's hash length
+ *   }
+ * }
+ *
+ * REGISTRY (webhook-registry.json at the repository root):
+ * {
+ *   "version": 1,
+ *   "instances": {
+ *     "https://n8n.example.com": {
+ *       "book-appointment-84fe2561": {
+ *         "client": "acme-dental", "environment": "production",
+ *         "business_name": "Acme Dental", "tool": "bookAppointment",
+ *         "epoch": 0, "registered_at": "..."
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * Instances are keyed by the origin of base_webhook_url, where the paths
+ * are served. client is null for the single-client layout.
+ *
+ * COLLISIONS:
+ * Every build checks its paths against the registry and fails when another
+ * client or environment owns one. With auto_extend the colliding tool's hash
+ * is lengthened (the same digest, more characters) until the path is free;
+ * a path the client already registered at a longer length is kept, so the
+ * URL does not change once the other client is gone. A successful deploy
+ * replaces the client's entries on the instance with the paths it deployed,
+ * including the endpoints WebhookRotation keeps live.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Load and save the registry
+ * - Find the hash length of each tool that avoids other owners' paths
+ * - Record a deploy's paths for its client and environment
+ * - Format collisions and the registry for the console
+ *
+ * INTERFACE:
+ * - initialize(settings): Apply webhook_deployment.registry
+ * - loadRegistry(): Registry (empty before the first deploy)
+ * - saveRegistry(registry): Write the registry
+ * - resolve(registry, request): Hash lengths, collisions and extensions
+ * - register(registry, instance, owner, endpoints, now): Registry with the
+ *   owner's paths on the instance replaced
+ * - formatResolution(resolution): Console lines describing collisions
+ * - formatRegistry(registry): Console lines listing every owned path
+ * - WebhookRegistry.instanceKey(baseUrl): Registry key of an instance
+ */
+
+const REGISTRY_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+  auto_extend: false,
+  max_hash_length: 16
+};
+
+class WebhookRegistry {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.registryPath - Path of webhook-registry.json
+   * @param {Object} options.settings - webhook_deployment.registry
+   */
+  constructor(options = {}) {
+    this.registryPath = options.registryPath || "webhook-registry.json";
+    this.settings = { ...DEFAULT_SETTINGS, ...(options.settings || {}) };
+  }
+
+  /**
+   * Initialize with the configured registry settings
+   *
+   * @param {Object} settings - webhook_deployment.registry
+   */
+  initialize(settings) {
+    this.settings = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+  }
+
+  /**
+   * Load the registry of deployed webhook paths
+   *
+   * @returns {Promise<Object>} Registry, empty before the first deploy
+   * @throws {Error} If the registry exists but cannot be parsed
+   */
+  async loadRegistry() {
+    let content;
+    try {
+      content = await fs.readFile(this.registryPath, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { version: REGISTRY_VERSION, instances: {} };
+      }
+      throw error;
+    }
+
+    try {
+      const registry = JSON.parse(content);
+      return { version: REGISTRY_VERSION, instances: {}, ...registry };
+    } catch (error) {
+      throw new Error(`Invalid ${this.registryPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the registry
+   *
+   * @param {Object} registry - Registry from register()
+   * @returns {Promise<Object>} Saved registry
+   */
+  async saveRegistry(registry) {
+    await fs.writeFile(
+      this.registryPath,
+      `${JSON.stringify(registry, null, 2)}\n`
+    );
+    return registry;
+  }
+
+  /**
+   * Choose each tool's hash length against the paths other owners hold
+   *
+   * @param {Object} registry - Registry from loadRegistry()
+   * @param {Object} request - Request
+   * @param {string} request.instance - Instance key from instanceKey()
+   * @param {Object} request.owner - { client, environment }
+   * @param {Object} request.hashLengths - Tool name → configured hash length
+   * @param {Function} request.pathFor - (toolName, length) → endpoint path
+   * @returns {Object} { hash_lengths, paths, extended, collisions }, where
+   *   extended lists { tool, from, to, registered } (registered: the
+   *   owner already held the longer path) and collisions lists
+   *   { tool, path, owner } for paths still held by another owner
+   */
+  resolve(registry, { instance, owner, hashLengths, pathFor }) {
+    const entries = registry.instances?.[instance] || {};
+    const maxLength = this.settings.auto_extend
+      ? Math.max(this.settings.max_hash_length, ...Object.values(hashLengths))
+      : 0;
+    const resolution = {
+      hash_lengths: {},
+      paths: {},
+      extended: [],
+      collisions: []
+    };
+
+    for (const [toolName, configured] of Object.entries(hashLengths)) {
+      const lengths = [configured];
+      for (let length = configured + 1; length <= maxLength; length++) {
+        lengths.push(length);
+      }
+
+      // A path this owner already holds wins, so URLs stay put; otherwise
+      // the shortest path nobody else holds
+      const isOwn = length =>
+        isSameOwner(entries[pathFor(toolName, length)], owner);
+      const isFree = length => !entries[pathFor(toolName, length)];
+      const ownLength = lengths.find(isOwn);
+      const length = ownLength ?? lengths.find(isFree);
+
+      if (length === undefined) {
+        const path = pathFor(toolName, configured);
+        resolution.collisions.push({
+          tool: toolName,
+          path,
+          owner: entries[path]
+        });
+        resolution.hash_lengths[toolName] = configured;
+        resolution.paths[toolName] = path;
+        continue;
+      }
+
+      if (length !== configured) {
+        resolution.extended.push({
+          tool: toolName,
+          from: configured,
+          to: length,
+          registered: ownLength !== undefined
+        });
+      }
+      resolution.hash_lengths[toolName] = length;
+      resolution.paths[toolName] = pathFor(toolName, length);
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Replace an owner's paths on an instance with the ones it deployed
+   *
+   * @param {Object} registry - Registry from loadRegistry()
+   * @param {string} instance - Instance key from instanceKey()
+   * @param {Object} owner - { client, environment, business_name }
+   * @param {Array<Object>} endpoints - Deployed { path, tool, epoch }
+   * @param {Date} now - Deploy time
+   * @returns {Object} Updated registry (the input is not modified)
+   */
+  register(registry, instance, owner, endpoints, now = new Date()) {
+    const entries = {};
+    for (const [path, entry] of Object.entries(
+      registry.instances?.[instance] || {}
+    )) {
+      if (!isSameOwner(entry, owner)) entries[path] = entry;
+    }
+
+    for (const { path, tool, epoch } of endpoints) {
+      entries[path] = {
+        client: owner.client,
+        environment: owner.environment,
+        business_name: owner.business_name,
+        tool,
+        epoch,
+        registered_at: now.toISOString()
+      };
+    }
+
+    return {
+      ...registry,
+      version: REGISTRY_VERSION,
+      instances: { ...registry.instances, [instance]: sortKeys(entries) }
+    };
+  }
+
+  /**
+   * Format a resolution for the console
+   *
+   * @param {Object} resolution - Resolution from resolve()
+   * @returns {Array<string>} Lines (empty when every path is free)
+   */
+  formatResolution(resolution) {
+    const lines = [];
+
+    for (const { tool, from, to, registered } of resolution.extended) {
+      lines.push(
+        registered
+          ? `🔀 ${tool}: keeping its registered ${to}-character hash (hash_length is ${from})`
+          : `🔀 ${tool}: hash extended from ${from} to ${to} characters to avoid another client's webhook`,
+        `   (pin it with webhook_deployment.tools.${tool}.hash_length: ${to})`
+      );
+    }
+    for (const { tool, path, owner } of resolution.collisions) {
+      lines.push(
+        `❌ ${tool}: /webhook/${path} is registered to ${describeOwner(owner)}`
+      );
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format every registered path for the console
+   *
+   * @param {Object} registry - Registry from loadRegistry()
+   * @returns {Array<string>} Lines, grouped by instance
+   */
+  formatRegistry(registry) {
+    const lines = [];
+
+    for (const [instance, entries] of Object.entries(
+      registry.instances || {}
+    )) {
+      lines.push(`🌐 ${instance}`);
+      for (const [path, entry] of Object.entries(entries)) {
+        lines.push(
+          `   /webhook/${path} → ${describeOwner(entry)} (${entry.tool})`
+        );
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Get the registry key of the instance serving a webhook base URL
+   *
+   * @param {string} baseUrl - base_webhook_url
+   * @returns {string} URL origin, e.g. "https://n8n.example.com"
+   */
+  static instanceKey(baseUrl) {
+    try {
+      return new URL(baseUrl).origin;
+    } catch {
+      return baseUrl;
+    }
+  }
+}
+
+/**
+ * Check whether a registry entry belongs to an owner
+ *
+ * @param {Object|undefined} entry - Registry entry
+ * @param {Object} owner - { client, environment }
+ * @returns {boolean} True for the same client and environment
+ */
+function isSameOwner(entry, owner) {
+  return (
+    Boolean(entry) &&
+    (entry.client ?? null) === (owner.client ?? null) &&
+    entry.environment === owner.environment
+  );
+}
+
+/**
+ * Describe the owner of a registry entry
+ *
+ * @param {Object} entry - Registry entry
+ * @returns {string} e.g. "acme-dental (staging)"
+ */
+function describeOwner(entry) {
+  const client =
+    entry.client || `"${entry.business_name}" (single-client layout)`;
+  return entry.environment && entry.environment !== "production"
+    ? `${client} (${entry.environment})`
+    : client;
+}
+
+/**
+ * Sort an object's keys so registry diffs stay small
+ *
+ * @param {Object} object - Object to sort
+ * @returns {Object} Copy with sorted keys
+ */
+function sortKeys(object) {
+  return Object.fromEntries(
+    Object.entries(object).sort(([a], [b]) => a.localeCompare(b))
+  );
+}
+
+WebhookRegistry.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = WebhookRegistry;
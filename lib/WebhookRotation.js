@@ -0,0 +1,226 @@
+const fs = require("fs").promises;
+
+/**
+ * Webhook Rotation Module
+ *
+ * Responsible for retiring leaked webhook endpoints without renaming the
+ * business. webhook_deployment.rotation.epoch is mixed into every endpoint
+ * hash (WebhookGenerator.generateSingleHash), so raising it gives every
+ * tool a new URL. The endpoints of earlier epochs stay live for a grace
+ * period, long enough to publish the agent with the new URLs, and are
+ * retired by the first deploy after it ends.
+ *
+ * CONFIG SHAPE:
+ * "webhook_deployment": {
+ *   "rotation": {
+ *     "epoch": 1,                 // raise to rotate (default 0)
+ *     "grace_period_hours": 48    // old endpoints stay live (default 48)
+ *   }
+ * }
+ *
+ * MANIFEST (webhook-manifest.json beside the client's config.json):
+ * {
+ *   "version": 1,
+ *   "epochs": [
+ *     { "epoch": 0, "urls": { "bookAppointment": "https://..." },
+ *       "deployed_at": "...", "superseded_at": "...",
+ *       "retire_after": "...", "retired_at": "..." },
+ *     { "epoch": 1, "urls": { ... }, "deployed_at": "..." }
+ *   ]
+ * }
+ *
+ * DEPLOYING:
+ * Deploys delete the business's workflows and upload them again, so an
+ * epoch in its grace period is kept live by uploading a copy of each
+ * workflow on the old path ("... (retiring <date>)"). Once the grace period
+ * has passed the copies are no longer uploaded and the epoch is marked
+ * retired. The history is recorded in the manifest and in build-info.json.
+ *
+ * KEY RESPONSIBILITIES:
+ * - Load and save the manifest of deployed epochs
+ * - Plan which epochs stay live, retire or start
+ * - Build the retiring copies of workflows
+ * - Format the plan for the console
+ *
+ * INTERFACE:
+ * - initialize(rotation): Apply webhook_deployment.rotation
+ * - loadManifest(): Manifest of deployed epochs, or null
+ * - saveManifest(plan): Record the plan's history as deployed
+ * - plan(manifest, epoch, urls, now): Rotation plan for this deploy
+ * - buildRetiringWorkflow(workflow, entry, toolName): Workflow copy on the
+ *   old endpoint
+ * - formatPlan(plan): Console lines describing the plan
+ */
+
+const MANIFEST_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+  epoch: 0,
+  grace_period_hours: 48
+};
+
+class WebhookRotation {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.manifestPath - Path of webhook-manifest.json
+   * @param {Object} options.rotation - webhook_deployment.rotation
+   */
+  constructor(options = {}) {
+    this.manifestPath = options.manifestPath || "webhook-manifest.json";
+    this.settings = { ...DEFAULT_SETTINGS, ...(options.rotation || {}) };
+  }
+
+  /**
+   * Initialize with the configured rotation settings
+   *
+   * @param {Object} rotation - webhook_deployment.rotation
+   */
+  initialize(rotation) {
+    this.settings = { ...DEFAULT_SETTINGS, ...(rotation || {}) };
+  }
+
+  /**
+   * Load the manifest of deployed epochs
+   *
+   * @returns {Promise<Object|null>} Manifest, or null before the first deploy
+   * @throws {Error} If the manifest exists but cannot be parsed
+   */
+  async loadManifest() {
+    let content;
+    try {
+      content = await fs.readFile(this.manifestPath, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid ${this.manifestPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the plan's epoch history as deployed
+   *
+   * @param {Object} plan - Plan from plan()
+   * @returns {Promise<Object>} Saved manifest
+   */
+  async saveManifest(plan) {
+    const manifest = { version: MANIFEST_VERSION, epochs: plan.history };
+
+    await fs.writeFile(
+      this.manifestPath,
+      `${JSON.stringify(manifest, null, 2)}\n`
+    );
+    return manifest;
+  }
+
+  /**
+   * Plan the epochs for a deploy at `now`
+   *
+   * A new epoch supersedes every earlier live epoch, which then stays live
+   * until grace_period_hours have passed. Endpoints that moved without a
+   * new epoch (e.g. a changed salt) overwrite the epoch's URLs: the old ones
+   * are neither kept live nor left in the history.
+   *
+   * @param {Object|null} manifest - Manifest from loadManifest()
+   * @param {number} epoch - Configured epoch
+   * @param {Object} urls - Tool name → webhook URL for this build
+   * @param {Date} now - Deploy time
+   * @returns {Object} { epoch, rotated, live, retiring, history }, where
+   *   live and retiring list earlier epochs ({ epoch, urls, retire_after })
+   */
+  plan(manifest, epoch = this.settings.epoch, urls = {}, now = new Date()) {
+    const timestamp = now.toISOString();
+    const graceMs = this.settings.grace_period_hours * 60 * 60 * 1000;
+    const history = (manifest?.epochs || []).map(entry => ({ ...entry }));
+    const live = [];
+    const retiring = [];
+
+    let current = history.find(entry => entry.epoch === epoch);
+    const rotated = !current && history.length > 0;
+    if (!current) {
+      current = { epoch, urls, deployed_at: timestamp };
+      history.push(current);
+    } else {
+      // Returning to an earlier epoch makes it current again
+      current.urls = urls;
+      delete current.superseded_at;
+      delete current.retire_after;
+      delete current.retired_at;
+    }
+
+    for (const entry of history) {
+      if (entry === current || entry.retired_at) continue;
+
+      if (!entry.retire_after) {
+        entry.superseded_at = timestamp;
+        entry.retire_after = new Date(now.getTime() + graceMs).toISOString();
+      }
+
+      if (new Date(entry.retire_after) > now) {
+        live.push(entry);
+      } else {
+        entry.retired_at = timestamp;
+        retiring.push(entry);
+      }
+    }
+
+    return { epoch, rotated, live, retiring, history };
+  }
+
+  /**
+   * Build a copy of a workflow that serves an earlier epoch's endpoint
+   *
+   * @param {Object} workflow - Built workflow JSON
+   * @param {Object} entry - Live epoch from plan()
+   * @param {string} toolName - Tool the workflow serves
+   * @returns {Object|null} Workflow copy, or null when the epoch had no
+   *   endpoint for the tool
+   */
+  buildRetiringWorkflow(workflow, entry, toolName) {
+    const urlPath = entry.urls?.[toolName]?.split("/webhook/")[1];
+    if (!urlPath) return null;
+
+    const copy = JSON.parse(JSON.stringify(workflow));
+    copy.name = `${workflow.name} (retiring ${entry.retire_after.slice(0, 10)})`;
+    copy.nodes.forEach(node => {
+      if (node.type === "webhook" || node.type === "n8n-nodes-base.webhook") {
+        node.parameters = { ...node.parameters, path: urlPath };
+        delete node.webhookId;
+      }
+    });
+
+    return copy;
+  }
+
+  /**
+   * Format a rotation plan for the console
+   *
+   * @param {Object} plan - Plan from plan()
+   * @returns {Array<string>} Lines (empty when nothing is rotating)
+   */
+  formatPlan(plan) {
+    const lines = [];
+
+    if (plan.rotated) {
+      lines.push(`🔄 Webhook endpoints rotated to epoch ${plan.epoch}`);
+    }
+    for (const entry of plan.live) {
+      lines.push(
+        `   ⏳ epoch ${entry.epoch} endpoints stay live until ${entry.retire_after}`
+      );
+    }
+    for (const entry of plan.retiring) {
+      lines.push(`   🗑️  epoch ${entry.epoch} endpoints retired`);
+    }
+
+    return lines;
+  }
+}
+
+WebhookRotation.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = WebhookRotation;
@@ -14,13 +14,31 @@
  */
 
 module.exports = {
+  ClientWorkspace: require("./ClientWorkspace"),
+  BookingRules: require("./BookingRules"),
+  BusinessHours: require("./BusinessHours"),
+  BusinessLocations: require("./BusinessLocations"),
   ConfigurationLoader: require("./ConfigurationLoader"),
+  ConfigSchemaValidator: require("./ConfigSchemaValidator"),
+  ConfigOverlayResolver: require("./ConfigOverlayResolver"),
+  ConfigMigrator: require("./ConfigMigrator"),
+  ConfigWizard: require("./ConfigWizard"),
+  DeploymentEnvironment: require("./DeploymentEnvironment"),
+  GroupBookings: require("./GroupBookings"),
+  RecurringAppointments: require("./RecurringAppointments"),
+  SecretResolver: require("./SecretResolver"),
+  ServiceCatalog: require("./ServiceCatalog"),
   ServiceSchemaEngine: require("./ServiceSchemaEngine"),
+  SheetMigrationPlanner: require("./SheetMigrationPlanner"),
   WebhookGenerator: require("./WebhookGenerator"),
+  WebhookRegistry: require("./WebhookRegistry"),
+  WebhookRotation: require("./WebhookRotation"),
   PromptInjector: require("./PromptInjector"),
   RuntimeVariableBuilder: require("./RuntimeVariableBuilder"),
   N8nWorkflowProcessor: require("./N8nWorkflowProcessor"),
+  OpenApiGenerator: require("./OpenApiGenerator"),
   RetellAgentProcessor: require("./RetellAgentProcessor"),
   TemplateProcessor: require("./TemplateProcessor"),
+  ToolValidatorGenerator: require("./ToolValidatorGenerator"),
   TokenCounter: require("./TokenCounter")
 };
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ConfigurationLoader = require("../lib/ConfigurationLoader");
+const ConfigSchemaValidator = require("../lib/ConfigSchemaValidator");
+
+const CURRENT = new ConfigSchemaValidator().getSchemaVersion();
+
+// Prettier's CommonJS build loads its plugins with a dynamic import, which
+// jest's module sandbox rejects; these tests never format a file
+jest.mock("prettier", () => ({
+  resolveConfig: async () => ({}),
+  format: async text => text
+}));
+
+describe("ConfigurationLoader.resolveConfiguration", () => {
+  let dir;
+  let warn;
+
+  const writeJson = (file, data) =>
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data, null, 2));
+
+  const migrationWarnings = () =>
+    warn.mock.calls.filter(([message]) =>
+      String(message).includes("migrated in memory")
+    );
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-layers-"));
+    warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("treats unversioned overlays on a current base as current", async () => {
+    writeJson("base.json", {
+      schema_version: CURRENT,
+      runtime_variables: { agent_name: "Base", transfer_phone_number: "+1" }
+    });
+    writeJson("config.json", {
+      extends: "./base.json",
+      runtime_variables: { agent_name: "Client" }
+    });
+    writeJson("config.staging.json", {
+      runtime_variables: { transfer_phone_number: "+2" }
+    });
+
+    const loader = new ConfigurationLoader({
+      configPath: path.join(dir, "config.json"),
+      environment: "staging"
+    });
+    const { config, versions } = await loader.resolveConfiguration();
+
+    expect(migrationWarnings()).toEqual([]);
+    expect(versions).toEqual([CURRENT, CURRENT, CURRENT]);
+    expect(config.runtime_variables).toEqual({
+      agent_name: "Client",
+      transfer_phone_number: "+2"
+    });
+  });
+
+  test("migrates an unversioned root layer", async () => {
+    writeJson("config.json", {
+      runtime_variables: { agent_name: "Legacy" }
+    });
+
+    const loader = new ConfigurationLoader({
+      configPath: path.join(dir, "config.json")
+    });
+    const { config, versions } = await loader.resolveConfiguration();
+
+    expect(versions).toEqual([0]);
+    expect(config.schema_version).toBe(CURRENT);
+    expect(migrationWarnings()).toHaveLength(1);
+  });
+
+  test("leaves unversioned overlay files alone in migrate-config", async () => {
+    writeJson("config.json", { runtime_variables: { agent_name: "Client" } });
+
+    const result = await new ConfigurationLoader().migrator.migrateFile(
+      path.join(dir, "config.json"),
+      CURRENT
+    );
+
+    expect(result.applied).toEqual([]);
+    expect(result.backupPath).toBeNull();
+  });
+});